@@ -6,33 +6,63 @@
 //   rank-subdeps
 //   rank-subdeps --json
 //   rank-subdeps --verbose
+//   rank-subdeps --lockfile
 //   rank-subdeps --top 20
 //   rank-subdeps --omit=dev
 //   rank-subdeps --omit=dev,optional --include=optional
+//   rank-subdeps --save head.json && rank-subdeps diff base.json head.json
 //
 // Notes:
 // - Counts unique subdeps by (name@version) excluding the package itself.
 // - Supports npm-style omit/include filtering for dependency types.
-// - Requires an installed tree (node_modules). Run `npm i` first.
+// - Requires an installed tree (node_modules). Run `npm i` first, or pass
+//   `--lockfile` to analyze package-lock.json alone.
 
 import {
   closeSync,
+  existsSync,
   lstatSync,
+  mkdirSync,
   mkdtempSync,
   openSync,
   readFileSync,
   readdirSync,
   realpathSync,
+  renameSync,
   rmSync,
   statSync,
+  writeFileSync,
 } from 'node:fs';
-import { tmpdir } from 'node:os';
-import { join, resolve } from 'node:path';
+import { homedir, tmpdir } from 'node:os';
+import { basename, join, resolve } from 'node:path';
 import { execFileSync, spawn } from 'node:child_process';
-import { fileURLToPath } from 'node:url';
+import { createHash, randomUUID } from 'node:crypto';
+import http from 'node:http';
+import https from 'node:https';
+import { connect as tlsConnect } from 'node:tls';
+import { createBrotliDecompress, createGunzip, createInflate } from 'node:zlib';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 
 const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
 const GITHUB_API_VERSION = '2022-11-28';
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+const ABBREVIATED_PACKUMENT_ACCEPT = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*';
+const MAX_REGISTRY_REDIRECTS = 5;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 8;
+const TASK_TIMEOUT_MS = 30_000;
+const TASK_RETRIES = 2;
+const TASK_RETRY_DELAY_MS = 500;
+const TRANSIENT_ERROR_CODES = new Set([
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET',
+]);
 
 function readJSON(p) {
   try {
@@ -269,6 +299,7 @@ function spawnText(bin, commandArgs, options = {}) {
       cwd: options.cwd,
       stdio: ['ignore', stdoutFd, 'pipe'],
       windowsHide: true,
+      ...(options.signal ? { signal: options.signal } : {}),
     });
 
     child.stderr.on('data', chunk => {
@@ -284,6 +315,98 @@ function spawnText(bin, commandArgs, options = {}) {
   });
 }
 
+function isTransientError(err) {
+  // Worth retrying: timeouts, dropped connections, rate limits and 5xx responses.
+  if (!err) return false;
+  if (err.timedOut) return true;
+  if (err.status === 429 || err.status >= 500) return true;
+  return TRANSIENT_ERROR_CODES.has(err.code) || TRANSIENT_ERROR_CODES.has(err.cause?.code);
+}
+
+function createTaskPool({
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs = TASK_TIMEOUT_MS,
+  retries = TASK_RETRIES,
+  retryDelayMs = TASK_RETRY_DELAY_MS,
+  onRetry = null,
+} = {}) {
+  // One limit shared by every registry and git host request of a run. Each
+  // task gets an AbortSignal that fires after `timeoutMs`; a timed-out task
+  // keeps its slot until it settles, so one that ignores the abort cannot
+  // push real concurrency past the limit. Transient failures are retried with
+  // exponential backoff, without holding a slot while waiting.
+  let active = 0;
+  const waiting = [];
+  const acquire = () => {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+
+  const attempt = async task => {
+    await acquire();
+    const controller = new AbortController();
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error(`timed out after ${timeoutMs} ms`);
+        err.timedOut = true;
+        controller.abort(err);
+        reject(err);
+      }, timeoutMs);
+    });
+    const running = Promise.resolve().then(() => task(controller.signal));
+    running.then(release, release);
+    try {
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const run = async task => {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(task);
+      } catch (err) {
+        if (retry >= retries || !isTransientError(err)) throw err;
+        const delayMs = retryDelayMs * 2 ** retry;
+        onRetry?.(err, retry + 1, delayMs);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  };
+
+  // Settles every task like Promise.allSettled, reporting progress as each
+  // one finishes rather than as it starts.
+  const map = (items, worker, onProgress = null) => {
+    let done = 0;
+    return Promise.all(
+      items.map(item =>
+        run(signal => worker(item, signal)).then(
+          value => {
+            onProgress?.({ current: ++done, total: items.length, item });
+            return { status: 'fulfilled', value };
+          },
+          reason => {
+            onProgress?.({ current: ++done, total: items.length, item });
+            return { status: 'rejected', reason };
+          }
+        )
+      )
+    );
+  };
+
+  return { run, map };
+}
+
 async function runNpmLsAsync(root, args) {
   const bin = process.platform === 'win32' ? 'npm.cmd' : 'npm';
   const npmArgs = ['ls', '--all', '--json', '--long'];
@@ -338,6 +461,8 @@ async function runNpmAuditAsync(root, args) {
   const included = Array.from(args.include).sort();
   for (const t of omitted) npmArgs.push(`--omit=${t}`);
   for (const t of included) npmArgs.push(`--include=${t}`);
+  // `npm audit` can work from the lockfile alone when nothing is installed.
+  if (args.lockfile) npmArgs.push('--package-lock-only');
 
   try {
     const { stdout } = await spawnText(bin, npmArgs, { cwd: root });
@@ -354,35 +479,358 @@ async function runNpmAuditAsync(root, args) {
   }
 }
 
-async function runNpmViewPackageMetaAsync(root, packageName) {
-  const bin = process.platform === 'win32' ? 'npm.cmd' : 'npm';
-  const npmArgs = ['view', packageName, 'dist-tags.latest', 'time', '--json'];
+function parseNpmrc(text, env = process.env) {
+  // The `key = value` subset of ini that .npmrc files use, with `${VAR}`
+  // expansion. Sections and array keys are ignored.
+  const config = {};
+  const expand = value => value.replace(/\$\{([^}?]+)\??\}/g, (_, name) => env[name] ?? '');
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('[')) continue;
+    const eq = line.indexOf('=');
+    if (eq <= 0) continue;
+    const key = expand(line.slice(0, eq).trim());
+    let value = line.slice(eq + 1).trim();
+    if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1);
+    if (!key.endsWith('[]')) config[key] = expand(value);
+  }
+  return config;
+}
 
-  const parseOutput = text => {
-    if (!text) return { latest: null, lastUpdated: null };
+function loadNpmrc(root, env = process.env) {
+  // Proxy environment variables, then ~/.npmrc, then the project's .npmrc,
+  // then `npm_config_*` variables (set by npm itself for `npm exec`/`npx`).
+  const config = {};
+  const defaults = {
+    proxy: env.HTTP_PROXY ?? env.http_proxy,
+    'https-proxy': env.HTTPS_PROXY ?? env.https_proxy,
+    noproxy: env.NO_PROXY ?? env.no_proxy,
+  };
+  for (const [key, value] of Object.entries(defaults)) {
+    if (value) config[key] = value;
+  }
+  const userconfig = env.npm_config_userconfig ?? env.NPM_CONFIG_USERCONFIG ?? join(homedir(), '.npmrc');
+  for (const file of [userconfig, join(root, '.npmrc')]) {
+    let text;
     try {
-      const parsed = JSON.parse(text);
-      return parsePackageMetaValue(packageName, parsed);
+      text = readFileSync(file, 'utf8');
     } catch {
-      return { latest: null, lastUpdated: null };
+      continue;
     }
-  };
+    Object.assign(config, parseNpmrc(text, env));
+  }
+  for (const [name, value] of Object.entries(env)) {
+    const match = /^npm_config_(.+)$/i.exec(name);
+    if (match && value) config[match[1].toLowerCase().replace(/_/g, '-')] = value;
+  }
+  return config;
+}
 
-  try {
-    const { stdout } = await spawnText(bin, npmArgs, { cwd: root });
-    return parseOutput(String(stdout || '').trim());
-  } catch (err) {
-    return parseOutput(String(err?.stdout || '').trim());
+function getRegistryForPackage(config, packageName) {
+  const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null;
+  const registry = (scope && config[`${scope}:registry`]) || config.registry || DEFAULT_REGISTRY;
+  return registry.endsWith('/') ? registry : `${registry}/`;
+}
+
+function getRegistryAuthorization(config, url) {
+  // Credentials are keyed by "nerf dart" (`//host/path/:_authToken`); like
+  // npm, the most specific path wins and other hosts never see them.
+  const { host, pathname } = new URL(url);
+  const segments = pathname.split('/').slice(1, -1);
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const prefix = `//${host}/${segments.slice(0, depth).map(segment => `${segment}/`).join('')}`;
+    if (config[`${prefix}:_authToken`]) return `Bearer ${config[`${prefix}:_authToken`]}`;
+    if (config[`${prefix}:_auth`]) return `Basic ${config[`${prefix}:_auth`]}`;
+    if (config[`${prefix}:username`] && config[`${prefix}:_password`]) {
+      const password = Buffer.from(config[`${prefix}:_password`], 'base64').toString('utf8');
+      return `Basic ${Buffer.from(`${config[`${prefix}:username`]}:${password}`).toString('base64')}`;
+    }
   }
+  return null;
 }
 
-async function collectPackageMetaByPackageAsync(root, packageNames, onProgress = null) {
-  const byPackage = new Map();
-  for (let idx = 0; idx < packageNames.length; idx++) {
-    const packageName = packageNames[idx];
-    onProgress?.({ current: idx + 1, total: packageNames.length, packageName });
-    byPackage.set(packageName, await runNpmViewPackageMetaAsync(root, packageName));
+function getProxyForUrl(config, url) {
+  const { protocol, hostname } = new URL(url);
+  const bypassed = String(config.noproxy ?? '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/^\*?\./, ''))
+    .filter(Boolean)
+    .some(entry => entry === '*' || hostname === entry || hostname.endsWith(`.${entry}`));
+  if (bypassed) return null;
+  return (protocol === 'https:' ? config['https-proxy'] || config.proxy : config.proxy) || null;
+}
+
+function sendRegistryRequest(target, { headers, proxy, signal }) {
+  return new Promise((resolve, reject) => {
+    const secure = target.protocol === 'https:';
+    const options = { method: 'GET', headers, ...(signal ? { signal } : {}) };
+    const send = (transport, url, extra = {}) => {
+      const req = transport.request(url, { ...options, ...extra }, resolve);
+      req.on('error', reject);
+      req.end();
+    };
+    if (!proxy) {
+      send(secure ? https : http, target);
+      return;
+    }
+
+    const proxyUrl = new URL(proxy);
+    const proxyTransport = proxyUrl.protocol === 'https:' ? https : http;
+    const proxyHeaders = {};
+    if (proxyUrl.username) {
+      const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+      proxyHeaders['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    if (!secure) {
+      // Plain HTTP goes to the proxy as an absolute-form request.
+      send(proxyTransport, proxyUrl, {
+        path: target.href,
+        headers: { ...headers, host: target.host, ...proxyHeaders },
+      });
+      return;
+    }
+
+    // HTTPS is tunneled through CONNECT and TLS is negotiated end to end.
+    const authority = `${target.hostname}:${target.port || 443}`;
+    const tunnel = proxyTransport.request(proxyUrl, {
+      method: 'CONNECT',
+      path: authority,
+      headers: { host: authority, ...proxyHeaders },
+      ...(signal ? { signal } : {}),
+    });
+    tunnel.on('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        const err = new Error(`Proxy CONNECT to ${authority} failed with ${response.statusCode}`);
+        err.status = response.statusCode;
+        reject(err);
+        return;
+      }
+      send(https, target, {
+        agent: false,
+        createConnection: () => tlsConnect({ socket, servername: target.hostname }),
+      });
+    });
+    tunnel.on('error', reject);
+    tunnel.end();
+  });
+}
+
+function readResponseText(response) {
+  const encoding = String(response.headers['content-encoding'] ?? '').toLowerCase();
+  const decoder =
+    encoding === 'gzip'
+      ? createGunzip()
+      : encoding === 'deflate'
+        ? createInflate()
+        : encoding === 'br'
+          ? createBrotliDecompress()
+          : null;
+  const stream = decoder ? response.pipe(decoder) : response;
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+    if (decoder) response.on('error', reject);
+  });
+}
+
+async function requestRegistryJson(url, { headers = {}, proxy = null, signal = null } = {}) {
+  const origin = new URL(url);
+  let target = origin;
+  for (let redirects = 0; ; redirects++) {
+    const requestHeaders = { 'accept-encoding': 'gzip, deflate, br', 'user-agent': 'rank-subdeps', ...headers };
+    // Credentials stay with the registry host when it redirects elsewhere.
+    if (target.host !== origin.host) delete requestHeaders.authorization;
+    const response = await sendRegistryRequest(target, { headers: requestHeaders, proxy, signal });
+    const status = response.statusCode;
+    if (status >= 300 && status < 400 && response.headers.location && redirects < MAX_REGISTRY_REDIRECTS) {
+      response.resume();
+      target = new URL(response.headers.location, target);
+      continue;
+    }
+
+    const text = await readResponseText(response);
+    if (status < 200 || status >= 300) {
+      const err = new Error(`Registry request for ${target.href} failed with ${status}`);
+      err.status = status;
+      err.code = `E${status}`;
+      throw err;
+    }
+    return JSON.parse(text);
   }
+}
+
+function parsePackumentVersion(packument, version) {
+  const manifest = packument?.versions?.[version];
+  const unpackedSize = manifest?.dist?.unpackedSize;
+  return {
+    deprecated: typeof manifest?.deprecated === 'string' && manifest.deprecated ? manifest.deprecated : null,
+    unpackedSize: Number.isFinite(unpackedSize) ? unpackedSize : null,
+  };
+}
+
+function getDefaultCacheDir(env = process.env) {
+  const base =
+    env.XDG_CACHE_HOME || (process.platform === 'win32' && env.LOCALAPPDATA) || join(homedir(), '.cache');
+  return join(base, 'rank-subdeps');
+}
+
+function createDiskCache({ dir = getDefaultCacheDir(), ttlMs = CACHE_TTL_MS, refresh = false, now = Date.now } = {}) {
+  // One JSON file per key under `dir`. Callers decide what may be reused:
+  // `isFresh` applies the TTL (and `refresh`) to mutable facts, while
+  // immutable ones are read back regardless of age. Unreadable entries are
+  // misses and failed writes are ignored, so the cache can only save work.
+  const fileFor = key => join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  return {
+    dir,
+    now,
+    isFresh: fetchedAt => !refresh && Number.isFinite(fetchedAt) && now() - fetchedAt < ttlMs,
+    read(key) {
+      const doc = readJSON(fileFor(key));
+      return doc?.key === key ? doc.value : null;
+    },
+    write(key, value) {
+      const file = fileFor(key);
+      // Write-then-rename keeps parallel runs sharing a directory from reading torn files.
+      const tmp = `${file}.${randomUUID()}.tmp`;
+      try {
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(tmp, JSON.stringify({ key, value }), 'utf8');
+        renameSync(tmp, file);
+      } catch {
+        try {
+          rmSync(tmp, { force: true });
+        } catch {}
+      }
+    },
+  };
+}
+
+function createRegistryClient({ jsonRequester = requestRegistryJson, configLoader = loadNpmrc, cache = null } = {}) {
+  // Fetches packuments straight from the configured registry. Each packument
+  // is requested once per run and shared by the metadata, size, deprecation
+  // and release-date lookups; the lookups take the same arguments as the
+  // requesters the collectors accept, so either can be passed in.
+  //
+  // With a disk cache, the facts read from each packument are kept per
+  // package. Publish times and sizes of a version never change and are
+  // reused forever; dist-tags and deprecations are reused until they expire.
+  const configs = new Map();
+  const packuments = new Map();
+  const entries = new Map();
+
+  const getConfig = root => {
+    if (!configs.has(root)) configs.set(root, configLoader(root));
+    return configs.get(root);
+  };
+
+  const getPackumentUrl = (root, packageName) =>
+    `${getRegistryForPackage(getConfig(root), packageName)}${packageName.replace('/', '%2f')}`;
+
+  const getEntry = url => {
+    if (!entries.has(url)) entries.set(url, cache?.read(`registry ${url}`) ?? {});
+    return entries.get(url);
+  };
+
+  const remember = (url, packageName, packument, full) => {
+    if (!cache || !packument || typeof packument !== 'object') return;
+    const entry = getEntry(url);
+    const fetchedAt = cache.now();
+    const versions = Object.keys(packument.versions ?? {});
+    const deprecated = {};
+    entry.unpackedSize ??= {};
+    for (const version of versions) {
+      const facts = parsePackumentVersion(packument, version);
+      entry.unpackedSize[version] = facts.unpackedSize;
+      if (facts.deprecated) deprecated[version] = facts.deprecated;
+    }
+    entry.deprecated = { fetchedAt, byVersion: deprecated };
+    if (full) {
+      const time = packument.time && typeof packument.time === 'object' ? packument.time : {};
+      entry.time = { ...entry.time, ...time };
+      entry.meta = { fetchedAt, ...parsePackageMetaValue(packageName, packument) };
+    }
+    cache.write(`registry ${url}`, entry);
+  };
+
+  const fetchPackument = (root, packageName, { full = false } = {}, signal = null) => {
+    const config = getConfig(root);
+    const url = getPackumentUrl(root, packageName);
+    const fullKey = `full ${url}`;
+    const key = full ? fullKey : `abbreviated ${url}`;
+    // A full packument already on hand answers abbreviated lookups too.
+    if (!full && packuments.has(fullKey)) return packuments.get(fullKey);
+    if (!packuments.has(key)) {
+      const headers = { accept: full ? 'application/json' : ABBREVIATED_PACKUMENT_ACCEPT };
+      const authorization = getRegistryAuthorization(config, url);
+      if (authorization) headers.authorization = authorization;
+      const request = Promise.resolve()
+        .then(() => jsonRequester(url, { headers, proxy: getProxyForUrl(config, url), signal }))
+        .then(packument => {
+          remember(url, packageName, packument, full);
+          return packument;
+        });
+      // Failed requests are not remembered, so a retry asks again.
+      request.catch(() => packuments.delete(key));
+      packuments.set(key, request);
+    }
+    return packuments.get(key);
+  };
+
+  const getCachedEntry = (root, packageName) => (cache ? getEntry(getPackumentUrl(root, packageName)) : {});
+
+  return {
+    fetchPackument,
+    async packageMeta(root, packageName, signal = null) {
+      const { meta } = getCachedEntry(root, packageName);
+      if (meta && cache.isFresh(meta.fetchedAt)) return { latest: meta.latest, lastUpdated: meta.lastUpdated };
+      return parsePackageMetaValue(packageName, await fetchPackument(root, packageName, { full: true }, signal));
+    },
+    async unpackedSize(root, packageName, version, signal = null) {
+      const { unpackedSize } = getCachedEntry(root, packageName);
+      if (unpackedSize && version in unpackedSize) return unpackedSize[version];
+      return parsePackumentVersion(await fetchPackument(root, packageName, {}, signal), version).unpackedSize;
+    },
+    async deprecated(root, packageName, version, signal = null) {
+      const { deprecated, unpackedSize } = getCachedEntry(root, packageName);
+      // Only versions the cached packument listed can be answered from it.
+      if (deprecated && cache.isFresh(deprecated.fetchedAt) && unpackedSize && version in unpackedSize) {
+        return deprecated.byVersion[version] ?? null;
+      }
+      return parsePackumentVersion(await fetchPackument(root, packageName, {}, signal), version).deprecated;
+    },
+    async times(root, packageName, signal = null, versions = null) {
+      // Release dates of the given versions are immutable; the full list is not.
+      const { time, meta } = getCachedEntry(root, packageName);
+      if (time && versions?.length > 0 && versions.every(version => typeof time[version] === 'string')) return time;
+      if (time && meta && cache.isFresh(meta.fetchedAt)) return time;
+      const packument = await fetchPackument(root, packageName, { full: true }, signal);
+      return packument.time && typeof packument.time === 'object' ? packument.time : {};
+    },
+  };
+}
+
+const defaultRegistryClient = createRegistryClient();
+
+async function collectPackageMetaByPackageAsync(
+  root,
+  packageNames,
+  onProgress = null,
+  metaRequester = defaultRegistryClient.packageMeta,
+  pool = createTaskPool()
+) {
+  const settled = await pool.map(
+    packageNames,
+    (packageName, signal) => metaRequester(root, packageName, signal),
+    ({ current, total, item }) => onProgress?.({ current, total, packageName: item })
+  );
+  const byPackage = new Map();
+  packageNames.forEach((packageName, idx) => {
+    const { status, value } = settled[idx];
+    byPackage.set(packageName, status === 'fulfilled' ? value : { latest: null, lastUpdated: null });
+  });
   return byPackage;
 }
 
@@ -451,851 +899,5363 @@ function getPackageLockEntryForPackage(packageLock, packageName) {
   return packages[`node_modules/${packageName}`] ?? null;
 }
 
-function safeDecodeURIComponent(value) {
-  const text = String(value || '');
-  try {
-    return decodeURIComponent(text);
-  } catch {
-    return text;
+function resolveLockfileLocation(packages, fromLocation, name) {
+  // Node resolution: look in the nearest `node_modules` first, then walk up.
+  let base = fromLocation;
+  while (true) {
+    const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages[candidate]) return candidate;
+    if (!base) return null;
+    const idx = base.lastIndexOf('/node_modules/');
+    base = idx === -1 ? '' : base.slice(0, idx);
   }
 }
 
-function cleanGitHubRepoName(value) {
-  return safeDecodeURIComponent(value)
-    .replace(/\.git$/i, '')
-    .replace(/\/+$/g, '');
+function isOmittedLockfileEntry(entry, omit) {
+  if (!entry) return true;
+  if (entry.devOptional) return omit.has('dev') && omit.has('optional');
+  if (entry.dev && omit.has('dev')) return true;
+  if (entry.optional && omit.has('optional')) return true;
+  if (entry.peer && omit.has('peer')) return true;
+  return false;
 }
 
-function cleanGitHubRef(value) {
-  const ref = safeDecodeURIComponent(value)
-    .trim()
-    .replace(/^refs\/(?:heads|tags)\//, '');
-  if (!ref || ref.startsWith('semver:')) return null;
-  return ref;
+function buildLockfileTree(root, packageLock, args) {
+  // Build the same nested shape `npm ls --all --json --long` returns from the
+  // lockfile `packages` section. Nodes are shared per location, so repeated
+  // and cyclic edges reuse one object instead of being marked deduped.
+  const packages = packageLock?.packages;
+  if (!packages || typeof packages !== 'object') return null;
+  const omit = args?.omit ?? new Set();
+  const nodesByLocation = new Map();
+
+  const getNode = location => {
+    if (nodesByLocation.has(location)) return nodesByLocation.get(location);
+    let entry = packages[location];
+    let target = location;
+    if (entry?.link && typeof entry.resolved === 'string') {
+      target = entry.resolved;
+      entry = packages[target] ?? entry;
+    }
+    if (isOmittedLockfileEntry(entry, omit)) {
+      nodesByLocation.set(location, null);
+      return null;
+    }
+    const node = {
+      version: entry.version,
+      resolved: entry.resolved,
+      path: resolve(root, target),
+      unpackedSize: null,
+    };
+    if (entry.name) node.packageName = entry.name;
+    if (entry.integrity) node.integrity = entry.integrity;
+    if (entry.license) node.license = entry.license;
+    if (entry.hasInstallScript) node.hasInstallScript = true;
+    nodesByLocation.set(location, node);
+
+    const dependencies = {};
+    // Linked workspace folders keep their own devDependencies edges.
+    const isWorkspace = target !== location && !target.includes('node_modules/');
+    const depNames = new Set([
+      ...Object.keys(entry.dependencies ?? {}),
+      ...Object.keys(entry.optionalDependencies ?? {}),
+      ...Object.keys(entry.peerDependencies ?? {}),
+      ...(isWorkspace && !omit.has('dev') ? Object.keys(entry.devDependencies ?? {}) : []),
+    ]);
+    for (const depName of Array.from(depNames).sort()) {
+      const depLocation = resolveLockfileLocation(packages, target, depName);
+      const depNode = depLocation ? getNode(depLocation) : null;
+      if (depNode) dependencies[depName] = depNode;
+    }
+    if (Object.keys(dependencies).length > 0) node.dependencies = dependencies;
+    return node;
+  };
+
+  const rootEntry = packages[''] ?? {};
+  const rootDepNames = new Set([
+    ...Object.keys(rootEntry.dependencies ?? {}),
+    ...(omit.has('dev') ? [] : Object.keys(rootEntry.devDependencies ?? {})),
+    ...(omit.has('optional') ? [] : Object.keys(rootEntry.optionalDependencies ?? {})),
+    ...(omit.has('peer') ? [] : Object.keys(rootEntry.peerDependencies ?? {})),
+  ]);
+  // Like `npm ls`, list linked workspaces at the top level.
+  for (const [location, entry] of Object.entries(packages)) {
+    const match = location.match(/^node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+    if (match && entry?.link) rootDepNames.add(match[1]);
+  }
+  const dependencies = {};
+  for (const name of Array.from(rootDepNames).sort()) {
+    const location = resolveLockfileLocation(packages, '', name);
+    const node = location ? getNode(location) : null;
+    if (node) dependencies[name] = node;
+  }
+
+  return {
+    name: rootEntry.name ?? packageLock.name,
+    version: rootEntry.version ?? packageLock.version,
+    dependencies,
+  };
 }
 
-function makeGitHubCommitRef(owner, repo, ref) {
-  const cleanOwner = safeDecodeURIComponent(owner).trim();
-  const cleanRepo = cleanGitHubRepoName(repo);
-  const cleanRef = cleanGitHubRef(ref);
-  if (!cleanOwner || !cleanRepo || !cleanRef) return null;
-  return { owner: cleanOwner, repo: cleanRepo, ref: cleanRef };
+function collectLockfileNodes(tree) {
+  const nodes = [];
+  const visited = new Set();
+  const stack = Object.entries(tree?.dependencies ?? {});
+  while (stack.length) {
+    const [name, node] = stack.pop();
+    if (!node || visited.has(node)) continue;
+    visited.add(node);
+    nodes.push([name, node]);
+    for (const entry of Object.entries(node.dependencies ?? {})) stack.push(entry);
+  }
+  return nodes;
 }
 
-function makeGitHubRepoRef(owner, repo, ref = null) {
-  const cleanOwner = safeDecodeURIComponent(owner).trim();
-  const cleanRepo = cleanGitHubRepoName(repo);
-  const cleanRef = ref == null ? null : cleanGitHubRef(ref);
-  if (!cleanOwner || !cleanRepo || (ref != null && !cleanRef)) return null;
-  return { owner: cleanOwner, repo: cleanRepo, ref: cleanRef };
+function isRegistryResolved(resolved) {
+  return typeof resolved === 'string' && /^https?:\/\//i.test(resolved) && /\.tgz(?:[?#].*)?$/i.test(resolved);
 }
 
-function parseGitHubCommitRef(raw) {
-  if (typeof raw !== 'string' || !raw.trim()) return null;
-  const value = raw.trim();
+async function collectLockfileSizesAsync(
+  root,
+  tree,
+  onProgress = null,
+  sizeRequester = defaultRegistryClient.unpackedSize,
+  pool = createTaskPool()
+) {
+  // Registry-reported `dist.unpackedSize` per name@version; git, file and
+  // other non-registry sources keep an unknown (null) size.
+  const byId = new Map();
+  for (const [name, node] of collectLockfileNodes(tree)) {
+    if (!(node.fromRegistry ?? isRegistryResolved(node.resolved)) || !node.version) continue;
+    const packageName = node.packageName ?? name;
+    const id = makeId(packageName, node.version);
+    if (!byId.has(id)) byId.set(id, { packageName, version: node.version, nodes: [] });
+    byId.get(id).nodes.push(node);
+  }
 
-  const archiveMatch = value.match(
-    /^https?:\/\/(?:codeload\.)?github\.com\/([^/\s#?]+)\/([^/\s#?]+)\/(?:tar\.gz|zip|tarball|zipball|archive(?:\/refs\/(?:heads|tags))?)\/([^#?\s]+)$/i
+  const entries = Array.from(byId.values());
+  const settled = await pool.map(
+    entries,
+    ({ packageName, version }, signal) => sizeRequester(root, packageName, version, signal),
+    ({ current, total, item }) => onProgress?.({ current, total, packageName: item.packageName })
   );
-  if (archiveMatch) return makeGitHubCommitRef(archiveMatch[1], archiveMatch[2], archiveMatch[3]);
+  entries.forEach(({ nodes }, idx) => {
+    const size = settled[idx].status === 'fulfilled' ? settled[idx].value : null;
+    for (const node of nodes) node.unpackedSize = size;
+  });
+}
 
-  const hashIndex = value.indexOf('#');
-  if (hashIndex === -1 || hashIndex === value.length - 1) return null;
+async function collectDeprecationsAsync(
+  root,
+  graph,
+  onProgress = null,
+  deprecationRequester = defaultRegistryClient.deprecated,
+  deprecationCache = new Map(),
+  pool = createTaskPool()
+) {
+  // Deprecation messages by name@version for the registry packages in the
+  // graph. Returns null when no lookup succeeded (for example offline), so
+  // counts can be marked unavailable instead of reading as zero.
+  const pending = [];
+  for (const [id, info] of graph.nodes) {
+    const node = info.node ?? {};
+    const fromRegistry =
+      node.fromRegistry ?? (typeof node.resolved === 'string' ? isRegistryResolved(node.resolved) : true);
+    if (info.version && fromRegistry && !deprecationCache.has(id)) pending.push(info);
+  }
 
-  const ref = value.slice(hashIndex + 1).split(/[?\s]/)[0];
-  const source = value.slice(0, hashIndex);
-  const patterns = [
-    /^github:([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^github\.com[:/]([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^(?:git\+)?https?:\/\/github\.com\/([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^(?:git\+)?ssh:\/\/(?:[^@/\s#?]+@)?github\.com[:/]([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^git@github\.com:([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^([^@:/\s#?]+)\/([^/\s#?]+)$/i,
-  ];
+  const settled = await pool.map(
+    pending,
+    // Aliased installs (`npm:real-name@…`) are looked up under the real name:
+    // `packageName` from lockfile trees, `name` from `npm ls --long`.
+    (info, signal) =>
+      deprecationRequester(root, info.node?.packageName ?? info.node?.name ?? info.name, info.version, signal),
+    ({ current, total, item }) => onProgress?.({ current, total, packageName: item.name })
+  );
+  pending.forEach((info, idx) => {
+    if (settled[idx].status === 'fulfilled') deprecationCache.set(makeId(info.name, info.version), settled[idx].value);
+  });
+  if (pending.length > 0 && settled.every(result => result.status === 'rejected')) return null;
 
-  for (const pattern of patterns) {
-    const match = source.match(pattern);
-    if (match) return makeGitHubCommitRef(match[1], match[2], ref);
+  const deprecations = new Map();
+  for (const id of graph.nodes.keys()) {
+    if (deprecationCache.get(id)) deprecations.set(id, deprecationCache.get(id));
   }
-
-  return null;
+  return deprecations;
 }
 
-function parseGitHubRepo(raw) {
-  if (typeof raw !== 'string' || !raw.trim()) return null;
-  const value = raw.trim().split('#')[0];
-  const patterns = [
-    /^github:([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^github\.com[:/]([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^(?:git\+)?https?:\/\/github\.com\/([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^(?:git\+)?ssh:\/\/(?:[^@/\s#?]+@)?github\.com[:/]([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^git@github\.com:([^/\s#?]+)\/([^/\s#?]+)$/i,
-    /^([^@:/\s#?]+)\/([^/\s#?]+)$/i,
-  ];
+async function collectLibyearsAsync(
+  root,
+  outdatedMarkers,
+  onProgress = null,
+  timesRequester = defaultRegistryClient.times,
+  pool = createTaskPool()
+) {
+  // Sets `libyear` on each outdated entry: the years between the installed
+  // version's publish date and the latest release. Returns false when no
+  // lookup succeeded, so libyear can be marked unavailable.
+  const entriesByName = new Map();
+  for (const entry of new Set(outdatedMarkers.entries.values())) {
+    if (!entry.name || !entry.latest) continue;
+    if (!entriesByName.has(entry.name)) entriesByName.set(entry.name, []);
+    entriesByName.get(entry.name).push(entry);
+  }
 
-  for (const pattern of patterns) {
-    const match = value.match(pattern);
-    if (match) {
-      const owner = safeDecodeURIComponent(match[1]).trim();
-      const repo = cleanGitHubRepoName(match[2]);
-      if (owner && repo) return { owner, repo };
+  const names = Array.from(entriesByName.keys());
+  const settled = await pool.map(
+    names,
+    (packageName, signal) => {
+      const versions = entriesByName.get(packageName).flatMap(entry => [entry.current, entry.latest]);
+      return timesRequester(root, packageName, signal, Array.from(new Set(versions)));
+    },
+    ({ current, total, item }) => onProgress?.({ current, total, packageName: item })
+  );
+  names.forEach((packageName, idx) => {
+    if (settled[idx].status !== 'fulfilled') return;
+    const times = settled[idx].value;
+    for (const entry of entriesByName.get(packageName)) {
+      const currentTs = getPublishTimestamp(times[entry.current]);
+      const latestTs = getPublishTimestamp(times[entry.latest]);
+      if (currentTs != null && latestTs != null) entry.libyear = Math.max(0, latestTs - currentTs) / YEAR_MS;
     }
-  }
+  });
+  return names.length === 0 || settled.some(result => result.status === 'fulfilled');
+}
 
+function splitYamlKey(line) {
+  // Returns [key, rest] for a `key: value` / `key:` line, or null.
+  const quote = line[0];
+  if (quote === '"' || quote === "'") {
+    let idx = 1;
+    while (idx < line.length) {
+      if (line[idx] === '\\' && quote === '"') {
+        idx += 2;
+        continue;
+      }
+      if (line[idx] === quote) {
+        if (quote === "'" && line[idx + 1] === "'") {
+          idx += 2;
+          continue;
+        }
+        break;
+      }
+      idx++;
+    }
+    const rest = line.slice(idx + 1);
+    if (!rest.startsWith(':')) return null;
+    return [parseYamlScalar(line.slice(0, idx + 1)), rest.slice(1).trim()];
+  }
+  const sep = line.indexOf(': ');
+  if (sep !== -1) return [line.slice(0, sep).trim(), line.slice(sep + 2).trim()];
+  if (line.endsWith(':')) return [line.slice(0, -1).trim(), ''];
   return null;
 }
 
-function getGitHubCommitRefForNode(name, node, wanted, lockEntry = null) {
-  const installedPkg = node?.path ? readJSON(join(node.path, 'package.json')) : null;
-  const candidates = [
-    node?.resolved,
-    node?._resolved,
-    lockEntry?.resolved,
-    lockEntry?._resolved,
-    installedPkg?._resolved,
-    lockEntry?.version,
-    node?.version,
-    node?.from,
-    node?._from,
-    lockEntry?.from,
-    lockEntry?._from,
-    installedPkg?._from,
-    wanted,
-  ];
-
-  for (const candidate of candidates) {
-    const parsed = parseGitHubCommitRef(candidate);
-    if (parsed) return parsed;
+function splitYamlFlowItems(text) {
+  const items = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let idx = 0; idx < text.length; idx++) {
+    const ch = text[idx];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      items.push(text.slice(start, idx).trim());
+      start = idx + 1;
+    }
   }
+  const last = text.slice(start).trim();
+  if (last) items.push(last);
+  return items;
+}
 
-  const sourceRepo = candidates.map(parseGitHubRepo).find(Boolean);
-  if (sourceRepo && typeof installedPkg?.gitHead === 'string') {
-    return makeGitHubCommitRef(sourceRepo.owner, sourceRepo.repo, installedPkg.gitHead);
+function parseYamlScalar(raw) {
+  const value = String(raw).trim();
+  if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
   }
-
-  return null;
+  if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('{') && value.endsWith('}')) {
+    const out = {};
+    for (const item of splitYamlFlowItems(value.slice(1, -1))) {
+      const pair = splitYamlKey(item);
+      if (pair) out[pair[0]] = parseYamlScalar(pair[1]);
+    }
+    return out;
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitYamlFlowItems(value.slice(1, -1)).map(parseYamlScalar);
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null' || value === '~' || value === '') return null;
+  // Versions such as `1.10` must stay strings, so numbers are not coerced.
+  return value;
 }
 
-function getGitHubTrackingRefForNode(name, node, wanted, lockEntry = null) {
-  const installedPkg = node?.path ? readJSON(join(node.path, 'package.json')) : null;
-  const wantedCommitRef = parseGitHubCommitRef(wanted);
-  if (wantedCommitRef) return wantedCommitRef;
-  const wantedRepo = parseGitHubRepo(wanted);
-  if (wantedRepo) return makeGitHubRepoRef(wantedRepo.owner, wantedRepo.repo);
+function isUnsupportedYamlValue(value) {
+  // Block scalars, anchors, aliases and tags, and flow collections that
+  // continue on the next line.
+  if (/^[|>][-+\d]*$/.test(value) || /^[&*!]/.test(value)) return true;
+  return (value.startsWith('{') && !value.endsWith('}')) || (value.startsWith('[') && !value.endsWith(']'));
+}
 
-  const sourceCandidates = [
-    node?.from,
-    node?._from,
-    lockEntry?.from,
-    lockEntry?._from,
-    installedPkg?._from,
-    lockEntry?.version,
-    node?.version,
-  ];
+function parseLockfileYaml(text, fileName = 'lockfile') {
+  // Minimal block-YAML reader for the subset pnpm-lock.yaml and Yarn Berry's
+  // yarn.lock use: nested mappings, quoted keys, scalars, flow collections and
+  // scalar sequences. Anything else (anchors, multi-line scalars, tags) throws
+  // rather than being misread.
+  const root = {};
+  const stack = [{ indent: -1, container: root, parent: null, key: null }];
+
+  const lines = String(text).split(/\r?\n/);
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    const rawLine = lines[lineIdx];
+    const trimmed = rawLine.trim();
+    // pnpm may write its env lockfile as a separate document before the main one.
+    if (!trimmed || trimmed.startsWith('#') || trimmed === '---') continue;
+    const unsupported = () => {
+      throw new Error(`Unsupported ${fileName} construct on line ${lineIdx + 1}: ${trimmed}`);
+    };
+    const indent = rawLine.length - rawLine.trimStart().length;
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+    const top = stack[stack.length - 1];
+
+    if (trimmed === '-' || trimmed.startsWith('- ')) {
+      const item = trimmed.slice(1).trim();
+      // Sequences hold scalars only; `- key: value` would start a mapping.
+      if (isUnsupportedYamlValue(item) || (!/^["'[{]/.test(item) && splitYamlKey(item))) unsupported();
+      if (!Array.isArray(top.container)) {
+        if (!top.parent || Object.keys(top.container).length > 0) unsupported();
+        top.container = [];
+        top.parent[top.key] = top.container;
+      }
+      top.container.push(parseYamlScalar(item));
+      continue;
+    }
 
-  for (const candidate of sourceCandidates) {
-    const parsed = parseGitHubCommitRef(candidate);
-    if (parsed) return parsed;
+    const pair = splitYamlKey(trimmed);
+    if (!pair || Array.isArray(top.container)) unsupported();
+    const [key, rest] = pair;
+    if (key === '<<' || isUnsupportedYamlValue(rest)) unsupported();
+    if (rest === '') {
+      const child = {};
+      top.container[key] = child;
+      stack.push({ indent, container: child, parent: top.container, key });
+    } else {
+      top.container[key] = parseYamlScalar(rest);
+    }
   }
 
-  const sourceRepo = sourceCandidates.map(parseGitHubRepo).find(Boolean);
-  if (sourceRepo) return makeGitHubRepoRef(sourceRepo.owner, sourceRepo.repo);
-
-  const resolvedCandidates = [
-    node?.resolved,
-    node?._resolved,
-    lockEntry?.resolved,
-    lockEntry?._resolved,
-    installedPkg?._resolved,
-  ];
-  const resolvedRepo = resolvedCandidates.map(parseGitHubRepo).find(Boolean);
-  if (resolvedRepo) return makeGitHubRepoRef(resolvedRepo.owner, resolvedRepo.repo);
+  return root;
+}
 
-  return null;
+function loadPnpmLock(root) {
+  let text;
+  try {
+    text = readFileSync(join(root, 'pnpm-lock.yaml'), 'utf8');
+  } catch {
+    return null;
+  }
+  return parseLockfileYaml(text, 'pnpm-lock.yaml');
 }
 
-function parseGitHubCommitDateValue(raw) {
-  const date =
-    raw?.commit?.committer?.date ??
-    raw?.commit?.author?.date ??
-    raw?.committer?.date ??
-    raw?.author?.date ??
-    null;
-  return typeof date === 'string' && date ? date : null;
+function loadYarnLock(root) {
+  let text;
+  try {
+    text = readFileSync(join(root, 'yarn.lock'), 'utf8');
+  } catch {
+    return null;
+  }
+  // Yarn classic (v1) lockfiles use their own format rather than YAML.
+  if (/^# yarn lockfile v1\b/m.test(text)) return null;
+  return parseLockfileYaml(text, 'yarn.lock');
 }
 
-function parseGitHubCommitMetaValue(raw) {
-  const sha = typeof raw?.sha === 'string' && raw.sha ? raw.sha : null;
-  return {
-    date: parseGitHubCommitDateValue(raw),
-    sha,
-  };
+function stripPnpmPeerSuffix(version) {
+  return typeof version === 'string' ? version.replace(/\(.*$/, '') : version;
 }
 
-async function requestGitHubJson(url) {
-  const headers = {
-    Accept: 'application/vnd.github+json',
-    'User-Agent': 'rank-subdeps',
-    'X-GitHub-Api-Version': GITHUB_API_VERSION,
+function buildPnpmLockfileTree(root, pnpmLock, args) {
+  // Supports lockfile v6 (`packages['/name@version']` with dependencies) and
+  // v9 (`snapshots['name@version']` for edges, `packages` for resolutions).
+  if (!pnpmLock || typeof pnpmLock !== 'object') return null;
+  const omit = args?.omit ?? new Set();
+  const importer = pnpmLock.importers?.['.'] ?? pnpmLock;
+  const snapshots = pnpmLock.snapshots ?? null;
+  const packages = pnpmLock.packages ?? {};
+  const nodesByKey = new Map();
+
+  const parseRef = (name, ref) => {
+    const value = typeof ref === 'object' && ref ? ref.version : ref;
+    if (typeof value !== 'string' || value.startsWith('link:') || value.startsWith('file:')) return null;
+    // Aliases are recorded as `real-name@version` (`/real-name@version` in v6).
+    const clean = value.replace(/^\//, '');
+    const aliasAt = stripPnpmPeerSuffix(clean).lastIndexOf('@');
+    if (aliasAt > 0 && !/^\d/.test(clean)) {
+      return { packageName: clean.slice(0, aliasAt), key: clean };
+    }
+    return { packageName: name, key: `${name}@${clean}` };
   };
-  if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
 
-  const response = await fetch(url, { headers });
-  if (!response.ok) {
-    let body = '';
-    try {
-      body = await response.text();
-    } catch {}
-    const detail = body ? `: ${body.slice(0, 200)}` : '';
-    throw new Error(`GitHub request failed with ${response.status}${detail}`);
+  const getNode = (name, ref) => {
+    const parsed = parseRef(name, ref);
+    if (!parsed) return null;
+    const { packageName, key } = parsed;
+    if (nodesByKey.has(key)) return nodesByKey.get(key);
+    const snapshot = snapshots ? snapshots[key] : packages[`/${key}`];
+    const pkgEntry = snapshots ? packages[stripPnpmPeerSuffix(key)] : snapshot;
+    if (!snapshot && !pkgEntry) {
+      nodesByKey.set(key, null);
+      return null;
+    }
+    if ((pkgEntry?.dev === true || snapshot?.dev === true) && omit.has('dev')) {
+      nodesByKey.set(key, null);
+      return null;
+    }
+    if ((pkgEntry?.optional === true || snapshot?.optional === true) && omit.has('optional')) {
+      nodesByKey.set(key, null);
+      return null;
+    }
+    const version = stripPnpmPeerSuffix(key.slice(packageName.length + 1));
+    const tarball = pkgEntry?.resolution?.tarball;
+    const node = {
+      version,
+      resolved: typeof tarball === 'string' ? tarball : null,
+      // pnpm only records a tarball URL for packages not served by the registry.
+      fromRegistry: !tarball,
+      unpackedSize: null,
+    };
+    if (packageName !== name) node.packageName = packageName;
+    if (pkgEntry?.resolution?.integrity) node.integrity = pkgEntry.resolution.integrity;
+    nodesByKey.set(key, node);
+
+    const source = snapshot ?? pkgEntry ?? {};
+    const dependencies = {};
+    const deps = { ...(source.dependencies ?? {}), ...(source.optionalDependencies ?? {}) };
+    for (const depName of Object.keys(deps).sort()) {
+      const depNode = getNode(depName, deps[depName]);
+      if (depNode) dependencies[depName] = depNode;
+    }
+    if (Object.keys(dependencies).length > 0) node.dependencies = dependencies;
+    return node;
+  };
+
+  const sections = [['dependencies', 'prod'], ['devDependencies', 'dev'], ['optionalDependencies', 'optional']];
+  const dependencies = {};
+  for (const [section, type] of sections) {
+    if (type !== 'prod' && omit.has(type)) continue;
+    for (const [name, ref] of Object.entries(importer[section] ?? {})) {
+      const node = getNode(name, ref);
+      if (node) dependencies[name] = node;
+    }
   }
-  return response.json();
+
+  return { dependencies: Object.fromEntries(Object.entries(dependencies).sort(([a], [b]) => a.localeCompare(b))) };
 }
 
-async function runGitHubCommitMeta(githubRef, jsonRequester = requestGitHubJson, onVerbose = null) {
-  if (!githubRef) return { date: null, sha: null };
-  const owner = encodeURIComponent(githubRef.owner);
-  const repo = encodeURIComponent(githubRef.repo);
-  const ref = encodeURIComponent(githubRef.ref);
-  const url = `https://api.github.com/repos/${owner}/${repo}/commits/${ref}`;
-  onVerbose?.(`GitHub request: ${url}`);
-  try {
-    const json = await jsonRequester(url);
-    return parseGitHubCommitMetaValue(json);
-  } catch (err) {
-    onVerbose?.(`GitHub request failed: ${url}: ${err?.message ?? String(err)}`);
-    return { date: null, sha: null };
-  }
+function parseYarnDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', descriptor.startsWith('@') ? 1 : 0);
+  if (at === -1) return null;
+  return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
 }
 
-async function runGitHubLatestCommitMeta(githubRef, jsonRequester = requestGitHubJson, onVerbose = null) {
-  if (!githubRef) return { date: null, sha: null };
-  const owner = encodeURIComponent(githubRef.owner);
-  const repo = encodeURIComponent(githubRef.repo);
-  const sha = githubRef.ref ? `sha=${encodeURIComponent(githubRef.ref)}&` : '';
-  const url = `https://api.github.com/repos/${owner}/${repo}/commits?${sha}per_page=1`;
-  onVerbose?.(`GitHub request: ${url}`);
-  try {
-    const json = await jsonRequester(url);
-    return parseGitHubCommitMetaValue(Array.isArray(json) ? json[0] : json);
-  } catch (err) {
-    onVerbose?.(`GitHub request failed: ${url}: ${err?.message ?? String(err)}`);
-    return { date: null, sha: null };
+function buildYarnLockfileTree(root, yarnLock, pkg, args) {
+  // Yarn Berry keys entries by comma-separated descriptors (`name@npm:^1.0.0`)
+  // and records edges as `name: range` pairs on each entry.
+  if (!yarnLock || typeof yarnLock !== 'object') return null;
+  const omit = args?.omit ?? new Set();
+  const byDescriptor = new Map();
+  let rootEntry = null;
+  for (const [key, entry] of Object.entries(yarnLock)) {
+    if (key === '__metadata' || !entry || typeof entry !== 'object') continue;
+    for (const descriptor of key.split(',').map(x => x.trim()).filter(Boolean)) {
+      byDescriptor.set(descriptor, entry);
+    }
+    if (typeof entry.resolution === 'string' && entry.resolution.endsWith('@workspace:.')) rootEntry = entry;
+  }
+
+  const findEntry = (name, range) =>
+    byDescriptor.get(`${name}@${range}`) ?? (range.includes(':') ? null : byDescriptor.get(`${name}@npm:${range}`));
+
+  const nodesByResolution = new Map();
+  const getNode = (name, range) => {
+    const entry = findEntry(name, String(range));
+    if (!entry || typeof entry.resolution !== 'string') return null;
+    if (nodesByResolution.has(entry.resolution)) return nodesByResolution.get(entry.resolution);
+    const resolution = parseYarnDescriptor(entry.resolution);
+    const node = {
+      version: entry.version,
+      resolved: entry.resolution,
+      fromRegistry: !!resolution?.range.startsWith('npm:'),
+      unpackedSize: null,
+    };
+    if (resolution && resolution.name !== name) node.packageName = resolution.name;
+    nodesByResolution.set(entry.resolution, node);
+
+    const dependencies = {};
+    for (const [depName, depRange] of Object.entries(entry.dependencies ?? {}).sort(([a], [b]) => a.localeCompare(b))) {
+      const depNode = getNode(depName, depRange);
+      if (depNode) dependencies[depName] = depNode;
+    }
+    if (Object.keys(dependencies).length > 0) node.dependencies = dependencies;
+    return node;
+  };
+
+  // The workspace entry lists dev dependencies alongside production ones, so
+  // package.json decides which top-level names are omitted.
+  const topRanges = { ...(pkg?.peerDependencies ?? {}), ...(pkg?.devDependencies ?? {}), ...(pkg?.optionalDependencies ?? {}), ...(pkg?.dependencies ?? {}) };
+  Object.assign(topRanges, rootEntry?.dependencies ?? {});
+  const isOmitted = name => {
+    if (pkg?.dependencies?.[name] !== undefined) return false;
+    if (pkg?.optionalDependencies?.[name] !== undefined) return omit.has('optional');
+    if (pkg?.devDependencies?.[name] !== undefined) return omit.has('dev');
+    if (pkg?.peerDependencies?.[name] !== undefined) return omit.has('peer');
+    return false;
+  };
+
+  const dependencies = {};
+  for (const name of Object.keys(topRanges).sort()) {
+    if (isOmitted(name)) continue;
+    const node = getNode(name, topRanges[name]);
+    if (node) dependencies[name] = node;
   }
+
+  return { dependencies };
 }
 
-async function runGitHubCommitDate(githubRef, jsonRequester = requestGitHubJson) {
-  return (await runGitHubCommitMeta(githubRef, jsonRequester)).date;
+function normalizePnpmListTree(json) {
+  // `pnpm list --json` returns one entry per project, with dev and optional
+  // dependencies in separate sections and paths into the virtual store.
+  const project = Array.isArray(json) ? json[0] : json;
+  if (!project || typeof project !== 'object') return { dependencies: {} };
+
+  const normalize = node => {
+    const out = {
+      version: node?.version,
+      resolved: node?.resolved,
+      path: node?.path,
+      // Files under node_modules/.pnpm are hard links into the content-addressed
+      // store, so identical files may share an inode across packages.
+      hardLinked: true,
+    };
+    const children = { ...(node?.dependencies ?? {}), ...(node?.optionalDependencies ?? {}) };
+    if (Object.keys(children).length > 0) {
+      out.dependencies = {};
+      for (const [name, child] of Object.entries(children)) out.dependencies[name] = normalize(child);
+    }
+    return out;
+  };
+
+  const dependencies = {};
+  for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    for (const [name, node] of Object.entries(project[section] ?? {})) dependencies[name] = normalize(node);
+  }
+  return { name: project.name, version: project.version, path: project.path, dependencies };
 }
 
-function getShortGitHubHash(value) {
-  if (typeof value !== 'string') return null;
-  const trimmed = value.trim();
-  return /^[0-9a-f]{7,40}$/i.test(trimmed) ? trimmed.slice(0, 7) : null;
+function normalizeYarnAuditOutput(text) {
+  // Yarn 3 prints an npm v6 style report; Yarn 4 prints one JSON object per
+  // advisory (`{ value, children: { Severity, ... } }`).
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return {};
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (parsed?.advisories || parsed?.vulnerabilities) return parsed;
+  } catch {}
+
+  const vulnerabilities = {};
+  for (const line of trimmed.split(/\r?\n/)) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const name = typeof entry?.value === 'string' ? entry.value : null;
+    const severity = entry?.children?.Severity;
+    if (!name || typeof severity !== 'string') continue;
+    const prev = vulnerabilities[name];
+    if (!prev || toAuditSeverityRank(severity) > toAuditSeverityRank(prev.severity)) {
+      vulnerabilities[name] = { name, severity: severity.toLowerCase() };
+    }
+  }
+  return { vulnerabilities };
 }
 
-function formatInstalledVersion(installedVersion, githubInfo = null) {
-  const shortHash = getShortGitHubHash(githubInfo?.sha) ?? getShortGitHubHash(githubInfo?.githubRef?.ref);
-  return shortHash ?? installedVersion ?? 'UNKNOWN';
+function getPackageManagerBin(packageManager) {
+  return process.platform === 'win32' ? `${packageManager}.cmd` : packageManager;
 }
 
-function formatLatestVersion(latestVersion, githubInfo = null) {
-  if (githubInfo) {
-    return getShortGitHubHash(githubInfo.latestSha) ?? getShortGitHubHash(githubInfo.latestRef?.ref) ?? githubInfo.latestRef?.ref ?? '?';
+async function runPnpmListAsync(root, args) {
+  const pnpmArgs = ['list', '--depth', 'Infinity', '--json', '--long'];
+  if (args.omit.has('dev')) pnpmArgs.push('--prod');
+  if (args.omit.has('optional')) pnpmArgs.push('--no-optional');
+
+  try {
+    const { stdout } = await spawnText(getPackageManagerBin('pnpm'), pnpmArgs, { cwd: root });
+    return normalizePnpmListTree(JSON.parse(stdout));
+  } catch (err) {
+    const stdout = String(err?.stdout || '');
+    if (stdout) {
+      try {
+        return normalizePnpmListTree(JSON.parse(stdout));
+      } catch {}
+    }
+    const failure = new Error('Failed to run "pnpm list --depth Infinity --json".');
+    failure.stderr = String(err?.stderr || '');
+    throw failure;
   }
-  return latestVersion ?? '?';
 }
 
-function parseSemver(value) {
-  if (typeof value !== 'string') return null;
-  const match = value.trim().match(
-    /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
-  );
-  if (!match) return null;
-  return {
-    major: Number(match[1]),
-    minor: Number(match[2]),
-    patch: Number(match[3]),
-    prerelease: match[4] ? match[4].split('.') : [],
-  };
+async function runPnpmJsonAsync(root, pnpmArgs) {
+  try {
+    const { stdout } = await spawnText(getPackageManagerBin('pnpm'), pnpmArgs, { cwd: root });
+    const text = String(stdout || '').trim();
+    return text ? JSON.parse(text) : {};
+  } catch (err) {
+    const stdout = String(err?.stdout || '').trim();
+    if (stdout) {
+      try {
+        return JSON.parse(stdout);
+      } catch {}
+    }
+    return null;
+  }
 }
 
-function comparePrereleaseIdentifiers(a, b) {
-  const aNumeric = /^\d+$/.test(a);
-  const bNumeric = /^\d+$/.test(b);
-  if (aNumeric && bNumeric) return Number(a) - Number(b);
-  if (aNumeric) return -1;
-  if (bNumeric) return 1;
-  return a.localeCompare(b);
+async function runPnpmAuditAsync(root, args) {
+  const pnpmArgs = ['audit', '--json'];
+  if (args.omit.has('dev')) pnpmArgs.push('--prod');
+  if (args.omit.has('optional')) pnpmArgs.push('--no-optional');
+  return runPnpmJsonAsync(root, pnpmArgs);
 }
 
-function compareSemverVersions(a, b) {
-  const parsedA = parseSemver(a);
-  const parsedB = parseSemver(b);
-  if (!parsedA || !parsedB) return null;
+async function runYarnAuditAsync(root, args) {
+  const yarnArgs = ['npm', 'audit', '--all', '--recursive', '--json'];
+  if (args.omit.has('dev')) yarnArgs.push('--environment', 'production');
 
-  for (const key of ['major', 'minor', 'patch']) {
-    if (parsedA[key] !== parsedB[key]) return parsedA[key] - parsedB[key];
+  try {
+    const { stdout } = await spawnText(getPackageManagerBin('yarn'), yarnArgs, { cwd: root });
+    return normalizeYarnAuditOutput(stdout);
+  } catch (err) {
+    const stdout = String(err?.stdout || '').trim();
+    if (stdout) {
+      const parsed = normalizeYarnAuditOutput(stdout);
+      if (Object.keys(parsed.vulnerabilities ?? {}).length > 0 || parsed.advisories) return parsed;
+    }
+    return null;
   }
+}
 
-  if (parsedA.prerelease.length === 0 && parsedB.prerelease.length === 0) return 0;
-  if (parsedA.prerelease.length === 0) return 1;
-  if (parsedB.prerelease.length === 0) return -1;
+const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn'];
+const PACKAGE_MANAGER_LOCKFILES = [
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+];
+
+const PACKAGE_MANAGER_ADAPTERS = {
+  npm: {
+    loadTree: runNpmLsAsync,
+    loadOutdated: runNpmOutdatedAsync,
+    loadAudit: runNpmAuditAsync,
+    loadLockfileTree: (root, args) => buildLockfileTree(root, loadPackageLock(root), args),
+    missingLockfile:
+      '--lockfile requires a package-lock.json or npm-shrinkwrap.json with a "packages" section (lockfileVersion 2 or later).',
+  },
+  pnpm: {
+    // `pnpm outdated` only reports direct dependencies, so there is nothing
+    // to count outdated subdependencies from.
+    loadTree: runPnpmListAsync,
+    loadAudit: runPnpmAuditAsync,
+    loadLockfileTree: (root, args) => buildPnpmLockfileTree(root, loadPnpmLock(root), args),
+    missingLockfile: '--lockfile requires a pnpm-lock.yaml.',
+  },
+  yarn: {
+    // Yarn Berry may use Plug'n'Play without node_modules, so the graph always
+    // comes from yarn.lock.
+    lockfileOnly: true,
+    loadAudit: runYarnAuditAsync,
+    loadLockfileTree: (root, args) =>
+      buildYarnLockfileTree(root, loadYarnLock(root), readJSON(join(root, 'package.json')), args),
+    missingLockfile: 'Yarn support requires a Yarn Berry (v2+) yarn.lock.',
+  },
+};
 
-  const maxLen = Math.max(parsedA.prerelease.length, parsedB.prerelease.length);
-  for (let idx = 0; idx < maxLen; idx++) {
-    const aPart = parsedA.prerelease[idx];
-    const bPart = parsedB.prerelease[idx];
-    if (aPart === undefined) return -1;
-    if (bPart === undefined) return 1;
-    const diff = comparePrereleaseIdentifiers(aPart, bPart);
-    if (diff !== 0) return diff;
+function detectPackageManager(root, pkg) {
+  const declared = typeof pkg?.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null;
+  if (PACKAGE_MANAGERS.includes(declared)) return declared;
+  for (const [file, packageManager] of PACKAGE_MANAGER_LOCKFILES) {
+    if (existsSync(join(root, file))) return packageManager;
   }
-  return 0;
+  return 'npm';
 }
 
-function compareLatestToInstalled(latest, installed, githubInfo = null) {
-  if (!latest || latest === '?' || !installed || installed === 'UNKNOWN' || installed === 'NOT INSTALLED') {
-    return null;
+function safeDecodeURIComponent(value) {
+  const text = String(value || '');
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
   }
+}
 
-  if (githubInfo) {
-    const latestHash = getShortGitHubHash(githubInfo.latestSha);
-    const installedHash = getShortGitHubHash(githubInfo.sha) ?? getShortGitHubHash(githubInfo.githubRef?.ref);
-    if (latestHash && installedHash && latestHash === installedHash) return 'same';
+function cleanGitRepoName(value) {
+  return safeDecodeURIComponent(value)
+    .replace(/\.git$/i, '')
+    .replace(/\/+$/g, '');
+}
 
-    const latestTs = getPublishTimestamp(githubInfo.latestDate);
-    const installedTs = getPublishTimestamp(githubInfo.date);
-    if (latestTs != null && installedTs != null) {
-      if (latestTs > installedTs) return 'newer';
-      if (latestTs < installedTs) return 'older';
-    }
+function cleanGitRef(value) {
+  const ref = safeDecodeURIComponent(value)
+    .trim()
+    .replace(/^refs\/(?:heads|tags)\//, '');
+  if (!ref || ref.startsWith('semver:')) return null;
+  return ref;
+}
 
-    if (latestHash && installedHash && latestHash !== installedHash) return 'different';
+function getGitHostFields(location) {
+  // Refs carry `host` only off GitHub (npm's default host for `owner/repo`),
+  // and `origin` only for self-hosted instances.
+  const fields = {};
+  if (location?.host && location.host !== 'github') fields.host = location.host;
+  if (location?.origin) fields.origin = location.origin;
+  return fields;
+}
+
+function makeGitCommitRef(owner, repo, ref, location = null) {
+  const cleanOwner = safeDecodeURIComponent(owner).trim();
+  const cleanRepo = cleanGitRepoName(repo);
+  const cleanRef = cleanGitRef(ref);
+  if (!cleanOwner || !cleanRepo || !cleanRef) return null;
+  return { owner: cleanOwner, repo: cleanRepo, ref: cleanRef, ...getGitHostFields(location) };
+}
+
+function makeGitRepoRef(owner, repo, ref = null, location = null) {
+  const cleanOwner = safeDecodeURIComponent(owner).trim();
+  const cleanRepo = cleanGitRepoName(repo);
+  const cleanRef = ref == null ? null : cleanGitRef(ref);
+  if (!cleanOwner || !cleanRepo || (ref != null && !cleanRef)) return null;
+  return { owner: cleanOwner, repo: cleanRepo, ref: cleanRef, ...getGitHostFields(location) };
+}
+
+function getConfiguredOrigin(value) {
+  if (!value) return null;
+  try {
+    return new URL(/^[a-z][a-z+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+  } catch {
     return null;
   }
-
-  if (latest === installed) return 'same';
-  const semverComparison = compareSemverVersions(latest, installed);
-  if (semverComparison == null) return 'different';
-  if (semverComparison > 0) return 'newer';
-  if (semverComparison < 0) return 'older';
-  return 'different';
 }
 
-function formatLatestWithStatus(latest, latestStatus) {
-  if (!latestStatus || latestStatus === 'same') return latest ?? '?';
-  return `${latest ?? '?'} (${latestStatus})`;
+function classifyGitHost(hostname, env = process.env) {
+  // github.com, gitlab.com and bitbucket.org, plus self-hosted instances:
+  // GitHub Enterprise from GITHUB_SERVER_URL/GITHUB_API_URL (as GitHub
+  // Actions sets them), GitLab from GITLAB_HOST/CI_SERVER_URL or, as a
+  // guess, any `gitlab.` hostname. Bitbucket Server has no adapter.
+  const name = String(hostname).toLowerCase().replace(/^www\./, '');
+  if (name === 'github.com') return { host: 'github', origin: null };
+  if (name === 'gitlab.com') return { host: 'gitlab', origin: null };
+  if (name === 'bitbucket.org') return { host: 'bitbucket', origin: null };
+
+  const githubServer =
+    getConfiguredOrigin(env.GITHUB_SERVER_URL) ??
+    (() => {
+      const api = getConfiguredOrigin(env.GITHUB_API_URL);
+      return api ? new URL(`${api.protocol}//${api.host.replace(/^api\./, '')}`) : null;
+    })();
+  if (githubServer && githubServer.hostname !== 'github.com' && githubServer.hostname === name) {
+    return { host: 'github', origin: githubServer.origin };
+  }
+  for (const configured of [env.GITLAB_HOST, env.CI_SERVER_URL].map(getConfiguredOrigin)) {
+    if (configured?.hostname === name) return { host: 'gitlab', origin: configured.origin };
+  }
+  if (name.startsWith('gitlab.')) return { host: 'gitlab', origin: `https://${name}` };
+  return null;
 }
 
-function formatGitHubRef(githubRef) {
-  if (!githubRef) return '?';
-  return `${githubRef.owner}/${githubRef.repo}${githubRef.ref ? `#${githubRef.ref}` : ''}`;
+function splitGitRepoPath(host, path) {
+  // GitLab projects may sit in nested groups; GitHub and Bitbucket repos are
+  // always `owner/repo`.
+  const segments = safeDecodeURIComponent(path)
+    .replace(/\/-\/.*$/, '')
+    .split('/')
+    .filter(Boolean);
+  if (host === 'gitlab' ? segments.length < 2 : segments.length !== 2) return null;
+  return { owner: segments.slice(0, -1).join('/'), repo: segments[segments.length - 1] };
 }
 
-async function collectGitHubPackageInfoByPackage(
-  topDeps,
-  tree,
-  jsonRequester = requestGitHubJson,
-  onProgress = null,
-  packageLock = null,
-  onVerbose = null
-) {
-  const entries = [];
-  for (const [name, meta] of Object.entries(topDeps)) {
-    const node = tree.dependencies?.[name];
-    if (!node) continue;
-    const lockEntry = getPackageLockEntryForPackage(packageLock, name);
-    const githubRef = getGitHubCommitRefForNode(name, node, meta.wanted, lockEntry);
-    const latestRef = getGitHubTrackingRefForNode(name, node, meta.wanted, lockEntry) ?? githubRef;
-    if (githubRef) {
-      onVerbose?.(`${name}: GitHub installed ref ${formatGitHubRef(githubRef)}`);
-      onVerbose?.(`${name}: GitHub latest ref ${formatGitHubRef(latestRef)}`);
-      entries.push({ name, githubRef, latestRef });
-    }
+function parseGitSource(source, env = process.env) {
+  // The repository part of a git dependency spec (everything before `#`).
+  const shorthand = source.match(/^(github|gitlab|bitbucket):([^#?\s]+)$/i);
+  if (shorthand) {
+    const host = shorthand[1].toLowerCase();
+    const repo = splitGitRepoPath(host, shorthand[2]);
+    return repo && { ...repo, host, origin: null };
   }
-  onVerbose?.(`GitHub packages detected: ${entries.length}`);
 
-  const byPackage = new Map();
-  for (let idx = 0; idx < entries.length; idx++) {
-    const { name, githubRef, latestRef } = entries[idx];
-    onProgress?.({ current: idx + 1, total: entries.length, packageName: name });
-    const commitMeta = await runGitHubCommitMeta(githubRef, jsonRequester, onVerbose);
-    const latestCommitMeta = await runGitHubLatestCommitMeta(latestRef, jsonRequester, onVerbose);
-    byPackage.set(name, {
-      githubRef,
-      latestRef,
-      date: commitMeta.date,
-      sha: commitMeta.sha ?? (getShortGitHubHash(githubRef.ref) ? githubRef.ref : null),
-      latestDate: latestCommitMeta.date,
-      latestSha: latestCommitMeta.sha,
-    });
-    onVerbose?.(
-      `${name}: installed commit ${getShortGitHubHash(commitMeta.sha) ?? getShortGitHubHash(githubRef.ref) ?? '?'} (${commitMeta.date ?? '?'})`
-    );
-    onVerbose?.(
-      `${name}: latest commit ${getShortGitHubHash(latestCommitMeta.sha) ?? '?'} (${latestCommitMeta.date ?? '?'})`
-    );
+  const located =
+    source.match(/^(?:git\+)?(?:https?|ssh|git):\/\/(?:[^@/\s#?]+@)?([^/:\s#?]+)(?::\d+)?[:/]([^#?\s]+)$/i) ??
+    source.match(/^(?:[^@/\s#?]+@)?([^/:\s#?]+\.[^/:\s#?]+):([^#?\s]+)$/i) ??
+    source.match(/^([^/:\s#?]+\.[^/:\s#?]+)\/([^#?\s]+)$/i);
+  if (located) {
+    const location = classifyGitHost(located[1], env);
+    const repo = location && splitGitRepoPath(location.host, located[2]);
+    if (repo) return { ...repo, ...location };
   }
-  return byPackage;
+
+  const githubShorthand = source.match(/^([^@:/\s#?]+)\/([^/\s#?]+)$/i);
+  if (githubShorthand) return { owner: githubShorthand[1], repo: githubShorthand[2], host: 'github', origin: null };
+  return null;
 }
 
-async function collectGitHubCommitDatesByPackage(
-  topDeps,
-  tree,
-  jsonRequester = requestGitHubJson,
-  onProgress = null,
-  packageLock = null
-) {
-  const packageInfoByPackage = await collectGitHubPackageInfoByPackage(
-    topDeps,
-    tree,
-    jsonRequester,
-    onProgress,
-    packageLock
+function parseGitArchiveUrl(value, env = process.env) {
+  // Tarball/zip URLs that name the commit in their path.
+  const codeload = value.match(
+    /^https?:\/\/(?:codeload\.)?github\.com\/([^/\s#?]+)\/([^/\s#?]+)\/(?:tar\.gz|zip|tarball|zipball|archive(?:\/refs\/(?:heads|tags))?)\/([^#?\s]+)$/i
   );
-  const byPackage = new Map();
-  for (const [name, info] of packageInfoByPackage.entries()) {
-    if (info.date) byPackage.set(name, info.date);
+  if (codeload) return makeGitCommitRef(codeload[1], codeload[2], codeload[3]);
+
+  const bitbucket = value.match(
+    /^https?:\/\/bitbucket\.org\/([^/\s#?]+)\/([^/\s#?]+)\/get\/([^#?\s]+?)\.(?:tar\.gz|tar\.bz2|zip)$/i
+  );
+  if (bitbucket) return makeGitCommitRef(bitbucket[1], bitbucket[2], bitbucket[3], { host: 'bitbucket' });
+
+  const gitlab = value.match(/^https?:\/\/([^/\s#?]+)\/([^#?\s]+?)\/-\/archive\/([^/\s#?]+)\/[^/\s#?]+$/i);
+  const location = gitlab && classifyGitHost(gitlab[1], env);
+  if (location?.host === 'gitlab') {
+    const repo = splitGitRepoPath('gitlab', gitlab[2]);
+    if (repo) return makeGitCommitRef(repo.owner, repo.repo, gitlab[3], location);
   }
-  return byPackage;
+  return null;
 }
 
-const makeId = (name, version) => `${name}@${version || 'UNKNOWN'}`;
+function parseGitCommitRef(raw, env = process.env) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const value = raw.trim();
 
-function getApproxPathSize(path, pathSizeCache) {
-  if (!path) return 0;
-  const cached = pathSizeCache.get(path);
-  if (cached !== undefined) return cached;
+  const archiveRef = parseGitArchiveUrl(value, env);
+  if (archiveRef) return archiveRef;
 
-  let total = 0;
-  const stack = [path];
+  const hashIndex = value.indexOf('#');
+  if (hashIndex === -1 || hashIndex === value.length - 1) return null;
 
-  while (stack.length) {
-    const curPath = stack.pop();
-    let stat;
-    try {
-      stat = lstatSync(curPath);
-    } catch {
-      continue;
-    }
+  const ref = value.slice(hashIndex + 1).split(/[?\s]/)[0];
+  const source = parseGitSource(value.slice(0, hashIndex), env);
+  return source ? makeGitCommitRef(source.owner, source.repo, ref, source) : null;
+}
 
-    if (stat.isSymbolicLink()) continue;
-    if (stat.isFile()) {
+function parseGitRepo(raw, env = process.env) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const source = parseGitSource(raw.trim().split('#')[0], env);
+  if (!source) return null;
+  const owner = safeDecodeURIComponent(source.owner).trim();
+  const repo = cleanGitRepoName(source.repo);
+  return owner && repo ? { owner, repo, ...getGitHostFields(source) } : null;
+}
+
+function getGitCommitRefForNode(name, node, wanted, lockEntry = null, env = process.env) {
+  const installedPkg = node?.path ? readJSON(join(node.path, 'package.json')) : null;
+  const candidates = [
+    node?.resolved,
+    node?._resolved,
+    lockEntry?.resolved,
+    lockEntry?._resolved,
+    installedPkg?._resolved,
+    lockEntry?.version,
+    node?.version,
+    node?.from,
+    node?._from,
+    lockEntry?.from,
+    lockEntry?._from,
+    installedPkg?._from,
+    wanted,
+  ];
+
+  for (const candidate of candidates) {
+    const parsed = parseGitCommitRef(candidate, env);
+    if (parsed) return parsed;
+  }
+
+  const sourceRepo = candidates.map(candidate => parseGitRepo(candidate, env)).find(Boolean);
+  if (sourceRepo && typeof installedPkg?.gitHead === 'string') {
+    return makeGitCommitRef(sourceRepo.owner, sourceRepo.repo, installedPkg.gitHead, sourceRepo);
+  }
+
+  return null;
+}
+
+function getGitTrackingRefForNode(name, node, wanted, lockEntry = null, env = process.env) {
+  const installedPkg = node?.path ? readJSON(join(node.path, 'package.json')) : null;
+  const wantedCommitRef = parseGitCommitRef(wanted, env);
+  if (wantedCommitRef) return wantedCommitRef;
+  const wantedRepo = parseGitRepo(wanted, env);
+  if (wantedRepo) return makeGitRepoRef(wantedRepo.owner, wantedRepo.repo, null, wantedRepo);
+
+  const sourceCandidates = [
+    node?.from,
+    node?._from,
+    lockEntry?.from,
+    lockEntry?._from,
+    installedPkg?._from,
+    lockEntry?.version,
+    node?.version,
+  ];
+
+  for (const candidate of sourceCandidates) {
+    const parsed = parseGitCommitRef(candidate, env);
+    if (parsed) return parsed;
+  }
+
+  const sourceRepo = sourceCandidates.map(candidate => parseGitRepo(candidate, env)).find(Boolean);
+  if (sourceRepo) return makeGitRepoRef(sourceRepo.owner, sourceRepo.repo, null, sourceRepo);
+
+  const resolvedCandidates = [
+    node?.resolved,
+    node?._resolved,
+    lockEntry?.resolved,
+    lockEntry?._resolved,
+    installedPkg?._resolved,
+  ];
+  const resolvedRepo = resolvedCandidates.map(candidate => parseGitRepo(candidate, env)).find(Boolean);
+  if (resolvedRepo) return makeGitRepoRef(resolvedRepo.owner, resolvedRepo.repo, null, resolvedRepo);
+
+  return null;
+}
+
+function parseGitHubCommitDateValue(raw) {
+  const date =
+    raw?.commit?.committer?.date ??
+    raw?.commit?.author?.date ??
+    raw?.committer?.date ??
+    raw?.author?.date ??
+    null;
+  return typeof date === 'string' && date ? date : null;
+}
+
+function parseGitHubCommitMetaValue(raw) {
+  const sha = typeof raw?.sha === 'string' && raw.sha ? raw.sha : null;
+  return {
+    date: parseGitHubCommitDateValue(raw),
+    sha,
+  };
+}
+
+function parseGitLabCommitMetaValue(raw) {
+  const date = raw?.committed_date ?? raw?.authored_date ?? raw?.created_at ?? null;
+  return {
+    date: typeof date === 'string' && date ? date : null,
+    sha: typeof raw?.id === 'string' && raw.id ? raw.id : null,
+  };
+}
+
+function parseBitbucketCommitMetaValue(raw) {
+  return {
+    date: typeof raw?.date === 'string' && raw.date ? raw.date : null,
+    sha: typeof raw?.hash === 'string' && raw.hash ? raw.hash : null,
+  };
+}
+
+function getGitLabProjectUrl(gitRef) {
+  const project = encodeURIComponent(`${gitRef.owner}/${gitRef.repo}`);
+  return `${gitRef.origin ?? 'https://gitlab.com'}/api/v4/projects/${project}`;
+}
+
+function getGitHubApiBase(gitRef, env = process.env) {
+  if (!gitRef.origin) return 'https://api.github.com';
+  return String(env.GITHUB_API_URL || `${gitRef.origin}/api/v3`).replace(/\/+$/, '');
+}
+
+// One adapter per git host. `commit` resolves the ref of an installed
+// dependency, `latest` the head of the tracked branch (or the default branch
+// when the spec names none); both return `{ date, sha }`. `request(url)`
+// sends the adapter's headers through the shared task pool.
+const GIT_HOST_ADAPTERS = {
+  github: {
+    label: 'GitHub',
+    headers(gitRef, env) {
+      const headers = { Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': GITHUB_API_VERSION };
+      const token = gitRef.origin ? env.GH_ENTERPRISE_TOKEN || env.GITHUB_TOKEN : env.GITHUB_TOKEN || env.GH_TOKEN;
+      if (token) headers.Authorization = `Bearer ${token}`;
+      return headers;
+    },
+    async commit(gitRef, request, env) {
+      const repo = `${encodeURIComponent(gitRef.owner)}/${encodeURIComponent(gitRef.repo)}`;
+      const url = `${getGitHubApiBase(gitRef, env)}/repos/${repo}/commits/${encodeURIComponent(gitRef.ref)}`;
+      return parseGitHubCommitMetaValue(await request(url));
+    },
+    async latest(gitRef, request, env) {
+      const repo = `${encodeURIComponent(gitRef.owner)}/${encodeURIComponent(gitRef.repo)}`;
+      const sha = gitRef.ref ? `sha=${encodeURIComponent(gitRef.ref)}&` : '';
+      const json = await request(`${getGitHubApiBase(gitRef, env)}/repos/${repo}/commits?${sha}per_page=1`);
+      return parseGitHubCommitMetaValue(Array.isArray(json) ? json[0] : json);
+    },
+  },
+  gitlab: {
+    label: 'GitLab',
+    headers(gitRef, env) {
+      // GITLAB_TOKEN and CI_JOB_TOKEN belong to one instance: the configured
+      // one, or gitlab.com when none is. Hosts recognised just by their
+      // `gitlab.` prefix never get them.
+      const instances = [env.GITLAB_HOST, env.CI_SERVER_URL]
+        .map(value => getConfiguredOrigin(value)?.origin)
+        .filter(origin => origin && origin !== 'https://gitlab.com');
+      const trusted = gitRef.origin ? instances.includes(gitRef.origin) : instances.length === 0;
+      if (!trusted) return {};
+      if (env.GITLAB_TOKEN) return { 'PRIVATE-TOKEN': env.GITLAB_TOKEN };
+      if (env.CI_JOB_TOKEN) return { 'JOB-TOKEN': env.CI_JOB_TOKEN };
+      return {};
+    },
+    async commit(gitRef, request) {
+      const url = `${getGitLabProjectUrl(gitRef)}/repository/commits/${encodeURIComponent(gitRef.ref)}`;
+      return parseGitLabCommitMetaValue(await request(url));
+    },
+    async latest(gitRef, request) {
+      const refName = gitRef.ref ? `ref_name=${encodeURIComponent(gitRef.ref)}&` : '';
+      const json = await request(`${getGitLabProjectUrl(gitRef)}/repository/commits?${refName}per_page=1`);
+      return parseGitLabCommitMetaValue(Array.isArray(json) ? json[0] : json);
+    },
+  },
+  bitbucket: {
+    label: 'Bitbucket',
+    headers(gitRef, env) {
+      if (env.BITBUCKET_TOKEN) return { Authorization: `Bearer ${env.BITBUCKET_TOKEN}` };
+      if (env.BITBUCKET_USERNAME && env.BITBUCKET_APP_PASSWORD) {
+        const credentials = Buffer.from(`${env.BITBUCKET_USERNAME}:${env.BITBUCKET_APP_PASSWORD}`).toString('base64');
+        return { Authorization: `Basic ${credentials}` };
+      }
+      return {};
+    },
+    async commit(gitRef, request) {
+      const repo = `${encodeURIComponent(gitRef.owner)}/${encodeURIComponent(gitRef.repo)}`;
+      const url = `https://api.bitbucket.org/2.0/repositories/${repo}/commit/${encodeURIComponent(gitRef.ref)}`;
+      return parseBitbucketCommitMetaValue(await request(url));
+    },
+    async latest(gitRef, request) {
+      const slug = `${encodeURIComponent(gitRef.owner)}/${encodeURIComponent(gitRef.repo)}`;
+      const repo = `https://api.bitbucket.org/2.0/repositories/${slug}`;
+      // Bitbucket lists commits of every branch unless told which one.
+      const branch = gitRef.ref ?? (await request(repo))?.mainbranch?.name;
+      if (!branch) return { date: null, sha: null };
+      const json = await request(`${repo}/commits/${encodeURIComponent(branch)}?pagelen=1`);
+      return parseBitbucketCommitMetaValue(json?.values?.[0]);
+    },
+  },
+};
+
+async function rejectOfflineRequest(url) {
+  // Stands in for the registry and git host requesters under --offline, so
+  // only cached lookups succeed.
+  const err = new Error(`Not cached and --offline is set: ${url}`);
+  err.code = 'EOFFLINE';
+  throw err;
+}
+
+async function requestGitHostJson(url, signal = null, headers = {}) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'rank-subdeps', ...headers },
+    ...(signal ? { signal } : {}),
+  });
+  if (!response.ok) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch {}
+    const detail = body ? `: ${body.slice(0, 200)}` : '';
+    const err = new Error(`${new URL(url).host} request failed with ${response.status}${detail}`);
+    err.status = response.status;
+    throw err;
+  }
+  return response.json();
+}
+
+async function runGitHostLookup(gitRef, kind, { jsonRequester, onVerbose, pool, cache, env }) {
+  const adapter = GIT_HOST_ADAPTERS[gitRef.host ?? 'github'];
+  const cacheKey = `git ${kind} ${formatGitRef(gitRef)}`;
+  // A full commit SHA always names the same commit; branches and tags move.
+  const immutable = kind === 'commit' && /^[0-9a-f]{40}$/i.test(gitRef.ref ?? '');
+  const cached = cache?.read(cacheKey);
+  if (cached && (immutable || cache.isFresh(cached.fetchedAt))) {
+    onVerbose?.(`${adapter.label} request (cached): ${formatGitRef(gitRef)}`);
+    return cached.meta;
+  }
+
+  const headers = adapter.headers(gitRef, env);
+  const request = async url => {
+    onVerbose?.(`${adapter.label} request: ${url}`);
+    try {
+      return await pool.run(signal => jsonRequester(url, signal, headers));
+    } catch (err) {
+      onVerbose?.(`${adapter.label} request failed: ${url}: ${err?.message ?? String(err)}`);
+      throw err;
+    }
+  };
+  try {
+    const meta = await adapter[kind](gitRef, request, env);
+    if (meta.sha) cache?.write(cacheKey, { fetchedAt: cache.now(), meta });
+    return meta;
+  } catch {
+    return { date: null, sha: null };
+  }
+}
+
+async function runGitCommitMeta(
+  gitRef,
+  jsonRequester = requestGitHostJson,
+  onVerbose = null,
+  pool = createTaskPool(),
+  cache = null,
+  env = process.env
+) {
+  if (!gitRef) return { date: null, sha: null };
+  return runGitHostLookup(gitRef, 'commit', { jsonRequester, onVerbose, pool, cache, env });
+}
+
+async function runGitLatestCommitMeta(
+  gitRef,
+  jsonRequester = requestGitHostJson,
+  onVerbose = null,
+  pool = createTaskPool(),
+  cache = null,
+  env = process.env
+) {
+  if (!gitRef) return { date: null, sha: null };
+  return runGitHostLookup(gitRef, 'latest', { jsonRequester, onVerbose, pool, cache, env });
+}
+
+async function runGitCommitDate(gitRef, jsonRequester = requestGitHostJson) {
+  return (await runGitCommitMeta(gitRef, jsonRequester)).date;
+}
+
+function getShortGitHash(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return /^[0-9a-f]{7,40}$/i.test(trimmed) ? trimmed.slice(0, 7) : null;
+}
+
+function formatInstalledVersion(installedVersion, gitInfo = null) {
+  const shortHash = getShortGitHash(gitInfo?.sha) ?? getShortGitHash(gitInfo?.githubRef?.ref);
+  return shortHash ?? installedVersion ?? 'UNKNOWN';
+}
+
+function formatLatestVersion(latestVersion, gitInfo = null) {
+  if (gitInfo) {
+    return getShortGitHash(gitInfo.latestSha) ?? getShortGitHash(gitInfo.latestRef?.ref) ?? gitInfo.latestRef?.ref ?? '?';
+  }
+  return latestVersion ?? '?';
+}
+
+function parseSemver(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(
+    /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+  );
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function comparePrereleaseIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  if (aNumeric && bNumeric) return Number(a) - Number(b);
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a.localeCompare(b);
+}
+
+function compareSemverVersions(a, b) {
+  const parsedA = parseSemver(a);
+  const parsedB = parseSemver(b);
+  if (!parsedA || !parsedB) return null;
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (parsedA[key] !== parsedB[key]) return parsedA[key] - parsedB[key];
+  }
+
+  if (parsedA.prerelease.length === 0 && parsedB.prerelease.length === 0) return 0;
+  if (parsedA.prerelease.length === 0) return 1;
+  if (parsedB.prerelease.length === 0) return -1;
+
+  const maxLen = Math.max(parsedA.prerelease.length, parsedB.prerelease.length);
+  for (let idx = 0; idx < maxLen; idx++) {
+    const aPart = parsedA.prerelease[idx];
+    const bPart = parsedB.prerelease[idx];
+    if (aPart === undefined) return -1;
+    if (bPart === undefined) return 1;
+    const diff = comparePrereleaseIdentifiers(aPart, bPart);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function compareLatestToInstalled(latest, installed, gitInfo = null) {
+  if (!latest || latest === '?' || !installed || installed === 'UNKNOWN' || installed === 'NOT INSTALLED') {
+    return null;
+  }
+
+  if (gitInfo) {
+    const latestHash = getShortGitHash(gitInfo.latestSha);
+    const installedHash = getShortGitHash(gitInfo.sha) ?? getShortGitHash(gitInfo.githubRef?.ref);
+    if (latestHash && installedHash && latestHash === installedHash) return 'same';
+
+    const latestTs = getPublishTimestamp(gitInfo.latestDate);
+    const installedTs = getPublishTimestamp(gitInfo.date);
+    if (latestTs != null && installedTs != null) {
+      if (latestTs > installedTs) return 'newer';
+      if (latestTs < installedTs) return 'older';
+    }
+
+    if (latestHash && installedHash && latestHash !== installedHash) return 'different';
+    return null;
+  }
+
+  if (latest === installed) return 'same';
+  const semverComparison = compareSemverVersions(latest, installed);
+  if (semverComparison == null) return 'different';
+  if (semverComparison > 0) return 'newer';
+  if (semverComparison < 0) return 'older';
+  return 'different';
+}
+
+function formatLatestWithStatus(latest, latestStatus) {
+  if (!latestStatus || latestStatus === 'same') return latest ?? '?';
+  return `${latest ?? '?'} (${latestStatus})`;
+}
+
+function formatGitRef(gitRef) {
+  // `owner/repo#ref` on GitHub, `gitlab:`/`bitbucket:` shorthands elsewhere,
+  // and the hostname for self-hosted instances.
+  if (!gitRef) return '?';
+  const prefix = gitRef.origin
+    ? `${new URL(gitRef.origin).host}/`
+    : gitRef.host
+      ? `${gitRef.host}:`
+      : '';
+  return `${prefix}${gitRef.owner}/${gitRef.repo}${gitRef.ref ? `#${gitRef.ref}` : ''}`;
+}
+
+async function collectGitHostPackageInfoByPackage(
+  topDeps,
+  tree,
+  jsonRequester = requestGitHostJson,
+  onProgress = null,
+  packageLock = null,
+  onVerbose = null,
+  pool = createTaskPool(),
+  cache = null,
+  env = process.env
+) {
+  // Git-installed direct dependencies on any supported host.
+  const entries = [];
+  for (const [name, meta] of Object.entries(topDeps)) {
+    const node = tree.dependencies?.[name];
+    if (!node) continue;
+    const lockEntry = getPackageLockEntryForPackage(packageLock, name);
+    const gitRef = getGitCommitRefForNode(name, node, meta.wanted, lockEntry, env);
+    const latestRef = getGitTrackingRefForNode(name, node, meta.wanted, lockEntry, env) ?? gitRef;
+    if (gitRef) {
+      const { label } = GIT_HOST_ADAPTERS[gitRef.host ?? 'github'];
+      onVerbose?.(`${name}: ${label} installed ref ${formatGitRef(gitRef)}`);
+      onVerbose?.(`${name}: ${label} latest ref ${formatGitRef(latestRef)}`);
+      entries.push({ name, gitRef, latestRef });
+    }
+  }
+  for (const [host, { label }] of Object.entries(GIT_HOST_ADAPTERS)) {
+    const count = entries.filter(({ gitRef }) => (gitRef.host ?? 'github') === host).length;
+    if (host === 'github' || count > 0) onVerbose?.(`${label} packages detected: ${count}`);
+  }
+
+  // Both requests of every package go through the shared pool at once.
+  let done = 0;
+  const metas = await Promise.all(
+    entries.map(async ({ name, gitRef, latestRef }) => {
+      const meta = await Promise.all([
+        runGitCommitMeta(gitRef, jsonRequester, onVerbose, pool, cache, env),
+        runGitLatestCommitMeta(latestRef, jsonRequester, onVerbose, pool, cache, env),
+      ]);
+      onProgress?.({ current: ++done, total: entries.length, packageName: name });
+      return meta;
+    })
+  );
+
+  const byPackage = new Map();
+  for (let idx = 0; idx < entries.length; idx++) {
+    const { name, gitRef, latestRef } = entries[idx];
+    const [commitMeta, latestCommitMeta] = metas[idx];
+    byPackage.set(name, {
+      githubRef: gitRef,
+      latestRef,
+      date: commitMeta.date,
+      sha: commitMeta.sha ?? (getShortGitHash(gitRef.ref) ? gitRef.ref : null),
+      latestDate: latestCommitMeta.date,
+      latestSha: latestCommitMeta.sha,
+    });
+    onVerbose?.(
+      `${name}: installed commit ${getShortGitHash(commitMeta.sha) ?? getShortGitHash(gitRef.ref) ?? '?'} (${commitMeta.date ?? '?'})`
+    );
+    onVerbose?.(
+      `${name}: latest commit ${getShortGitHash(latestCommitMeta.sha) ?? '?'} (${latestCommitMeta.date ?? '?'})`
+    );
+  }
+  return byPackage;
+}
+
+async function collectGitHostCommitDatesByPackage(
+  topDeps,
+  tree,
+  jsonRequester = requestGitHostJson,
+  onProgress = null,
+  packageLock = null
+) {
+  const packageInfoByPackage = await collectGitHostPackageInfoByPackage(
+    topDeps,
+    tree,
+    jsonRequester,
+    onProgress,
+    packageLock
+  );
+  const byPackage = new Map();
+  for (const [name, info] of packageInfoByPackage.entries()) {
+    if (info.date) byPackage.set(name, info.date);
+  }
+  return byPackage;
+}
+
+const makeId = (name, version) => `${name}@${version || 'UNKNOWN'}`;
+
+function getApproxPathSize(path, pathSizeCache) {
+  if (!path) return 0;
+  const cached = pathSizeCache.get(path);
+  if (cached !== undefined) return cached;
+
+  let total = 0;
+  const stack = [path];
+
+  while (stack.length) {
+    const curPath = stack.pop();
+    let stat;
+    try {
+      stat = lstatSync(curPath);
+    } catch {
+      continue;
+    }
+
+    if (stat.isSymbolicLink()) continue;
+    if (stat.isFile()) {
       total += stat.size;
       continue;
     }
-    if (!stat.isDirectory()) continue;
+    if (!stat.isDirectory()) continue;
+
+    let entries;
+    try {
+      entries = readdirSync(curPath, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const entryPath = join(curPath, entry.name);
+      if (entry.isDirectory()) {
+        stack.push(entryPath);
+      } else if (entry.isFile()) {
+        try {
+          total += statSync(entryPath).size;
+        } catch {}
+      } else if (!entry.isSymbolicLink()) {
+        try {
+          const entryStat = statSync(entryPath);
+          if (entryStat.isFile()) total += entryStat.size;
+        } catch {}
+      }
+    }
+  }
+
+  pathSizeCache.set(path, total);
+  return total;
+}
+
+function getApproxNodeSize(node, pathSizeCache) {
+  // Lockfile-built nodes carry the registry-reported size instead of an
+  // installed path; `null` marks the size as unknown.
+  if (node && 'unpackedSize' in node) return Number.isFinite(node.unpackedSize) ? node.unpackedSize : null;
+  return getApproxPathSize(node?.path, pathSizeCache);
+}
+
+const addApproxBytes = (total, bytes) => (total == null || bytes == null ? null : total + bytes);
+
+function getApproxPathInodeSizes(path, pathSizeCache) {
+  // Like getApproxPathSize, but keyed by device and inode so hard-linked files
+  // (pnpm's content-addressed store) can be counted once across packages.
+  const cacheKey = `inodes:${path}`;
+  const cached = pathSizeCache.get(cacheKey);
+  if (cached !== undefined) return cached;
+
+  const sizes = new Map();
+  const stack = [path];
+  while (stack.length) {
+    const curPath = stack.pop();
+    let stat;
+    try {
+      stat = lstatSync(curPath);
+    } catch {
+      continue;
+    }
+    if (stat.isSymbolicLink()) continue;
+    if (stat.isFile()) {
+      sizes.set(`${stat.dev}:${stat.ino}`, stat.size);
+      continue;
+    }
+    if (!stat.isDirectory()) continue;
+
+    let entries;
+    try {
+      entries = readdirSync(curPath);
+    } catch {
+      continue;
+    }
+    for (const entry of entries) stack.push(join(curPath, entry));
+  }
+
+  pathSizeCache.set(cacheKey, sizes);
+  return sizes;
+}
+
+function createApproxBytesCounter(pathSizeCache) {
+  let total = 0;
+  const seenInodes = new Set();
+  return {
+    add(node) {
+      if (node?.hardLinked && node.path) {
+        if (total == null) return;
+        for (const [key, size] of getApproxPathInodeSizes(node.path, pathSizeCache)) {
+          if (seenInodes.has(key)) continue;
+          seenInodes.add(key);
+          total += size;
+        }
+        return;
+      }
+      total = addApproxBytes(total, getApproxNodeSize(node, pathSizeCache));
+    },
+    get total() {
+      return total;
+    },
+  };
+}
+
+const AUDIT_SEVERITY_RANKS = new Map([
+  ['low', 0],
+  ['moderate', 1],
+  ['high', 2],
+  ['critical', 3],
+]);
+const AUDIT_RANK_TO_SEVERITY = ['low', 'moderate', 'high', 'critical'];
+
+function toAuditSeverityRank(severity) {
+  if (typeof severity !== 'string') return -1;
+  const normalized = severity.toLowerCase();
+  const rank = AUDIT_SEVERITY_RANKS.get(normalized);
+  return rank === undefined ? -1 : rank;
+}
+
+function fromAuditSeverityRank(rank) {
+  return rank >= 0 && rank < AUDIT_RANK_TO_SEVERITY.length ? AUDIT_RANK_TO_SEVERITY[rank] : null;
+}
+
+const INSTALL_SCRIPTS = ['preinstall', 'install', 'postinstall'];
+
+function collectNativeBinaries(dir) {
+  // Prebuilt `.node` addons shipped in a package, skipping nested node_modules.
+  const files = [];
+  const stack = [''];
+  while (stack.length) {
+    const rel = stack.pop();
+    let entries;
+    try {
+      entries = readdirSync(join(dir, rel), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      const child = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && entry.name !== 'node_modules') stack.push(child);
+      else if (entry.isFile() && entry.name.endsWith('.node')) files.push(child);
+    }
+  }
+  return files.sort();
+}
+
+function getInstallRisk(node, riskCache) {
+  // Install-time lifecycle scripts and native addon markers of one installed
+  // package, read from its package.json and directory.
+  const key = node?.path ? resolve(node.path) : null;
+  if (key && riskCache.has(key)) return riskCache.get(key);
+  const manifest = key ? readJSON(join(key, 'package.json')) : null;
+  let risk;
+  if (!manifest) {
+    // Lockfile-only trees know that install scripts exist, not which ones.
+    const hasInstallScript = node?.hasInstallScript ?? node?.node?.hasInstallScript;
+    risk = { installScripts: hasInstallScript ? ['hasInstallScript'] : [], native: [] };
+  } else {
+    const scripts = manifest.scripts && typeof manifest.scripts === 'object' ? manifest.scripts : {};
+    const hasBindingGyp = existsSync(join(key, 'binding.gyp'));
+    const installScripts = INSTALL_SCRIPTS.flatMap(script => {
+      if (typeof scripts[script] === 'string' && scripts[script].trim()) return [script];
+      // npm runs `node-gyp rebuild` for a binding.gyp unless the package has
+      // its own install or preinstall script.
+      if (script === 'install' && hasBindingGyp && !scripts.preinstall) return ['install (node-gyp rebuild)'];
+      return [];
+    });
+    risk = { installScripts, native: [...(hasBindingGyp ? ['binding.gyp'] : []), ...collectNativeBinaries(key)] };
+  }
+  if (key) riskCache.set(key, risk);
+  return risk;
+}
+
+function collectSubtreeStats(
+  name,
+  node,
+  pathSizeCache,
+  outdatedMarkers = null,
+  auditMarkers = null,
+  graph = null,
+  riskCache = null
+) {
+  // Collect unique (name@version) for this dependency subtree.
+  // `subdeps` excludes the top-level dependency itself.
+  // With a graph from buildDependencyGraph, edges come from every occurrence of
+  // a package, since `npm ls` omits children on repeated occurrences.
+  // With a riskCache, subdeps with install scripts or native addons are listed.
+  // `libyear` sums the outdated entries of the whole subtree, the top-level
+  // dependency included.
+  const outdatedBreakdown = { major: 0, minor: 0, patch: 0 };
+  const installScriptPackages = [];
+  const nativePackages = [];
+  if (!node) {
+    return {
+      subdeps: 0,
+      outdatedSubdeps: 0,
+      outdatedBreakdown,
+      libyear: 0,
+      auditSubdeps: 0,
+      auditSeverity: null,
+      approxBytes: 0,
+      installScriptPackages,
+      nativePackages,
+    };
+  }
+
+  const seen = new Set();
+  let outdatedSubdeps = 0;
+  let libyear = 0;
+  let auditSubdeps = 0;
+  let auditSeverityRank = -1;
+  const approxBytes = createApproxBytesCounter(pathSizeCache);
+  const stack = [[name, node, 0]];
+
+  while (stack.length) {
+    const [curName, cur, depth] = stack.pop();
+    const id = makeId(curName, cur?.version);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    approxBytes.add(cur);
+    const outdated = isOutdatedNode(curName, cur, outdatedMarkers);
+    const outdatedEntry = outdated ? getOutdatedEntry(curName, cur, outdatedMarkers) : null;
+    libyear += outdatedEntry?.libyear ?? 0;
+    if (depth > 0) {
+      if (outdated) {
+        outdatedSubdeps++;
+        if (outdatedEntry?.drift) outdatedBreakdown[outdatedEntry.drift]++;
+      }
+      const severityRank = getAuditSeverityRankForNode(curName, cur, auditMarkers);
+      if (severityRank >= 0) {
+        auditSubdeps++;
+        if (severityRank > auditSeverityRank) auditSeverityRank = severityRank;
+      }
+      if (riskCache) {
+        const risk = getInstallRisk(cur, riskCache);
+        if (risk.installScripts.length > 0) installScriptPackages.push({ id, scripts: risk.installScripts });
+        if (risk.native.length > 0) nativePackages.push({ id, files: risk.native });
+      }
+    }
+
+    if (graph?.edges.has(id)) {
+      for (const childId of graph.edges.get(id)) {
+        const child = graph.nodes.get(childId);
+        stack.push([child.name, child, depth + 1]);
+      }
+    } else if (cur && cur.dependencies) {
+      for (const [n2, c2] of Object.entries(cur.dependencies)) {
+        stack.push([n2, c2, depth + 1]);
+      }
+    }
+  }
+
+  return {
+    subdeps: Math.max(0, seen.size - 1),
+    outdatedSubdeps,
+    outdatedBreakdown,
+    libyear: Math.round(libyear * 100) / 100,
+    auditSubdeps,
+    auditSeverity: fromAuditSeverityRank(auditSeverityRank),
+    approxBytes: approxBytes.total,
+    installScriptPackages: installScriptPackages.sort((a, b) => a.id.localeCompare(b.id)),
+    nativePackages: nativePackages.sort((a, b) => a.id.localeCompare(b.id)),
+  };
+}
+
+function collectOutdatedMarkers(root, outdatedJson) {
+  // `entries` maps both paths and ids to { name, current, latest, drift }.
+  const paths = new Set();
+  const ids = new Set();
+  const entries = new Map();
+  if (!outdatedJson || typeof outdatedJson !== 'object') return { paths, ids, entries };
+
+  const visit = (value, keyHint = null) => {
+    if (!value || typeof value !== 'object') return;
+
+    if (Array.isArray(value)) {
+      for (const item of value) visit(item, null);
+      return;
+    }
+
+    const isEntry =
+      typeof value.current === 'string' &&
+      (typeof value.latest === 'string' || typeof value.wanted === 'string' || value.latest === null);
+
+    if (isEntry) {
+      const name = typeof value.name === 'string' ? value.name : keyHint;
+      const latest = typeof value.latest === 'string' ? value.latest : null;
+      const entry = { name, current: value.current, latest, drift: getVersionDrift(value.current, latest) };
+      if (name) {
+        ids.add(makeId(name, value.current));
+        entries.set(makeId(name, value.current), entry);
+      }
+      if (typeof value.location === 'string' && value.location) {
+        paths.add(resolve(root, value.location));
+        entries.set(resolve(root, value.location), entry);
+      }
+    }
+
+    for (const [k, v] of Object.entries(value)) {
+      if (v && typeof v === 'object') visit(v, k);
+    }
+  };
+
+  visit(outdatedJson);
+  return { paths, ids, entries };
+}
+
+function getVersionDrift(current, latest) {
+  // 'major', 'minor' or 'patch': the largest part `current` trails `latest` by.
+  if (!(compareSemverVersions(latest, current) > 0)) return null;
+  const from = parseSemver(current);
+  const to = parseSemver(latest);
+  if (from.major !== to.major) return 'major';
+  if (from.minor !== to.minor) return 'minor';
+  return 'patch';
+}
+
+function isOutdatedNode(name, node, outdatedMarkers) {
+  if (!outdatedMarkers) return false;
+  if (node?.path && outdatedMarkers.paths.has(resolve(node.path))) return true;
+  return outdatedMarkers.ids.has(makeId(name, node?.version));
+}
+
+function getOutdatedEntry(name, node, outdatedMarkers) {
+  if (!outdatedMarkers?.entries) return null;
+  const byPath = node?.path ? outdatedMarkers.entries.get(resolve(node.path)) : null;
+  return byPath ?? outdatedMarkers.entries.get(makeId(name, node?.version)) ?? null;
+}
+
+function collectAuditMarkers(root, auditJson) {
+  const pathSeverityRanks = new Map();
+  const packageSeverityRanks = new Map();
+  if (!auditJson || typeof auditJson !== 'object') return { pathSeverityRanks, packageSeverityRanks };
+
+  const addPath = (path, severityRank) => {
+    if (!path || severityRank < 0) return;
+    const abs = resolve(root, path);
+    const prev = pathSeverityRanks.get(abs);
+    if (prev === undefined || severityRank > prev) pathSeverityRanks.set(abs, severityRank);
+  };
+  const addPackage = (name, severityRank) => {
+    if (typeof name !== 'string' || !name || severityRank < 0) return;
+    const prev = packageSeverityRanks.get(name);
+    if (prev === undefined || severityRank > prev) packageSeverityRanks.set(name, severityRank);
+  };
+
+  if (auditJson.vulnerabilities && typeof auditJson.vulnerabilities === 'object') {
+    for (const [key, value] of Object.entries(auditJson.vulnerabilities)) {
+      if (!value || typeof value !== 'object') continue;
+      const name = typeof value.name === 'string' ? value.name : key;
+      const severityRank = toAuditSeverityRank(value.severity);
+      addPackage(name, severityRank);
+      if (Array.isArray(value.nodes)) {
+        for (const nodePath of value.nodes) {
+          if (typeof nodePath === 'string' && nodePath) addPath(nodePath, severityRank);
+        }
+      }
+    }
+  }
+
+  if (auditJson.advisories && typeof auditJson.advisories === 'object') {
+    for (const advisory of Object.values(auditJson.advisories)) {
+      if (!advisory || typeof advisory !== 'object') continue;
+      const severityRank = toAuditSeverityRank(advisory.severity);
+      addPackage(advisory.module_name, severityRank);
+    }
+  }
+
+  return { pathSeverityRanks, packageSeverityRanks };
+}
+
+function normalizeAuditFix(fixAvailable) {
+  // npm's `fixAvailable`: true, false, or the { name, version, isSemVerMajor }
+  // install that `npm audit fix --force` would make. Unknown (legacy reports) is null.
+  if (fixAvailable === true) return { available: true, isSemVerMajor: false, name: null, version: null };
+  if (fixAvailable === false) return { available: false, isSemVerMajor: false, name: null, version: null };
+  if (!fixAvailable || typeof fixAvailable !== 'object') return null;
+  return {
+    available: true,
+    isSemVerMajor: fixAvailable.isSemVerMajor === true,
+    name: typeof fixAvailable.name === 'string' ? fixAvailable.name : null,
+    version: typeof fixAvailable.version === 'string' ? fixAvailable.version : null,
+  };
+}
+
+function collectAuditAdvisories(root, auditJson, tree) {
+  // Every advisory in an `npm audit --json` report, unlike collectAuditMarkers
+  // which keeps only the worst severity. `ids` are the installed name@version
+  // the advisory applies to, or null when the report only names the package.
+  if (!auditJson || typeof auditJson !== 'object') return [];
+  const idsByPath = new Map();
+  const visited = new Set();
+  const stack = Object.entries(tree?.dependencies ?? {});
+  while (stack.length) {
+    const [name, node] = stack.pop();
+    if (!node || visited.has(node)) continue;
+    visited.add(node);
+    if (node.path) idsByPath.set(resolve(node.path), makeId(name, node.version));
+    stack.push(...Object.entries(node.dependencies ?? {}));
+  }
+
+  const byKey = new Map();
+  const add = (key, advisory) => {
+    const prev = byKey.get(key);
+    if (!prev) {
+      byKey.set(key, advisory);
+    } else if (prev.ids && advisory.ids) {
+      prev.ids = Array.from(new Set([...prev.ids, ...advisory.ids])).sort();
+    }
+  };
+  const cvssScore = cvss => (Number.isFinite(cvss?.score) && cvss.score > 0 ? cvss.score : null);
+
+  if (auditJson.vulnerabilities && typeof auditJson.vulnerabilities === 'object') {
+    for (const [key, value] of Object.entries(auditJson.vulnerabilities)) {
+      if (!value || typeof value !== 'object' || !Array.isArray(value.via)) continue;
+      const name = typeof value.name === 'string' ? value.name : key;
+      const paths = Array.isArray(value.nodes) ? value.nodes.filter(p => typeof p === 'string' && p) : [];
+      const ids = paths.map(p => idsByPath.get(resolve(root, p))).filter(Boolean);
+      // String `via` entries point at another vulnerable package; only objects are advisories.
+      for (const via of value.via) {
+        if (!via || typeof via !== 'object') continue;
+        const id = via.source ?? via.url ?? via.title;
+        add(`${name}:${id}`, {
+          id: id == null ? null : String(id),
+          name,
+          title: typeof via.title === 'string' ? via.title : null,
+          url: typeof via.url === 'string' ? via.url : null,
+          severity: toAuditSeverityRank(via.severity) >= 0 ? via.severity : value.severity ?? null,
+          cvss: cvssScore(via.cvss),
+          range: typeof via.range === 'string' ? via.range : null,
+          fix: normalizeAuditFix(value.fixAvailable),
+          ids: ids.length > 0 ? Array.from(new Set(ids)).sort() : null,
+        });
+      }
+    }
+  }
+
+  if (auditJson.advisories && typeof auditJson.advisories === 'object') {
+    for (const [key, advisory] of Object.entries(auditJson.advisories)) {
+      if (!advisory || typeof advisory !== 'object' || typeof advisory.module_name !== 'string') continue;
+      const name = advisory.module_name;
+      const versions = (advisory.findings ?? []).map(finding => finding?.version).filter(v => typeof v === 'string');
+      add(`${name}:${advisory.id ?? key}`, {
+        id: String(advisory.id ?? key),
+        name,
+        title: typeof advisory.title === 'string' ? advisory.title : null,
+        url: typeof advisory.url === 'string' ? advisory.url : null,
+        severity: typeof advisory.severity === 'string' ? advisory.severity : null,
+        cvss: cvssScore(advisory.cvss),
+        range: typeof advisory.vulnerable_versions === 'string' ? advisory.vulnerable_versions : null,
+        fix: null,
+        ids: versions.length > 0 ? Array.from(new Set(versions.map(v => makeId(name, v)))).sort() : null,
+      });
+    }
+  }
+
+  return Array.from(byKey.values());
+}
+
+function getAuditSeverityRankForNode(name, node, auditMarkers) {
+  if (!auditMarkers) return -1;
+  if (node?.path) {
+    const byPath = auditMarkers.pathSeverityRanks.get(resolve(node.path));
+    if (byPath !== undefined) return byPath;
+  }
+  const byPackage = auditMarkers.packageSeverityRanks.get(name);
+  return byPackage === undefined ? -1 : byPackage;
+}
+
+function collectAggregateApproxBytes(treeOrGraph, topDepNames, pathSizeCache) {
+  // Walks the merged graph like collectSubtreeStats does, so the aggregate
+  // covers every row's subtree. Accepts an npm ls tree or a prebuilt graph.
+  const graph = treeOrGraph?.nodes instanceof Map ? treeOrGraph : buildDependencyGraph(treeOrGraph);
+  const rootIds = topDepNames.map(name => graph.roots.get(name)).filter(Boolean);
+  const total = createApproxBytesCounter(pathSizeCache);
+  for (const id of collectReachableIds(graph, rootIds)) total.add(graph.nodes.get(id));
+  return total.total;
+}
+
+function buildDependencyGraph(tree) {
+  // Merge every occurrence of a (name@version) in the nested `npm ls` tree into
+  // one graph node, so deduped occurrences still contribute their edges.
+  const nodes = new Map();
+  const edges = new Map();
+  const roots = new Map();
+  const visited = new Set();
+  const stack = [];
+
+  for (const [name, node] of Object.entries(tree?.dependencies ?? {})) {
+    if (!node) continue;
+    roots.set(name, makeId(name, node.version));
+    stack.push([name, node]);
+  }
+
+  while (stack.length) {
+    const [name, cur] = stack.pop();
+    const id = makeId(name, cur?.version);
+    // Lockfile-built trees share node objects between parents.
+    if (visited.has(cur)) continue;
+    visited.add(cur);
+    if (!nodes.has(id)) {
+      const info = { name, version: cur?.version ?? null, path: cur?.path ?? null, node: cur };
+      if (cur && 'unpackedSize' in cur) info.unpackedSize = cur.unpackedSize;
+      if (cur?.hardLinked) info.hardLinked = true;
+      nodes.set(id, info);
+      edges.set(id, new Set());
+    } else if (!nodes.get(id).path && cur?.path) {
+      nodes.get(id).path = cur.path;
+    }
+
+    if (cur && cur.dependencies) {
+      for (const [n2, c2] of Object.entries(cur.dependencies)) {
+        if (!c2) continue;
+        edges.get(id).add(makeId(n2, c2.version));
+        stack.push([n2, c2]);
+      }
+    }
+  }
+
+  return { nodes, edges, roots };
+}
+
+function collectReachableIds(graph, startIds, skipIds = null) {
+  const seen = new Set();
+  const stack = [...startIds];
+  while (stack.length) {
+    const id = stack.pop();
+    if (seen.has(id) || !graph.nodes.has(id) || skipIds?.has(id)) continue;
+    seen.add(id);
+    for (const next of graph.edges.get(id) ?? []) stack.push(next);
+  }
+  return seen;
+}
+
+function collectSubdepIds(graph, name) {
+  // Sorted transitive (name@version) ids below one direct dependency, as saved
+  // in snapshots for `rank-subdeps diff`.
+  const rootId = graph.roots.get(name);
+  if (!rootId) return [];
+  const ids = collectReachableIds(graph, [rootId]);
+  ids.delete(rootId);
+  return Array.from(ids).sort();
+}
+
+function collectFlaggedSubdeps(graph, name, outdatedMarkers = null, auditMarkers = null) {
+  // The subdeps behind `outdatedSubdeps` and `auditSubdeps`, for report details.
+  const outdated = [];
+  const audited = [];
+  for (const id of collectSubdepIds(graph, name)) {
+    const info = graph.nodes.get(id);
+    if (isOutdatedNode(info.name, info, outdatedMarkers)) outdated.push(id);
+    const severityRank = getAuditSeverityRankForNode(info.name, info, auditMarkers);
+    if (severityRank >= 0) audited.push({ id, severity: fromAuditSeverityRank(severityRank) });
+  }
+  audited.sort(
+    (a, b) => toAuditSeverityRank(b.severity) - toAuditSeverityRank(a.severity) || a.id.localeCompare(b.id)
+  );
+  return { outdated, audited };
+}
+
+function collectDependencyAdvisories(graph, name, advisories) {
+  // Advisories from collectAuditAdvisories that hit a direct dependency's
+  // subtree (the dependency itself included), worst first.
+  const rootId = graph.roots.get(name);
+  if (!rootId) return [];
+  const reachable = collectReachableIds(graph, [rootId]);
+  const found = [];
+  for (const { ids, ...advisory } of advisories) {
+    const packages = ids
+      ? ids.filter(id => reachable.has(id))
+      : Array.from(reachable).filter(id => graph.nodes.get(id)?.name === advisory.name);
+    if (packages.length > 0) found.push({ ...advisory, packages: packages.sort() });
+  }
+  return found.sort(
+    (a, b) =>
+      toAuditSeverityRank(b.severity) - toAuditSeverityRank(a.severity) ||
+      (b.cvss ?? 0) - (a.cvss ?? 0) ||
+      String(a.title).localeCompare(String(b.title))
+  );
+}
+
+function collectExclusiveStats(graph, topDepNames, pathSizeCache, retainedIds = null) {
+  // A package is exclusive to a direct dependency when no other root of the
+  // tree reaches it, i.e. it would leave node_modules along with that dependency.
+  // `retainedIds` are kept installed by roots outside `graph.roots` (sibling
+  // workspaces and the root project when reporting one workspace).
+  const reachableByName = new Map();
+  const reachCounts = new Map();
+  const rootNames = new Set([...graph.roots.keys(), ...topDepNames]);
+
+  for (const name of rootNames) {
+    const rootId = graph.roots.get(name);
+    if (!rootId) continue;
+    const reachable = collectReachableIds(graph, [rootId]);
+    reachableByName.set(name, reachable);
+    for (const id of reachable) reachCounts.set(id, (reachCounts.get(id) ?? 0) + 1);
+  }
+
+  const byPackage = new Map();
+  for (const name of topDepNames) {
+    const reachable = reachableByName.get(name);
+    if (!reachable) {
+      byPackage.set(name, { exclusiveSubdeps: 0, exclusiveApproxBytes: 0 });
+      continue;
+    }
+    const rootId = graph.roots.get(name);
+    let exclusiveSubdeps = 0;
+    const exclusiveApproxBytes = createApproxBytesCounter(pathSizeCache);
+    for (const id of reachable) {
+      if (reachCounts.get(id) !== 1 || retainedIds?.has(id)) continue;
+      if (id !== rootId) exclusiveSubdeps++;
+      exclusiveApproxBytes.add(graph.nodes.get(id));
+    }
+    byPackage.set(name, { exclusiveSubdeps, exclusiveApproxBytes: exclusiveApproxBytes.total });
+  }
+
+  return byPackage;
+}
+
+// License restrictiveness, least to most restrictive. Ids outside these
+// families and the permissive list below are ranked as unknown (-1).
+const LICENSE_CATEGORIES = [
+  'public domain',
+  'permissive',
+  'weak copyleft',
+  'strong copyleft',
+  'network copyleft',
+  'proprietary',
+];
+const LICENSE_RANK_PATTERNS = [
+  [/^(?:Unlicense|CC0-1\.0|0BSD|WTFPL|MIT-0)$/, 0],
+  [/^(?:LGPL|MPL|EPL|CDDL|CC-BY-SA|EUPL|OSL|MS-RL|CPL)-/, 2],
+  [/^GPL-/, 3],
+  [/^(?:AGPL|SSPL)-/, 4],
+  [/^UNLICENSED$/, 5],
+];
+const PERMISSIVE_LICENSES = [
+  'MIT',
+  'ISC',
+  'Apache-2.0',
+  'Apache-1.1',
+  'BSD-2-Clause',
+  'BSD-3-Clause',
+  'BSD-3-Clause-Clear',
+  'Zlib',
+  'BlueOak-1.0.0',
+  'Python-2.0',
+  'PSF-2.0',
+  'CC-BY-3.0',
+  'CC-BY-4.0',
+  'Artistic-2.0',
+  'BSL-1.0',
+  'Unicode-DFS-2016',
+  'OFL-1.1',
+  'UPL-1.0',
+  'X11',
+  'ODC-By-1.0',
+];
+const MISSING_LICENSE = 'UNKNOWN';
+
+const compactLicenseKey = value =>
+  String(value)
+    .toLowerCase()
+    .replace(/\b(?:licen[sc]e|version)\b/g, '')
+    .replace(/v(?=\d)/g, '')
+    .replace(/[\s_,-]+/g, '');
+
+// Compact spelling → SPDX id, including the deprecated `GPL-3.0`/`GPL-3.0+`
+// forms and common aliases such as `Apache 2.0` or `GPLv3`.
+const LICENSE_ALIASES = (() => {
+  const aliases = new Map();
+  const add = (alias, id) => aliases.set(compactLicenseKey(alias), id);
+  for (const id of [
+    ...PERMISSIVE_LICENSES,
+    'Unlicense',
+    'CC0-1.0',
+    '0BSD',
+    'WTFPL',
+    'MIT-0',
+    'MPL-1.1',
+    'MPL-2.0',
+    'EPL-1.0',
+    'EPL-2.0',
+    'CDDL-1.0',
+    'CDDL-1.1',
+    'CC-BY-SA-3.0',
+    'CC-BY-SA-4.0',
+    'EUPL-1.2',
+    'OSL-3.0',
+    'SSPL-1.0',
+    'UNLICENSED',
+  ]) {
+    add(id, id);
+  }
+  for (const [family, versions] of [
+    ['GPL', ['2.0', '3.0']],
+    ['LGPL', ['2.0', '2.1', '3.0']],
+    ['AGPL', ['1.0', '3.0']],
+  ]) {
+    for (const version of versions) {
+      const only = `${family}-${version}-only`;
+      add(only, only);
+      add(`${family}-${version}`, only);
+      // `GPLv2`-style majors mean the first release of that major.
+      if (!aliases.has(compactLicenseKey(`${family}-${version.split('.')[0]}`))) {
+        add(`${family}-${version.split('.')[0]}`, only);
+      }
+      add(`${family}-${version}-or-later`, `${family}-${version}-or-later`);
+      add(`${family}-${version}+`, `${family}-${version}-or-later`);
+    }
+  }
+  add('Apache 2', 'Apache-2.0');
+  add('ASL 2.0', 'Apache-2.0');
+  add('MIT/X11', 'MIT');
+  add('BSD 2', 'BSD-2-Clause');
+  add('Simplified BSD', 'BSD-2-Clause');
+  add('BSD 3', 'BSD-3-Clause');
+  add('New BSD', 'BSD-3-Clause');
+  add('MPL 2', 'MPL-2.0');
+  add('CC0', 'CC0-1.0');
+  return aliases;
+})();
+
+function parseLicenseExpression(expression) {
+  // SPDX expression → alternatives (OR) of license ids that all apply (AND),
+  // e.g. `(MIT OR Apache-2.0) AND BSD-3-Clause` → [[MIT, BSD-3-Clause], [Apache-2.0, BSD-3-Clause]].
+  // `WITH` exceptions keep the base license. Returns null when it does not parse.
+  const tokens = String(expression).match(/\(|\)|[^\s()]+/g) ?? [];
+  let pos = 0;
+  const isOperator = token => /^(?:AND|OR|WITH)$/i.test(token ?? '');
+  const parseAtom = () => {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[pos++] !== ')') return null;
+      return inner;
+    }
+    if (!token || token === ')' || isOperator(token)) return null;
+    if (/^WITH$/i.test(tokens[pos] ?? '')) pos += 2;
+    return [[token]];
+  };
+  const parseAnd = () => {
+    let left = parseAtom();
+    while (left && /^AND$/i.test(tokens[pos] ?? '')) {
+      pos++;
+      const right = parseAtom();
+      if (!right) return null;
+      left = left.flatMap(a => right.map(b => [...a, ...b]));
+    }
+    return left;
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (left && /^OR$/i.test(tokens[pos] ?? '')) {
+      pos++;
+      const right = parseAnd();
+      if (!right) return null;
+      left = [...left, ...right];
+    }
+    return left;
+  };
+  const alternatives = tokens.length > 0 ? parseOr() : null;
+  return alternatives && pos === tokens.length ? alternatives : null;
+}
+
+function normalizeLicense(raw) {
+  // package.json `license` (or legacy `licenses`) → SPDX id or expression.
+  // Values that cannot be normalized are kept as written, trimmed.
+  if (Array.isArray(raw)) {
+    const parts = raw.map(normalizeLicense).filter(Boolean);
+    if (parts.length === 0) return null;
+    return parts.length === 1 ? parts[0] : parts.map(part => (part.includes(' ') ? `(${part})` : part)).join(' OR ');
+  }
+  if (raw && typeof raw === 'object') return normalizeLicense(raw.type);
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const value = raw.trim();
+  const alias = LICENSE_ALIASES.get(compactLicenseKey(value));
+  if (alias) return alias;
+  if (!parseLicenseExpression(value)) return value;
+
+  const tokens = value.match(/\(|\)|[^\s()]+/g);
+  const normalized = tokens
+    .map((token, idx) => {
+      if (token === '(' || token === ')') return token;
+      if (/^(?:AND|OR|WITH)$/i.test(token)) return token.toUpperCase();
+      // Exception names after WITH are not license ids.
+      if (/^WITH$/i.test(tokens[idx - 1] ?? '')) return token;
+      return LICENSE_ALIASES.get(compactLicenseKey(token)) ?? token;
+    })
+    .join(' ')
+    .replace(/\( /g, '(')
+    .replace(/ \)/g, ')');
+  // Drop the parentheses npm suggests around a whole expression.
+  const unwrapped = normalized.startsWith('(') && normalized.endsWith(')') ? normalized.slice(1, -1) : normalized;
+  return parseLicenseExpression(unwrapped) ? unwrapped : normalized;
+}
+
+function getLicenseIdRank(id) {
+  for (const [pattern, rank] of LICENSE_RANK_PATTERNS) {
+    if (pattern.test(id)) return rank;
+  }
+  return PERMISSIVE_LICENSES.includes(id) ? 1 : -1;
+}
+
+function getLicenseRank(license) {
+  // Rank of the least restrictive alternative, each ranked by its most
+  // restrictive part; -1 when no part is a known license.
+  const alternatives = license ? parseLicenseExpression(license) : null;
+  if (!alternatives) return license ? getLicenseIdRank(license) : -1;
+  let best = null;
+  for (const ids of alternatives) {
+    const rank = Math.max(...ids.map(getLicenseIdRank));
+    if (rank >= 0 && (best === null || rank < best)) best = rank;
+  }
+  return best ?? -1;
+}
+
+function getLicenseCategory(license) {
+  return LICENSE_CATEGORIES[getLicenseRank(license)] ?? 'unknown';
+}
+
+function isSpdxLicense(license) {
+  // True when every id in the expression is a known SPDX license, for SBOMs.
+  const alternatives = license ? parseLicenseExpression(license) : null;
+  return !!alternatives && alternatives.every(ids => ids.every(id => id !== 'UNLICENSED' && getLicenseIdRank(id) >= 0));
+}
+
+function compareLicenses(a, b) {
+  // Most restrictive first; unknown and missing licenses last.
+  return getLicenseRank(b) - getLicenseRank(a) || (a === MISSING_LICENSE) - (b === MISSING_LICENSE) || a.localeCompare(b);
+}
+
+function getNodeLicense(info, licenseCache) {
+  // The installed package.json `license`, as `npm ls --long` and lockfiles
+  // report it, falling back to reading the package.json on disk.
+  const id = makeId(info.name, info.version);
+  if (licenseCache.has(id)) return licenseCache.get(id);
+  let raw = info.node?.license ?? info.node?.licenses;
+  if (raw == null && info.path) {
+    const installedPkg = readJSON(join(info.path, 'package.json'));
+    raw = installedPkg?.license ?? installedPkg?.licenses;
+  }
+  const license = normalizeLicense(raw) ?? MISSING_LICENSE;
+  licenseCache.set(id, license);
+  return license;
+}
+
+function collectSubtreeLicenses(graph, name, licenseCache = new Map()) {
+  // license → sorted ids of the packages under one direct dependency
+  // (itself included) that declare it.
+  const byLicense = new Map();
+  const rootId = graph.roots.get(name);
+  if (!rootId) return byLicense;
+  for (const id of Array.from(collectReachableIds(graph, [rootId])).sort()) {
+    const license = getNodeLicense(graph.nodes.get(id), licenseCache);
+    if (!byLicense.has(license)) byLicense.set(license, []);
+    byLicense.get(license).push(id);
+  }
+  return byLicense;
+}
+
+function collectLicenseInventory(graph, results, licenseCache = new Map()) {
+  // Every license in the ranked subtrees, with its packages and the direct
+  // dependencies that pull them in.
+  const inventory = new Map();
+  for (const r of results) {
+    for (const [license, ids] of collectSubtreeLicenses(graph, r.name, licenseCache)) {
+      if (!inventory.has(license)) inventory.set(license, { packages: new Set(), dependencies: new Set() });
+      const entry = inventory.get(license);
+      for (const id of ids) entry.packages.add(id);
+      entry.dependencies.add(r.name);
+    }
+  }
+  return Array.from(inventory.keys())
+    .sort(compareLicenses)
+    .map(license => ({
+      license,
+      category: getLicenseCategory(license),
+      packages: Array.from(inventory.get(license).packages).sort(),
+      dependencies: Array.from(inventory.get(license).dependencies).sort(),
+    }));
+}
+
+function getLicenseBase(id) {
+  // `GPL-3.0-only` and `GPL-3.0-or-later` both match a `GPL-3.0` rule.
+  return id.replace(/-(?:only|or-later)$/, '');
+}
+
+function collectDisallowedLicenses(licenses, policy) {
+  // Licenses that break --license-deny/--license-allow. An expression is
+  // disallowed when every alternative contains a disallowed license.
+  const deny = new Set((policy.deny ?? []).map(getLicenseBase));
+  const allow = policy.allow?.length ? new Set(policy.allow.map(getLicenseBase)) : null;
+  const isDisallowed = id => deny.has(getLicenseBase(id)) || (allow !== null && !allow.has(getLicenseBase(id)));
+  return licenses.filter(license => {
+    const alternatives = parseLicenseExpression(license) ?? [[license]];
+    return alternatives.every(ids => ids.some(isDisallowed));
+  });
+}
+
+function formatLicenseSummary(r) {
+  if (!r.licenses) return '?';
+  const unknown = r.licenses.filter(license => getLicenseRank(license) < 0).length;
+  if (!r.license) return unknown > 0 ? `? (${unknown} unknown)` : '?';
+  return unknown > 0 ? `${r.license} (+${unknown} unknown)` : r.license;
+}
+
+function parsePackageSpec(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  const value = raw.trim();
+  const at = value.lastIndexOf('@');
+  if (at > 0) return { name: value.slice(0, at), version: value.slice(at + 1) || null };
+  return { name: value, version: null };
+}
+
+// Paths listed per direct dependency by `why`; diamond-heavy graphs can have
+// exponentially many.
+const WHY_MAX_PATHS = 20;
+
+function collectWhyPaths(graph, spec, outdatedMarkers = null, auditMarkers = null, riskCache = null) {
+  // List the shortest paths (up to WHY_MAX_PATHS) from each top-level
+  // dependency to the matching package; `truncated` marks groups with more.
+  const targets = new Set();
+  for (const [id, info] of graph.nodes.entries()) {
+    if (info.name === spec.name && (!spec.version || info.version === spec.version)) targets.add(id);
+  }
+
+  // Reverse reachability from the matches, so cycles cannot hide a path.
+  const parents = new Map();
+  for (const [id, children] of graph.edges.entries()) {
+    for (const child of children) {
+      if (!parents.has(child)) parents.set(child, new Set());
+      parents.get(child).add(id);
+    }
+  }
+  // Hops from each node to its nearest match, by breadth-first search.
+  const distance = new Map(Array.from(targets, id => [id, 0]));
+  const pending = [...targets];
+  for (let i = 0; i < pending.length; i++) {
+    const id = pending[i];
+    for (const parent of parents.get(id) ?? []) {
+      if (distance.has(parent)) continue;
+      distance.set(parent, distance.get(id) + 1);
+      pending.push(parent);
+    }
+  }
+
+  const toHop = id => {
+    const info = graph.nodes.get(id);
+    const node = { version: info.version, path: info.path };
+    const severityRank = getAuditSeverityRankForNode(info.name, node, auditMarkers);
+    const risk = riskCache ? getInstallRisk(info, riskCache) : null;
+    return {
+      name: info.name,
+      version: info.version,
+      outdated: outdatedMarkers ? isOutdatedNode(info.name, node, outdatedMarkers) : null,
+      auditSeverity: auditMarkers ? fromAuditSeverityRank(severityRank) : null,
+      installScripts: risk ? risk.installScripts : null,
+      native: risk ? risk.native : null,
+    };
+  };
+
+  const results = [];
+  for (const [name, rootId] of graph.roots.entries()) {
+    if (!distance.has(rootId)) continue;
+    // Best-first over partial paths, keyed by the shortest length they can
+    // still complete to, so paths come out shortest first and the search
+    // stops one past the cap instead of enumerating every path.
+    const buckets = [];
+    const push = trail => {
+      const length = trail.length + distance.get(trail[trail.length - 1]);
+      (buckets[length] ??= []).push(trail);
+    };
+    push([rootId]);
+    const found = [];
+    for (let length = 0; length < buckets.length && found.length <= WHY_MAX_PATHS; length++) {
+      const bucket = buckets[length] ?? [];
+      while (bucket.length && found.length <= WHY_MAX_PATHS) {
+        const trail = bucket.pop();
+        const id = trail[trail.length - 1];
+        if (targets.has(id)) found.push(trail);
+        for (const next of graph.edges.get(id) ?? []) {
+          if (distance.has(next) && !trail.includes(next)) push([...trail, next]);
+        }
+      }
+    }
+    if (found.length === 0) continue;
+    const truncated = found.length > WHY_MAX_PATHS;
+    results.push({ name, paths: found.slice(0, WHY_MAX_PATHS).map(trail => trail.map(toHop)), truncated });
+  }
+
+  results.sort((a, b) => a.name.localeCompare(b.name));
+  return { matches: Array.from(targets).sort(), results };
+}
+
+function formatWhyHop(hop) {
+  const markers = [];
+  if (hop.outdated) markers.push('outdated');
+  if (hop.auditSeverity) markers.push(`audit: ${hop.auditSeverity}`);
+  if (hop.installScripts?.length > 0) markers.push(`install scripts: ${hop.installScripts.join(', ')}`);
+  if (hop.native?.length > 0) markers.push('native');
+  const label = makeId(hop.name, hop.version);
+  return markers.length > 0 ? `${label} (${markers.join(', ')})` : label;
+}
+
+function formatApproxBytes(bytes) {
+  if (bytes == null) return '?';
+  if (!Number.isFinite(bytes) || bytes <= 0) return '~0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unitIdx = 0;
+
+  while (value >= 1024 && unitIdx < units.length - 1) {
+    value /= 1024;
+    unitIdx++;
+  }
+
+  const text = value >= 10 || unitIdx === 0 ? String(Math.round(value)) : value.toFixed(1);
+  return `~${text} ${units[unitIdx]}`;
+}
+
+function formatLastUpdated(value) {
+  if (typeof value !== 'string' || !value) return '?';
+  const date = new Date(value);
+  if (!Number.isFinite(date.valueOf())) return value;
+  return date.toISOString().slice(0, 10);
+}
+
+function getPublishTimestamp(value) {
+  if (typeof value !== 'string' || !value) return null;
+  const ts = Date.parse(value);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+function getEffectiveSortDirection(sortMode, direction) {
+  if (direction === 'asc' || direction === 'desc') return direction;
+  if (sortMode === 'name') return 'asc';
+  return 'desc';
+}
+
+const pad = (str, len) => {
+  str = String(str);
+  return str.length >= len ? str : str + ' '.repeat(len - str.length);
+};
+
+const CONFIG_FILES = ['.rank-subdepsrc.json', 'rank-subdeps.config.js'];
+const CONFIG_PACKAGE_KEY = 'rank-subdeps';
+// Config keys and the CLI flags they stand for.
+const CONFIG_FLAGS = {
+  json: '--json',
+  format: '--format',
+  columns: '--columns',
+  output: '--output',
+  save: '--save',
+  compareRef: '--compare-ref',
+  failOn: '--fail-on',
+  failOnAudit: '--fail-on-audit',
+  auditDetails: '--audit-details',
+  graph: '--graph',
+  graphRoot: '--graph-root',
+  graphDepth: '--graph-depth',
+  sbom: '--sbom',
+  licenses: '--licenses',
+  licenseDeny: '--license-deny',
+  licenseAllow: '--license-allow',
+  lockfile: '--lockfile',
+  packageManager: '--package-manager',
+  workspaces: '--workspaces',
+  workspace: '--workspace',
+  verbose: '--verbose',
+  concurrency: '--concurrency',
+  offline: '--offline',
+  cache: '--no-cache',
+  cacheDir: '--cache-dir',
+  top: '--top',
+  sort: '--sort',
+  direction: '--direction',
+  omit: '--omit',
+  include: '--include',
+};
+const BOOLEAN_CONFIG_KEYS = new Set([
+  'json',
+  'auditDetails',
+  'licenses',
+  'lockfile',
+  'workspaces',
+  'verbose',
+  'offline',
+  'cache',
+]);
+// Boolean settings that are on by default and spelled as a `--no-*` flag.
+const NEGATED_CONFIG_KEYS = new Set(['cache']);
+
+function exitWithUsageError(message, source = null) {
+  console.error(source ? `${message} (in ${source})` : message);
+  printHelpAndExit(1);
+}
+
+async function loadConfigAsync(root) {
+  // First match wins: .rank-subdepsrc.json, rank-subdeps.config.js, then the
+  // "rank-subdeps" key in package.json.
+  for (const file of CONFIG_FILES) {
+    const configPath = join(root, file);
+    if (!existsSync(configPath)) continue;
+    try {
+      if (file.endsWith('.json')) return { source: file, settings: JSON.parse(readFileSync(configPath, 'utf8')) };
+      const mod = await import(pathToFileURL(configPath).href);
+      return { source: file, settings: mod.default ?? mod };
+    } catch (err) {
+      throw new Error(`Could not load ${file}: ${err?.message || String(err)}`);
+    }
+  }
+  const pkg = readJSON(join(root, 'package.json'));
+  if (pkg?.[CONFIG_PACKAGE_KEY] !== undefined) {
+    return { source: `package.json "${CONFIG_PACKAGE_KEY}"`, settings: pkg[CONFIG_PACKAGE_KEY] };
+  }
+  return null;
+}
+
+function configToArgv(settings, source) {
+  // Turn config settings into flags so parseArgs validates both the same way.
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    exitWithUsageError('Config must be an object of settings', source);
+  }
+  const tokens = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const flag = CONFIG_FLAGS[key];
+    if (!flag) exitWithUsageError(`Unknown config key: ${key}`, source);
+    if (value == null) continue;
+    if (BOOLEAN_CONFIG_KEYS.has(key)) {
+      if (typeof value !== 'boolean') exitWithUsageError(`Invalid config value for ${key}: expected true or false`, source);
+      if (NEGATED_CONFIG_KEYS.has(key) ? !value : value) tokens.push(flag);
+    } else if (key === 'failOn' && typeof value === 'object' && !Array.isArray(value)) {
+      const rules = Object.entries(value).filter(([, limit]) => limit != null);
+      if (rules.length > 0) tokens.push(flag, rules.map(([rule, limit]) => `${rule}=${limit}`).join(','));
+    } else if (
+      Array.isArray(value) &&
+      ['workspace', 'omit', 'include', 'failOn', 'columns', 'licenseDeny', 'licenseAllow'].includes(key)
+    ) {
+      if (key === 'workspace') {
+        for (const item of value) tokens.push(flag, String(item));
+      } else if (value.length > 0) {
+        tokens.push(flag, value.join(','));
+      }
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      tokens.push(flag, String(value));
+    } else {
+      exitWithUsageError(`Invalid config value for ${key}: expected a string or number`, source);
+    }
+  }
+  return tokens;
+}
+
+function getEffectiveSettings(args) {
+  // Config-shaped view of parsed args, for --print-config.
+  return {
+    json: args.json,
+    format: args.format,
+    columns: args.columns,
+    output: args.output,
+    save: args.save,
+    compareRef: args.compareRef,
+    // License rules have their own keys rather than a --fail-on limit.
+    failOn: Object.fromEntries(Object.entries(args.failOn).filter(([rule]) => rule !== 'license')),
+    auditDetails: args.auditDetails,
+    licenses: args.licenses,
+    licenseDeny: args.licenseDeny,
+    licenseAllow: args.licenseAllow,
+    graph: args.graph,
+    graphRoot: args.graphRoot,
+    graphDepth: args.graphDepth,
+    sbom: args.sbom,
+    lockfile: args.lockfile,
+    packageManager: args.packageManager,
+    workspaces: args.workspaces,
+    workspace: args.workspace,
+    verbose: args.verbose,
+    concurrency: args.concurrency,
+    offline: args.offline,
+    cache: args.cache,
+    cacheDir: args.cacheDir,
+    top: args.top,
+    sort: args.sort,
+    direction: args.direction,
+    omit: Array.from(args.omit).sort(),
+    include: Array.from(args.include).sort(),
+  };
+}
+
+function createDefaultArgs() {
+  return {
+    command: null,
+    whyTarget: null,
+    diffFiles: [],
+    json: false,
+    format: 'table',
+    columns: null,
+    output: null,
+    save: null,
+    compareRef: null,
+    failOn: {},
+    auditDetails: false,
+    licenses: false,
+    licenseDeny: [],
+    licenseAllow: [],
+    graph: null,
+    graphRoot: null,
+    graphDepth: null,
+    sbom: null,
+    lockfile: false,
+    packageManager: null,
+    workspace: [],
+    workspaces: false,
+    verbose: false,
+    printConfig: false,
+    configFile: null,
+    concurrency: DEFAULT_CONCURRENCY,
+    offline: false,
+    cache: true,
+    cacheDir: null,
+    refresh: false,
+    top: 10,
+    sort: 'subdeps',
+    direction: null,
+    // npm-like default: omit dev when NODE_ENV=production
+    omit: new Set(process.env.NODE_ENV === 'production' ? ['dev'] : []),
+    include: new Set(),
+  };
+}
+
+function parseArgs(argv, config = null) {
+  // `config` comes from loadConfigAsync. Its settings are applied first,
+  // through the same validation as flags, so CLI flags override them.
+  const args = createDefaultArgs();
+  const allowedTypes = new Set(['dev', 'optional', 'peer']);
+  const allowedSorts = new Set(['subdeps', 'exclusive', 'size', 'name', 'publish', 'libyear']);
+  const allowedDirections = new Set(['asc', 'desc']);
+  const allowedFormats = new Set(['table', 'json', 'markdown', 'csv', 'tsv', 'html', 'sarif']);
+  const applyTokens = (tokens, source, listKeysToReset) => {
+    const fail = message => exitWithUsageError(message, source);
+    // A list flag given on the CLI replaces the config's list instead of extending it.
+    const resetListOnce = key => {
+      if (listKeysToReset?.delete(key)) args[key] = createDefaultArgs()[key];
+    };
+    const addTypes = (raw, flag) => {
+      if (!raw || raw.startsWith('-')) {
+        fail(`Missing value for ${flag}. Supported values: dev, optional, peer`);
+      }
+      const values = raw.split(',').map(x => x.trim()).filter(Boolean);
+      if (values.length === 0) {
+        fail(`Missing value for ${flag}. Supported values: dev, optional, peer`);
+      }
+      const unsupported = values.filter(x => !allowedTypes.has(x));
+      if (unsupported.length > 0) {
+        fail(`Unsupported ${flag} value(s): ${unsupported.join(', ')}`);
+      }
+      return values;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const a = tokens[i];
+      if ((a === 'why' || a === 'diff') && i === 0 && !source) {
+        args.command = a;
+      } else if (args.command === 'why' && args.whyTarget === null && !a.startsWith('-')) {
+        args.whyTarget = a;
+      } else if (args.command === 'diff' && args.diffFiles.length < 2 && !a.startsWith('-')) {
+        args.diffFiles.push(a);
+      } else if (a === '--json') {
+        args.json = true;
+        args.format = 'json';
+      } else if (a === '--format' || a.startsWith('--format=')) {
+        const raw = a === '--format' ? tokens[i + 1] : a.slice('--format='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --format. Supported values: table, json, markdown, csv, tsv, html, sarif');
+        }
+        if (!allowedFormats.has(raw)) {
+          fail(`Unsupported --format value: ${raw}`);
+        }
+        args.format = raw;
+        args.json = raw === 'json';
+        if (a === '--format') i++;
+      } else if (a === '--columns' || a.startsWith('--columns=')) {
+        const raw = a === '--columns' ? tokens[i + 1] : a.slice('--columns='.length);
+        const values = (raw ?? '').split(',').map(x => x.trim()).filter(Boolean);
+        if (!raw || raw.startsWith('-') || values.length === 0) {
+          fail(`Missing value for --columns. Supported values: ${Object.keys(DELIMITED_COLUMNS).join(', ')}`);
+        }
+        const unsupported = values.filter(x => !Object.hasOwn(DELIMITED_COLUMNS, x));
+        if (unsupported.length > 0) {
+          fail(`Unsupported --columns value(s): ${unsupported.join(', ')}`);
+        }
+        args.columns = values;
+        if (a === '--columns') i++;
+      } else if (a === '--output' || a.startsWith('--output=') || a === '-o') {
+        const raw = a === '--output' || a === '-o' ? tokens[i + 1] : a.slice('--output='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --output. Expected a file path');
+        }
+        args.output = raw;
+        if (a === '--output' || a === '-o') i++;
+      } else if (a === '--save' || a.startsWith('--save=')) {
+        const raw = a === '--save' ? tokens[i + 1] : a.slice('--save='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --save. Expected a snapshot file path');
+        }
+        args.save = raw;
+        if (a === '--save') i++;
+      } else if (a === '--fail-on' || a.startsWith('--fail-on=')) {
+        const raw = a === '--fail-on' ? tokens[i + 1] : a.slice('--fail-on='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail(
+            `Missing value for --fail-on. Expected <rule>=<limit> with rules: ${POLICY_RULES.join(', ')}`
+          );
+        }
+        for (const item of raw.split(',').map(x => x.trim()).filter(Boolean)) {
+          const sep = item.indexOf('=');
+          const rule = sep === -1 ? item : item.slice(0, sep);
+          const value = sep === -1 ? '' : item.slice(sep + 1);
+          if (!POLICY_RULES.includes(rule)) {
+            fail(`Unsupported --fail-on rule: ${rule}`);
+          }
+          const limit = parsePolicyLimit(rule, value);
+          if (limit == null) {
+            fail(`Invalid --fail-on limit for ${rule}: ${value || '(empty)'}`);
+          }
+          args.failOn[rule] = limit;
+        }
+        if (a === '--fail-on') i++;
+      } else if (a === '--fail-on-audit' || a.startsWith('--fail-on-audit=')) {
+        const raw = a === '--fail-on-audit' ? tokens[i + 1] : a.slice('--fail-on-audit='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --fail-on-audit. Supported values: low, moderate, high, critical');
+        }
+        const limit = parsePolicyLimit('audit', raw);
+        if (limit == null) {
+          fail(`Unsupported --fail-on-audit value: ${raw}`);
+        }
+        args.failOn.audit = limit;
+        if (a === '--fail-on-audit') i++;
+      } else if (a === '--audit-details') {
+        args.auditDetails = true;
+      } else if (a === '--licenses') {
+        args.licenses = true;
+      } else if (
+        a === '--license-deny' ||
+        a.startsWith('--license-deny=') ||
+        a === '--license-allow' ||
+        a.startsWith('--license-allow=')
+      ) {
+        const flag = a.startsWith('--license-deny') ? '--license-deny' : '--license-allow';
+        const key = flag === '--license-deny' ? 'licenseDeny' : 'licenseAllow';
+        const raw = a === flag ? tokens[i + 1] : a.slice(flag.length + 1);
+        const values = (raw ?? '').split(',').map(normalizeLicense).filter(Boolean);
+        if (!raw || raw.startsWith('-') || values.length === 0) {
+          fail(`Missing value for ${flag}. Expected SPDX license ids such as GPL-3.0,AGPL-3.0`);
+        }
+        resetListOnce(key);
+        for (const value of values) if (!args[key].includes(value)) args[key].push(value);
+        if (a === flag) i++;
+      } else if (a === '--graph' || a.startsWith('--graph=')) {
+        const raw = a === '--graph' ? tokens[i + 1] : a.slice('--graph='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail(`Missing value for --graph. Supported values: ${GRAPH_FORMATS.join(', ')}`);
+        }
+        if (!GRAPH_FORMATS.includes(raw)) {
+          fail(`Unsupported --graph value: ${raw}`);
+        }
+        args.graph = raw;
+        if (a === '--graph') i++;
+      } else if (a === '--graph-root' || a.startsWith('--graph-root=')) {
+        const raw = a === '--graph-root' ? tokens[i + 1] : a.slice('--graph-root='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --graph-root. Expected a direct dependency name');
+        }
+        args.graphRoot = raw;
+        if (a === '--graph-root') i++;
+      } else if (a === '--graph-depth' || a.startsWith('--graph-depth=')) {
+        const raw = a === '--graph-depth' ? tokens[i + 1] : a.slice('--graph-depth='.length);
+        const n = Number(raw);
+        if (!raw || !Number.isInteger(n) || n < 0) {
+          fail(`Invalid value for --graph-depth: ${raw || '(missing)'}. Expected a non-negative integer`);
+        }
+        args.graphDepth = n;
+        if (a === '--graph-depth') i++;
+      } else if (a === '--sbom' || a.startsWith('--sbom=')) {
+        const raw = a === '--sbom' ? tokens[i + 1] : a.slice('--sbom='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail(`Missing value for --sbom. Supported values: ${SBOM_FORMATS.join(', ')}`);
+        }
+        if (!SBOM_FORMATS.includes(raw)) {
+          fail(`Unsupported --sbom value: ${raw}`);
+        }
+        args.sbom = raw;
+        if (a === '--sbom') i++;
+      } else if (a === '--compare-ref' || a.startsWith('--compare-ref=')) {
+        const raw = a === '--compare-ref' ? tokens[i + 1] : a.slice('--compare-ref='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --compare-ref. Expected a git ref such as origin/main');
+        }
+        args.compareRef = raw;
+        if (a === '--compare-ref') i++;
+      } else if (a === '--lockfile') {
+        args.lockfile = true;
+      } else if (a === '--workspaces') {
+        args.workspaces = true;
+      } else if (a === '--workspace' || a.startsWith('--workspace=') || a === '-w') {
+        const raw = a === '--workspace' || a === '-w' ? tokens[i + 1] : a.slice('--workspace='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --workspace. Expected a workspace name or directory');
+        }
+        resetListOnce('workspace');
+        args.workspace.push(raw);
+        if (a === '--workspace' || a === '-w') i++;
+      } else if (a === '--package-manager' || a.startsWith('--package-manager=')) {
+        const raw = a === '--package-manager' ? tokens[i + 1] : a.slice('--package-manager='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --package-manager. Supported values: npm, pnpm, yarn');
+        }
+        if (!PACKAGE_MANAGERS.includes(raw)) {
+          fail(`Unsupported --package-manager value: ${raw}`);
+        }
+        args.packageManager = raw;
+        if (a === '--package-manager') i++;
+      } else if (a === '-v' || a === '--verbose') {
+        args.verbose = true;
+      } else if (a === '--sort' || a.startsWith('--sort=')) {
+        const raw = a === '--sort' ? tokens[i + 1] : a.slice('--sort='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail(
+            'Missing value for --sort. Supported values: subdeps, exclusive, size, name, publish, libyear'
+          );
+        }
+        if (raw === 'publish-asc' || raw === 'publish-desc') {
+          args.sort = 'publish';
+          if (!args.direction) args.direction = raw.endsWith('-asc') ? 'asc' : 'desc';
+        } else if (!allowedSorts.has(raw)) {
+          fail(`Unsupported --sort value: ${raw}`);
+        } else {
+          args.sort = raw;
+        }
+        if (a === '--sort') i++;
+      } else if (a === '--direction' || a.startsWith('--direction=')) {
+        const raw = a === '--direction' ? tokens[i + 1] : a.slice('--direction='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --direction. Supported values: asc, desc');
+        }
+        if (!allowedDirections.has(raw)) {
+          fail(`Unsupported --direction value: ${raw}`);
+        }
+        args.direction = raw;
+        if (a === '--direction') i++;
+      } else if (a === '--top') {
+        const n = Number(tokens[i + 1]);
+        if (Number.isNaN(n) || n <= 0) {
+          fail(`Invalid value for --top: ${tokens[i + 1] ?? '(missing)'}. Expected a positive number`);
+        }
+        args.top = n;
+        i++;
+      } else if (a === '--concurrency') {
+        const n = Number(tokens[i + 1]);
+        if (!Number.isInteger(n) || n <= 0) {
+          fail(`Invalid value for --concurrency: ${tokens[i + 1] ?? '(missing)'}. Expected a positive integer`);
+        }
+        args.concurrency = n;
+        i++;
+      } else if (a === '--offline') {
+        args.offline = true;
+      } else if (a === '--no-cache') {
+        args.cache = false;
+      } else if (a === '--refresh') {
+        args.refresh = true;
+      } else if (a === '--cache-dir' || a.startsWith('--cache-dir=')) {
+        const raw = a === '--cache-dir' ? tokens[i + 1] : a.slice('--cache-dir='.length);
+        if (!raw || raw.startsWith('-')) {
+          fail('Missing value for --cache-dir. Expected a directory path');
+        }
+        args.cacheDir = raw;
+        if (a === '--cache-dir') i++;
+      } else if (a === '--omit' || a.startsWith('--omit=')) {
+        const raw = a === '--omit' ? tokens[i + 1] : a.slice('--omit='.length);
+        const values = addTypes(raw, '--omit');
+        resetListOnce('omit');
+        for (const v of values) args.omit.add(v);
+        if (a === '--omit') i++;
+      } else if (a === '--include' || a.startsWith('--include=')) {
+        const raw = a === '--include' ? tokens[i + 1] : a.slice('--include='.length);
+        const values = addTypes(raw, '--include');
+        resetListOnce('include');
+        for (const v of values) args.include.add(v);
+        if (a === '--include') i++;
+      } else if (a === '--print-config') {
+        args.printConfig = true;
+      } else if (a === '-h' || a === '--help') {
+        printHelpAndExit();
+      } else {
+        fail(`Unknown argument: ${a}`);
+      }
+    }
+  };
+
+  if (config) {
+    args.configFile = config.source;
+    applyTokens(configToArgv(config.settings, config.source), config.source, null);
+  }
+  applyTokens(
+    argv.slice(2),
+    null,
+    config ? new Set(['omit', 'include', 'workspace', 'licenseDeny', 'licenseAllow']) : null
+  );
+  const fail = message => exitWithUsageError(message, null);
+
+  if (args.command === 'why' && !args.whyTarget) {
+    fail('Missing package for why. Usage: rank-subdeps why <name>[@version]');
+  }
+  if (args.command === 'diff' && args.diffFiles.length < 2) {
+    fail('Missing snapshots for diff. Usage: rank-subdeps diff <base.json> <head.json>');
+  }
+  const commandFormats = { why: ['table', 'json'], diff: ['table', 'json', 'markdown'] };
+  if (args.command && !commandFormats[args.command].includes(args.format)) {
+    fail(`--format ${args.format} is not supported by rank-subdeps ${args.command}`);
+  }
+  if ((args.graphRoot || args.graphDepth !== null) && !args.graph) {
+    fail('--graph-root and --graph-depth require --graph');
+  }
+  if (args.graph && args.sbom) fail('--graph cannot be combined with --sbom');
+  for (const [flag, value] of [
+    ['--graph', args.graph],
+    ['--sbom', args.sbom],
+  ]) {
+    if (!value) continue;
+    if (args.command) fail(`${flag} is not supported by rank-subdeps ${args.command}`);
+    if (args.format !== 'table') fail(`${flag} cannot be combined with --json or --format`);
+    if (
+      args.save ||
+      args.compareRef ||
+      Object.keys(args.failOn).length > 0 ||
+      args.licenseDeny.length > 0 ||
+      args.licenseAllow.length > 0
+    ) {
+      fail(`${flag} cannot be combined with --save, --compare-ref, --fail-on, or license policies`);
+    }
+  }
+  if (args.output && !args.graph && !args.sbom && (args.format === 'table' || args.command === 'why')) {
+    fail(
+      '--output requires --graph, --sbom, or --format json, markdown, csv, tsv, html, or sarif (not supported by rank-subdeps why)'
+    );
+  }
+  if (args.auditDetails && (args.command || args.graph || args.sbom || !['table', 'json'].includes(args.format))) {
+    fail('--audit-details only applies to the table and JSON reports');
+  }
+  if (args.columns && args.format !== 'csv' && args.format !== 'tsv') {
+    fail('--columns only applies to --format csv or tsv');
+  }
+  if (args.offline && args.refresh) fail('--refresh cannot be combined with --offline');
+  for (const [flag, value] of [
+    ['--save', args.save],
+    ['--compare-ref', args.compareRef],
+    ['--graph', args.graph],
+    ['--sbom', args.sbom],
+  ]) {
+    if (value && (args.workspaces || args.workspace.length > 0)) {
+      fail(`${flag} cannot be combined with --workspaces or --workspace`);
+    }
+  }
+
+  if (args.licenseDeny.length > 0 || args.licenseAllow.length > 0) {
+    args.failOn.license = { deny: args.licenseDeny, allow: args.licenseAllow };
+  }
+
+  // npm-style precedence: include wins over omit
+  for (const t of args.include) args.omit.delete(t);
+
+  return args;
+}
+
+function printHelpAndExit(code = 0) {
+  console.log(`rank-subdeps
+
+Rank top-level dependencies by unique transitive subdependencies, latest update date, and approximate file size.
+
+Usage:
+  rank-subdeps [--json | --format table|json|markdown|csv|tsv|html|sarif] [--output <file>] [--columns <name>[,<name>]] [--save <file>] [--compare-ref <ref>] [--fail-on <rule>=<limit>] [--fail-on-audit <severity>] [--audit-details] [--graph dot|mermaid [--graph-root <dep>] [--graph-depth N]] [--sbom cyclonedx|spdx] [--licenses] [--license-deny <id>[,<id>]] [--license-allow <id>[,<id>]] [--lockfile] [--package-manager npm|pnpm|yarn] [--workspaces | --workspace <name>] [--verbose] [--concurrency N] [--offline] [--cache-dir <dir> | --no-cache] [--refresh] [--top N] [--sort subdeps|exclusive|size|name|publish|libyear] [--direction asc|desc] [--omit=<type>[,<type>]] [--include=<type>[,<type>]]
+  rank-subdeps why <name>[@version] [--json] [--lockfile] [--omit=<type>[,<type>]] [--include=<type>[,<type>]]
+  rank-subdeps diff <base.json> <head.json> [--format table|json|markdown]
+  rank-subdeps --print-config
+
+Commands:
+  why           Show every path from a top-level dependency to an installed package
+  diff          Compare two snapshots written with --save
+
+Options:
+  --json        Output machine-readable JSON instead of a table (includes latest, lastUpdated, auditSubdeps, exclusiveSubdeps,
+                outdatedBreakdown, libyear, installScriptPackages, nativePackages, deprecatedPackages, and
+                aggregateApproxBytes)
+  --format      Output format: table, json, markdown (GitHub-flavored, for PR comments), csv, tsv, html
+                (single offline file with a sortable table and size treemap), or sarif (audit issues and policy
+                breaches for code scanning)
+  -o, --output <file>
+                Write json, markdown, csv, tsv, html, sarif, graph, or SBOM output to a file instead of stdout
+  --columns <name>[,<name>]
+                Columns for csv/tsv output (default: every result field; see README)
+  --save <file> Also write the results as a snapshot for rank-subdeps diff
+  --compare-ref <ref>
+                Show subdeps, exclusive and size changes since a git ref (from package-lock.json on both sides)
+  --fail-on <rule>=<limit>[,...]
+                Exit with code 2 when a limit is exceeded: subdeps=N (per direct dependency), size=20MB (aggregate),
+                outdated=N (outdated subdeps per direct dependency), age=365d (direct dependency last updated; d, w, m, y)
+  --fail-on-audit <severity>
+                Exit with code 2 when a direct dependency has audit issues at or above low, moderate, high, or critical
+  --audit-details
+                List each direct dependency's audit advisories with CVSS score, vulnerable range, URL, and
+                whether npm audit fix resolves them without a major bump (JSON: auditAdvisories)
+  --licenses    Also print every license found in the subtrees, most restrictive first, with the packages and
+                direct dependencies behind it (JSON: licenses)
+  --license-deny <id>[,<id>]
+                Exit with code 2 when a subtree contains one of these licenses (SPDX ids; GPL-3.0 matches
+                GPL-3.0-only and GPL-3.0-or-later)
+  --license-allow <id>[,<id>]
+                Exit with code 2 when a subtree contains a license outside this list (including unknown licenses)
+  --graph dot|mermaid
+                Print the deduplicated name@version dependency graph instead of the table, with direct dependencies
+                shaped by type and nodes colored by audit severity (dashed when outdated)
+  --graph-root <dep>
+                Limit --graph to one direct dependency's subtree
+  --graph-depth N
+                Limit --graph to N levels below the direct dependencies (0 = direct dependencies only)
+  --sbom cyclonedx|spdx
+                Print a CycloneDX 1.5 or SPDX 2.3 JSON SBOM of the installed tree instead of the table, with
+                subdeps, subtree size, and audit severity as rank-subdeps properties
+  --lockfile    Analyze the lockfile without node_modules or npm ls (sizes from the registry)
+  --package-manager
+                npm, pnpm, or yarn (default: packageManager field, then lockfile detection)
+  --workspaces  Rank each npm workspace separately and summarize ranges that differ across workspaces
+  -w, --workspace <name>
+                Rank only the given workspace (name or directory; can be repeated)
+  -v, --verbose Print diagnostic details to stderr
+  --concurrency N
+                Maximum registry and git host requests in flight (default: 8); each request times out
+                after 30s and transient failures are retried twice with backoff
+  --offline     Make no network requests: skip outdated and audit checks, and serve registry and
+                git host lookups only from the cache
+  --cache-dir <dir>
+                Where registry and git host lookups are cached (default: $XDG_CACHE_HOME/rank-subdeps
+                or ~/.cache/rank-subdeps)
+  --no-cache    Neither read nor write the lookup cache
+  --refresh     Re-fetch cached latest versions, deprecations and branch heads (immutable facts such
+                as release dates of a version are kept)
+  --top N       Number of items to include in the "Top N" summary (default: 10)
+  --sort        Sort by subdeps, exclusive (removal impact), size, name, update date (publish), or libyear
+                (years the outdated packages in a subtree trail their latest releases)
+  --direction   Sort direction for selected --sort: asc or desc
+  --omit        Dependency types to omit: dev, optional, peer (can be repeated)
+  --include     Dependency types to include even if omitted (can be repeated)
+  --print-config
+                Print the effective settings (config file merged with flags) as JSON and exit
+  -h, --help    Show this help
+
+Config:
+  Settings are read from .rank-subdepsrc.json, rank-subdeps.config.js, or the "rank-subdeps" key in package.json,
+  using camelCase flag names (e.g. { "omit": ["dev"], "top": 20, "failOn": { "subdeps": 80 } }). Flags override them.
+`);
+  process.exit(code);
+}
+
+function getResultsComparator(sortMode, direction = null) {
+  const effectiveDirection = getEffectiveSortDirection(sortMode, direction);
+  const asc = effectiveDirection === 'asc';
+
+  if (sortMode === 'publish') {
+    return (a, b) => {
+      const aTs = getPublishTimestamp(a.lastUpdated);
+      const bTs = getPublishTimestamp(b.lastUpdated);
+
+      if (aTs == null && bTs == null) {
+        return b.subdeps - a.subdeps || b.approxBytes - a.approxBytes || a.name.localeCompare(b.name);
+      }
+      if (aTs == null) return 1;
+      if (bTs == null) return -1;
+      return (
+        (asc ? aTs - bTs : bTs - aTs) ||
+        b.subdeps - a.subdeps ||
+        b.approxBytes - a.approxBytes ||
+        a.name.localeCompare(b.name)
+      );
+    };
+  }
+  if (sortMode === 'exclusive') {
+    return (a, b) =>
+      (asc ? a.exclusiveSubdeps - b.exclusiveSubdeps : b.exclusiveSubdeps - a.exclusiveSubdeps) ||
+      (asc
+        ? a.exclusiveApproxBytes - b.exclusiveApproxBytes
+        : b.exclusiveApproxBytes - a.exclusiveApproxBytes) ||
+      b.subdeps - a.subdeps ||
+      a.name.localeCompare(b.name);
+  }
+  if (sortMode === 'libyear') {
+    // Unknown libyear sorts last in both directions, like unknown dates.
+    return (a, b) => {
+      if (a.libyear == null || b.libyear == null) {
+        return (a.libyear == null) - (b.libyear == null) || b.subdeps - a.subdeps || a.name.localeCompare(b.name);
+      }
+      return (
+        (asc ? a.libyear - b.libyear : b.libyear - a.libyear) ||
+        b.subdeps - a.subdeps ||
+        a.name.localeCompare(b.name)
+      );
+    };
+  }
+  if (sortMode === 'size') {
+    return (a, b) =>
+      (asc ? a.approxBytes - b.approxBytes : b.approxBytes - a.approxBytes) ||
+      b.subdeps - a.subdeps ||
+      a.name.localeCompare(b.name);
+  }
+  if (sortMode === 'name') {
+    return (a, b) =>
+      (asc ? a.name.localeCompare(b.name) : b.name.localeCompare(a.name)) ||
+      b.subdeps - a.subdeps ||
+      b.approxBytes - a.approxBytes;
+  }
+  return (a, b) =>
+    (asc ? a.subdeps - b.subdeps : b.subdeps - a.subdeps) ||
+    b.approxBytes - a.approxBytes ||
+    a.name.localeCompare(b.name);
+}
+
+function createRunCache(args, verbose) {
+  if (!args.cache) {
+    verbose('cache: disabled');
+    return null;
+  }
+  // Offline, whatever is cached beats nothing, however old.
+  const cache = createDiskCache({
+    dir: args.cacheDir ?? getDefaultCacheDir(),
+    refresh: args.refresh,
+    ...(args.offline ? { ttlMs: Infinity } : {}),
+  });
+  verbose(`cache: ${cache.dir}${args.refresh ? ' (refreshing)' : ''}${args.offline ? ' (offline)' : ''}`);
+  return cache;
+}
+
+function createRequestPool(args, verbose) {
+  return createTaskPool({
+    concurrency: args.concurrency,
+    onRetry: (err, retry, delayMs) => verbose(`retry ${retry} in ${delayMs} ms: ${err?.message ?? String(err)}`),
+  });
+}
+
+async function collectTreeInputsAsync(
+  root,
+  args,
+  progress,
+  verbose,
+  { sizes = false, pool = createTaskPool(), registry = defaultRegistryClient } = {}
+) {
+  const packageManager = args.packageManager ?? 'npm';
+  const adapter = PACKAGE_MANAGER_ADAPTERS[packageManager];
+  verbose(`package manager: ${packageManager}`);
+  let tree;
+  let outdatedJson = null;
+  if (args.lockfile || adapter.lockfileOnly) {
+    tree = adapter.loadLockfileTree(root, args);
+    if (!tree) throw new Error(adapter.missingLockfile);
+    verbose(`lockfile packages: ${Object.keys(tree.dependencies).length}`);
+    // Outdated checks compare against an installed tree, which lockfile-based
+    // graphs do not have.
+    verbose('outdated counts: unavailable (lockfile)');
+    if (sizes) {
+      progress.update('Fetching package sizes');
+      await collectLockfileSizesAsync(
+        root,
+        tree,
+        ({ current, total }) => {
+          progress.update(`Fetching package sizes (${current}/${total})`);
+        },
+        registry.unpackedSize,
+        pool
+      );
+    }
+  } else {
+    tree = await adapter.loadTree(root, args);
+    verbose(`${packageManager} ls packages: ${Object.keys(tree.dependencies ?? {}).length}`);
+    if (args.offline) {
+      verbose('outdated counts: unavailable (offline)');
+    } else if (!adapter.loadOutdated) {
+      verbose(`outdated counts: unavailable (${packageManager})`);
+    } else {
+      progress.update('Checking outdated packages');
+      outdatedJson = await adapter.loadOutdated(root, args);
+      verbose(`outdated counts: ${outdatedJson === null ? 'unavailable' : 'available'}`);
+    }
+  }
+  let auditJson = null;
+  if (args.offline) {
+    verbose('audit counts: unavailable (offline)');
+  } else {
+    progress.update('Checking audit issues');
+    auditJson = await adapter.loadAudit(root, args);
+    verbose(`audit counts: ${auditJson === null ? 'unavailable' : 'available'}`);
+  }
+  return {
+    tree,
+    outdatedJson,
+    auditJson,
+    outdatedMarkers: collectOutdatedMarkers(root, outdatedJson),
+    auditMarkers: collectAuditMarkers(root, auditJson),
+  };
+}
+
+function getOutdatedUnavailableReason(args) {
+  if (args.lockfile) return '--lockfile mode has no installed tree';
+  if (args.offline) return 'skipped with --offline';
+  if (args.packageManager === 'yarn') return 'not supported for Yarn';
+  if (args.packageManager === 'pnpm') return 'pnpm outdated lists direct dependencies only';
+  return `${args.packageManager ?? 'npm'} outdated failed`;
+}
+
+function getAuditUnavailableReason(args) {
+  if (args.offline) return 'skipped with --offline';
+  return `${args.packageManager === 'yarn' ? 'yarn npm' : (args.packageManager ?? 'npm')} audit failed`;
+}
+
+const POLICY_EXIT_CODE = 2;
+const POLICY_RULES = ['subdeps', 'size', 'outdated', 'age', 'audit'];
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const AGE_UNIT_DAYS = { d: 1, w: 7, m: 30, y: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+function parseByteSize(raw) {
+  const match = String(raw).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * BYTE_UNITS[(match[2] ?? 'b').toLowerCase()]);
+}
+
+function parseAgeDays(raw) {
+  const match = String(raw).trim().match(/^(\d+)\s*([dwmy])?$/i);
+  if (!match) return null;
+  return Number(match[1]) * AGE_UNIT_DAYS[(match[2] ?? 'd').toLowerCase()];
+}
+
+function parsePolicyLimit(rule, raw) {
+  // Returns the normalized limit for a `--fail-on` rule, or null when invalid.
+  if (rule === 'size') return parseByteSize(raw);
+  if (rule === 'age') return parseAgeDays(raw);
+  if (rule === 'audit') return AUDIT_SEVERITY_RANKS.has(String(raw).toLowerCase()) ? String(raw).toLowerCase() : null;
+  return /^\d+$/.test(String(raw).trim()) ? Number(raw) : null;
+}
+
+function formatPolicyRule(rule, limit) {
+  if (rule === 'subdeps') return `subdeps > ${limit}`;
+  if (rule === 'size') return `aggregate size > ${formatApproxBytes(limit)}`;
+  if (rule === 'outdated') return `outdated subdeps > ${limit}`;
+  if (rule === 'age') return `last updated > ${limit} days ago`;
+  if (rule === 'license') {
+    const parts = [];
+    if (limit.deny.length > 0) parts.push(`license in ${limit.deny.join(', ')}`);
+    if (limit.allow.length > 0) parts.push(`license not in ${limit.allow.join(', ')}`);
+    return parts.join(' or ');
+  }
+  return `audit severity >= ${limit}`;
+}
+
+function collectPolicyViolations(results, aggregateApproxBytes, failOn, context = {}) {
+  // Evaluates each configured `--fail-on` limit. Rules whose data is
+  // unavailable (for example a failed audit) are reported as skipped.
+  const { outdatedCountsAvailable = true, auditCountsAvailable = true, now = Date.now() } = context;
+  const violations = [];
+  const skipped = [];
+
+  for (const rule of POLICY_RULES) {
+    const limit = failOn?.[rule];
+    if (limit == null) continue;
+    let offenders = [];
+    let actual = null;
+    if (rule === 'subdeps') {
+      offenders = results.filter(r => r.subdeps > limit);
+    } else if (rule === 'size') {
+      if (aggregateApproxBytes == null) {
+        skipped.push({ rule, limit, reason: 'some sizes are unknown' });
+        continue;
+      }
+      actual = aggregateApproxBytes;
+      if (actual <= limit) continue;
+    } else if (rule === 'outdated') {
+      if (!outdatedCountsAvailable) {
+        skipped.push({ rule, limit, reason: 'outdated counts unavailable' });
+        continue;
+      }
+      offenders = results.filter(r => r.outdatedSubdeps > limit);
+    } else if (rule === 'age') {
+      offenders = results.filter(r => {
+        const ts = getPublishTimestamp(r.lastUpdated);
+        return ts != null && now - ts > limit * DAY_MS;
+      });
+    } else if (rule === 'audit') {
+      if (!auditCountsAvailable) {
+        skipped.push({ rule, limit, reason: 'audit counts unavailable' });
+        continue;
+      }
+      offenders = results.filter(r => toAuditSeverityRank(r.auditSeverity) >= toAuditSeverityRank(limit));
+    }
+    if (rule !== 'size' && offenders.length === 0) continue;
+    violations.push({ rule, limit, description: formatPolicyRule(rule, limit), actual, results: offenders });
+  }
+
+  // --license-deny/--license-allow, kept apart from the numeric --fail-on rules.
+  if (failOn?.license) {
+    const licenses = {};
+    for (const r of results) {
+      const disallowed = collectDisallowedLicenses(r.licenses ?? [], failOn.license);
+      if (disallowed.length > 0) licenses[r.name] = disallowed;
+    }
+    const offenders = results.filter(r => licenses[r.name]);
+    if (offenders.length > 0) {
+      violations.push({
+        rule: 'license',
+        limit: failOn.license,
+        description: formatPolicyRule('license', failOn.license),
+        actual: null,
+        results: offenders,
+        licenses,
+      });
+    }
+  }
+
+  return { violations, skipped };
+}
+
+async function runWhy(args, root) {
+  const spec = parsePackageSpec(args.whyTarget);
+  const verbose = createVerboseLogger({ enabled: args.verbose });
+  const progress = createProgressReporter({
+    enabled: !args.json && !args.verbose && !!process.stderr.isTTY,
+  });
+
+  verbose(`why: ${makeId(spec.name, spec.version ?? '*')}`);
+  progress.start('Inspecting dependency tree');
+
+  let why;
+  let outdatedCountsAvailable;
+  let auditCountsAvailable;
+  try {
+    const { tree, outdatedJson, auditJson, outdatedMarkers, auditMarkers } = await collectTreeInputsAsync(
+      root,
+      args,
+      progress,
+      verbose
+    );
+    outdatedCountsAvailable = outdatedJson !== null;
+    auditCountsAvailable = auditJson !== null;
+    progress.update('Tracing dependency paths');
+    why = collectWhyPaths(
+      buildDependencyGraph(tree),
+      spec,
+      outdatedCountsAvailable ? outdatedMarkers : null,
+      auditCountsAvailable ? auditMarkers : null,
+      new Map()
+    );
+    verbose(`why matches: ${why.matches.length}`);
+  } finally {
+    progress.stop();
+  }
+
+  if (why.results.length === 0) process.exitCode = 1;
+
+  if (args.json) {
+    console.log(JSON.stringify({ target: spec, matches: why.matches, results: why.results }, null, 2));
+    return;
+  }
+
+  if (why.results.length === 0) {
+    console.log(`No installed package matches ${args.whyTarget}.`);
+    return;
+  }
+
+  console.log(`${why.matches.join(', ')} is installed via:`);
+  for (const group of why.results) {
+    const count = group.paths.length;
+    const label = group.truncated
+      ? `${count} shortest paths; more not shown`
+      : `${count} ${count === 1 ? 'path' : 'paths'}`;
+    console.log(`\n${group.name} (${label})`);
+    for (const path of group.paths) {
+      console.log(`  ${path.map(formatWhyHop).join(' → ')}`);
+    }
+  }
+  if (!outdatedCountsAvailable) {
+    console.log(`\nNote: outdated markers unavailable (${getOutdatedUnavailableReason(args)}).`);
+  }
+  if (!auditCountsAvailable) {
+    console.log(`\nNote: audit markers unavailable (${getAuditUnavailableReason(args)}).`);
+  }
+}
+
+async function runGraph(args, root, pkg) {
+  const verbose = createVerboseLogger({ enabled: args.verbose });
+  const progress = createProgressReporter({ enabled: !args.verbose && !!process.stderr.isTTY });
+
+  verbose(`graph: ${args.graph}${args.graphRoot ? ` (root: ${args.graphRoot})` : ''}`);
+  progress.start('Inspecting dependency tree');
+
+  let graphExport;
+  let outdatedCountsAvailable;
+  let auditCountsAvailable;
+  try {
+    const { tree, outdatedJson, auditJson, outdatedMarkers, auditMarkers } = await collectTreeInputsAsync(
+      root,
+      args,
+      progress,
+      verbose
+    );
+    outdatedCountsAvailable = outdatedJson !== null;
+    auditCountsAvailable = auditJson !== null;
+    progress.update('Building graph');
+    graphExport = collectGraphExport(buildDependencyGraph(tree), collectTopDeps(pkg, args.omit), {
+      project: pkg.version ? makeId(pkg.name ?? '(root)', pkg.version) : (pkg.name ?? '(root)'),
+      root: args.graphRoot,
+      depth: args.graphDepth,
+      outdatedMarkers: outdatedCountsAvailable ? outdatedMarkers : null,
+      auditMarkers: auditCountsAvailable ? auditMarkers : null,
+    });
+    verbose(`graph nodes: ${graphExport.nodes.length}, edges: ${graphExport.edges.length}`);
+  } finally {
+    progress.stop();
+  }
+
+  const notes = [];
+  if (!outdatedCountsAvailable) notes.push(`outdated markers unavailable (${getOutdatedUnavailableReason(args)}).`);
+  if (!auditCountsAvailable) notes.push(`audit markers unavailable (${getAuditUnavailableReason(args)}).`);
+  const format = args.graph === 'dot' ? formatGraphDot : formatGraphMermaid;
+  writeOutput(format(graphExport, notes), args.output);
+  if (args.output) verbose(`graph written: ${resolve(args.output)}`);
+}
+
+async function runSbom(args, root, pkg) {
+  const verbose = createVerboseLogger({ enabled: args.verbose });
+  const progress = createProgressReporter({ enabled: !args.verbose && !!process.stderr.isTTY });
+
+  verbose(`sbom: ${args.sbom}`);
+  progress.start('Inspecting dependency tree');
+
+  let sbom;
+  let auditCountsAvailable;
+  try {
+    const { tree, auditJson, auditMarkers } = await collectTreeInputsAsync(root, args, progress, verbose, {
+      sizes: true,
+      pool: createRequestPool(args, verbose),
+      registry: createRegistryClient({
+        cache: createRunCache(args, verbose),
+        jsonRequester: args.offline ? rejectOfflineRequest : requestRegistryJson,
+      }),
+    });
+    auditCountsAvailable = auditJson !== null;
+    progress.update('Building SBOM');
+    sbom = collectSbomPackages(
+      buildDependencyGraph(tree),
+      collectTopDeps(pkg, args.omit),
+      new Map(),
+      auditCountsAvailable ? auditMarkers : null
+    );
+    verbose(`sbom components: ${sbom.packages.length}`);
+  } finally {
+    progress.stop();
+  }
+
+  const notes = [];
+  if (sbom.packages.some(entry => entry.approxBytes == null)) {
+    notes.push('some sizes are unknown (no registry-reported unpackedSize).');
+  }
+  if (!auditCountsAvailable) notes.push(`audit severities unavailable (${getAuditUnavailableReason(args)}).`);
+  const project = { name: pkg.name ?? basename(root), version: pkg.version ?? null };
+  const format = args.sbom === 'cyclonedx' ? formatCycloneDxSbom : formatSpdxSbom;
+  writeOutput(format(sbom, project, { notes }), args.output);
+  if (args.output) verbose(`sbom written: ${resolve(args.output)}`);
+}
+
+function writeOutput(text, output = null) {
+  if (!output) {
+    console.log(text);
+    return;
+  }
+  writeFileSync(output, text.endsWith('\n') ? text : `${text}\n`);
+}
+
+function loadSnapshot(file) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read snapshot ${file}: ${err?.message || String(err)}`);
+  }
+  if (Array.isArray(snapshot?.workspaces)) {
+    throw new Error(`${file} is a --workspaces report; diff compares single-project snapshots`);
+  }
+  if (!Array.isArray(snapshot?.results)) {
+    throw new Error(`${file} is not a rank-subdeps snapshot (missing results)`);
+  }
+  return snapshot;
+}
+
+const DIFF_STATUS_ORDER = ['added', 'removed', 'changed'];
+const EMPTY_DIFF_RESULT = {
+  installed: null,
+  subdeps: 0,
+  outdatedSubdeps: 0,
+  auditSubdeps: 0,
+  auditSeverity: null,
+  approxBytes: 0,
+  subdepIds: [],
+};
+
+function diffNumbers(base, head) {
+  return { base, head, delta: base == null || head == null ? null : head - base };
+}
+
+function diffIds(baseIds, headIds) {
+  // Snapshots written by `--json` instead of `--save` carry no ids.
+  if (!Array.isArray(baseIds) || !Array.isArray(headIds)) return null;
+  const baseSet = new Set(baseIds);
+  const headSet = new Set(headIds);
+  return {
+    added: headIds.filter(id => !baseSet.has(id)).sort(),
+    removed: baseIds.filter(id => !headSet.has(id)).sort(),
+  };
+}
+
+function diffSnapshots(base, head) {
+  const baseByName = new Map(base.results.map(r => [r.name, r]));
+  const headByName = new Map(head.results.map(r => [r.name, r]));
+  const names = Array.from(new Set([...baseByName.keys(), ...headByName.keys()]));
+  const dependencies = [];
+
+  for (const name of names) {
+    const before = baseByName.get(name);
+    const after = headByName.get(name);
+    const status = !before ? 'added' : !after ? 'removed' : 'changed';
+    const from = before ?? EMPTY_DIFF_RESULT;
+    const to = after ?? EMPTY_DIFF_RESULT;
+    const entry = {
+      name,
+      status,
+      installed: { base: from.installed, head: to.installed },
+      subdeps: diffNumbers(from.subdeps, to.subdeps),
+      outdatedSubdeps: diffNumbers(from.outdatedSubdeps, to.outdatedSubdeps),
+      auditSubdeps: diffNumbers(from.auditSubdeps, to.auditSubdeps),
+      auditSeverity: { base: from.auditSeverity ?? null, head: to.auditSeverity ?? null },
+      approxBytes: diffNumbers(from.approxBytes, to.approxBytes),
+    };
+    if (status === 'changed') {
+      const ids = diffIds(from.subdepIds, to.subdepIds);
+      const changed =
+        entry.installed.base !== entry.installed.head ||
+        entry.auditSeverity.base !== entry.auditSeverity.head ||
+        ['subdeps', 'outdatedSubdeps', 'auditSubdeps', 'approxBytes'].some(
+          key => entry[key].base !== entry[key].head
+        ) ||
+        (ids !== null && ids.added.length + ids.removed.length > 0);
+      if (!changed) continue;
+    }
+    dependencies.push(entry);
+  }
 
-    let entries;
+  dependencies.sort(
+    (a, b) => DIFF_STATUS_ORDER.indexOf(a.status) - DIFF_STATUS_ORDER.indexOf(b.status) || a.name.localeCompare(b.name)
+  );
+
+  const collectAllIds = snapshot =>
+    snapshot.results.every(r => Array.isArray(r.subdepIds))
+      ? Array.from(new Set(snapshot.results.flatMap(r => r.subdepIds)))
+      : null;
+
+  return {
+    dependencies,
+    aggregateApproxBytes: diffNumbers(base.aggregateApproxBytes ?? null, head.aggregateApproxBytes ?? null),
+    transitive: diffIds(collectAllIds(base), collectAllIds(head)),
+  };
+}
+
+function formatSignedCount(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+function formatSignedApproxBytes(delta) {
+  if (delta === 0) return '~0 B';
+  return `${delta > 0 ? '+' : '-'}${formatApproxBytes(Math.abs(delta))}`;
+}
+
+function formatDiffChange(change, format = String) {
+  const { base, head } = change;
+  if (base === head) return base == null ? '-' : format(base);
+  return `${base == null ? '-' : format(base)} → ${head == null ? '-' : format(head)}`;
+}
+
+function formatDiffCount(change, format = String, formatDelta = formatSignedCount) {
+  if (change.head == null) return change.base == null ? '?' : `? (was ${format(change.base)})`;
+  if (change.delta == null || change.delta === 0) return format(change.head);
+  return `${format(change.head)} (${formatDelta(change.delta)})`;
+}
+
+function formatDiffRow(entry) {
+  return [
+    entry.status,
+    entry.name,
+    formatDiffChange(entry.installed),
+    formatDiffCount(entry.subdeps),
+    formatDiffCount(entry.outdatedSubdeps),
+    formatDiffCount(entry.auditSubdeps),
+    formatDiffChange(entry.auditSeverity),
+    formatDiffCount(entry.approxBytes, formatApproxBytes, formatSignedApproxBytes),
+  ];
+}
+
+const DIFF_HEADER = ['status', 'name', 'installed', 'subdeps', 'outdated', 'audit', 'severity', 'approx size'];
+
+function summarizeDiff(diff) {
+  const counts = DIFF_STATUS_ORDER.map(
+    status => `${diff.dependencies.filter(entry => entry.status === status).length} ${status}`
+  );
+  return `Direct dependencies: ${counts.join(', ')}`;
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function formatDiffMarkdown(diff) {
+  const lines = ['## Dependency diff', '', `${summarizeDiff(diff)}  `];
+  lines.push(
+    `Aggregate approx size: ${formatDiffCount(diff.aggregateApproxBytes, formatApproxBytes, formatSignedApproxBytes)}`
+  );
+  if (diff.dependencies.length > 0) {
+    lines.push('', `| ${DIFF_HEADER.join(' | ')} |`, `|${DIFF_HEADER.map(() => ' --- ').join('|')}|`);
+    for (const entry of diff.dependencies) {
+      const cells = formatDiffRow(entry).map(escapeMarkdownCell);
+      cells[1] = `\`${cells[1]}\``;
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+  }
+  if (diff.transitive) {
+    for (const [key, label] of [
+      ['added', 'Appeared'],
+      ['removed', 'Disappeared'],
+    ]) {
+      const ids = diff.transitive[key];
+      if (ids.length === 0) continue;
+      lines.push('', `### ${label} transitive packages (${ids.length})`, '');
+      for (const id of ids) lines.push(`- \`${id}\``);
+    }
+  } else {
+    lines.push('', '_Transitive packages unavailable: snapshots were not written with `--save`._');
+  }
+  return lines.join('\n');
+}
+
+function printDiffTable(diff) {
+  console.log(summarizeDiff(diff));
+  console.log(
+    `Aggregate approx size: ${formatDiffCount(diff.aggregateApproxBytes, formatApproxBytes, formatSignedApproxBytes)}`
+  );
+  if (diff.dependencies.length > 0) {
+    const rows = [DIFF_HEADER, ...diff.dependencies.map(formatDiffRow)];
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+    const line = row => row.map((cell, i) => pad(cell, widths[i])).join('  ');
+    console.log(`\n${line(rows[0])}`);
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    for (const row of rows.slice(1)) console.log(line(row));
+  }
+  if (!diff.transitive) {
+    console.log('\nNote: transitive packages unavailable (snapshots were not written with --save).');
+    return;
+  }
+  for (const [key, label, sign] of [
+    ['added', 'Appeared', '+'],
+    ['removed', 'Disappeared', '-'],
+  ]) {
+    const ids = diff.transitive[key];
+    if (ids.length === 0) continue;
+    console.log(`\n${label} transitive packages (${ids.length}):`);
+    for (const id of ids) console.log(`  ${sign} ${id}`);
+  }
+}
+
+function runDiff(args) {
+  const [baseFile, headFile] = args.diffFiles;
+  const diff = diffSnapshots(loadSnapshot(baseFile), loadSnapshot(headFile));
+  if (args.format === 'json') {
+    writeOutput(JSON.stringify(diff, null, 2), args.output);
+  } else if (args.format === 'markdown') {
+    writeOutput(formatDiffMarkdown(diff), args.output);
+  } else {
+    printDiffTable(diff);
+  }
+}
+
+function runGitShow(root, ref, file, execRunner = execFileSync) {
+  // `<ref>:./<file>` resolves relative to the working directory, so this also
+  // works from a package inside a larger repository.
+  try {
+    return execRunner('git', ['show', `${ref}:./${file}`], {
+      cwd: root,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 256 * 1024 * 1024,
+    });
+  } catch {
+    return null;
+  }
+}
+
+function loadGitRefInputs(root, ref, execRunner = execFileSync) {
+  const readAtRef = file => {
+    const text = runGitShow(root, ref, file, execRunner);
+    if (text == null) return null;
     try {
-      entries = readdirSync(curPath, { withFileTypes: true });
+      return JSON.parse(text);
     } catch {
-      continue;
+      return null;
     }
+  };
+  const pkg = readAtRef('package.json');
+  if (!pkg) throw new Error(`Could not read package.json at ${ref}`);
+  const packageLock = readAtRef('package-lock.json') ?? readAtRef('npm-shrinkwrap.json');
+  if (!packageLock) throw new Error(`No package-lock.json at ${ref}; --compare-ref needs a committed npm lockfile`);
+  return { pkg, packageLock };
+}
 
-    for (const entry of entries) {
-      const entryPath = join(curPath, entry.name);
-      if (entry.isDirectory()) {
-        stack.push(entryPath);
-      } else if (entry.isFile()) {
-        try {
-          total += statSync(entryPath).size;
-        } catch {}
-      } else if (!entry.isSymbolicLink()) {
-        try {
-          const entryStat = statSync(entryPath);
-          if (entryStat.isFile()) total += entryStat.size;
-        } catch {}
+function collectLockfileStatsByPackage(tree, topDepNames) {
+  const graph = buildDependencyGraph(tree);
+  const pathSizeCache = new Map();
+  const exclusiveByPackage = collectExclusiveStats(graph, topDepNames, pathSizeCache);
+  const byPackage = new Map();
+  for (const name of topDepNames) {
+    const node = tree?.dependencies?.[name];
+    if (!node) continue;
+    const stats = collectSubtreeStats(name, node, pathSizeCache, null, null, graph);
+    byPackage.set(name, {
+      subdeps: stats.subdeps,
+      exclusiveSubdeps: exclusiveByPackage.get(name).exclusiveSubdeps,
+      approxBytes: stats.approxBytes,
+    });
+  }
+  return byPackage;
+}
+
+function compareLockfileStats(baseByPackage, headByPackage) {
+  const empty = { subdeps: 0, exclusiveSubdeps: 0, approxBytes: 0 };
+  const names = Array.from(new Set([...baseByPackage.keys(), ...headByPackage.keys()])).sort();
+  return names.map(name => {
+    const before = baseByPackage.get(name);
+    const after = headByPackage.get(name);
+    const from = before ?? empty;
+    const to = after ?? empty;
+    const entry = {
+      name,
+      status: !before ? 'added' : !after ? 'removed' : 'unchanged',
+      subdeps: diffNumbers(from.subdeps, to.subdeps),
+      exclusiveSubdeps: diffNumbers(from.exclusiveSubdeps, to.exclusiveSubdeps),
+      approxBytes: diffNumbers(from.approxBytes, to.approxBytes),
+    };
+    if (
+      entry.status === 'unchanged' &&
+      ['subdeps', 'exclusiveSubdeps', 'approxBytes'].some(key => entry[key].base !== entry[key].head)
+    ) {
+      entry.status = 'changed';
+    }
+    return entry;
+  });
+}
+
+async function collectRefComparisonAsync(
+  root,
+  ref,
+  pkg,
+  args,
+  onProgress = null,
+  execRunner = execFileSync,
+  sizeRequester = defaultRegistryClient.unpackedSize,
+  pool = createTaskPool()
+) {
+  // Both sides are built from their lockfiles, so the deltas compare like with
+  // like even when the current numbers come from `npm ls`.
+  const base = loadGitRefInputs(root, ref, execRunner);
+  const packageLock = loadPackageLock(root);
+  if (!packageLock) throw new Error('No package-lock.json found; --compare-ref needs an npm lockfile on both sides');
+
+  // Most packages are on both sides; look each name@version up once.
+  const sizeById = new Map();
+  const cachedSizeRequester = (cwd, packageName, version, signal) => {
+    const id = makeId(packageName, version);
+    if (!sizeById.has(id)) {
+      const request = sizeRequester(cwd, packageName, version, signal);
+      sizeById.set(id, request);
+      // Failed attempts are retried by the pool instead of replayed from here.
+      request.catch(() => sizeById.delete(id));
+    }
+    return sizeById.get(id);
+  };
+
+  const sides = [];
+  for (const [label, sidePkg, sideLock] of [
+    [ref, base.pkg, base.packageLock],
+    ['current', pkg, packageLock],
+  ]) {
+    const tree = buildLockfileTree(root, sideLock, args);
+    await collectLockfileSizesAsync(
+      root,
+      tree,
+      progress => onProgress?.({ ...progress, side: label }),
+      cachedSizeRequester,
+      pool
+    );
+    sides.push(collectLockfileStatsByPackage(tree, Object.keys(collectTopDeps(sidePkg, args.omit))));
+  }
+
+  return { ref, dependencies: compareLockfileStats(sides[0], sides[1]) };
+}
+
+function getWorkspacePatterns(pkg) {
+  const raw = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  return Array.isArray(raw) ? raw.filter(x => typeof x === 'string' && x.trim()) : [];
+}
+
+function workspacePatternToRegExp(pattern) {
+  let source = '';
+  const value = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  for (let idx = 0; idx < value.length; idx++) {
+    const ch = value[idx];
+    if (ch === '*' && value[idx + 1] === '*') {
+      source += value[idx + 2] === '/' ? '(?:.*/)?' : '.*';
+      idx += value[idx + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function expandWorkspacePatterns(root, patterns) {
+  // npm-style workspace globs: `*`, `**` and `?` over directories holding a
+  // package.json, with `!pattern` exclusions. node_modules and dot
+  // directories are never searched.
+  const include = patterns.filter(p => !p.startsWith('!'));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => workspacePatternToRegExp(p.slice(1)));
+  const dirs = new Set();
+
+  for (const pattern of include) {
+    const matcher = workspacePatternToRegExp(pattern);
+    const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+    const staticSegments = [];
+    for (const segment of segments) {
+      if (/[*?]/.test(segment)) break;
+      staticSegments.push(segment);
+    }
+    const recursive = segments.includes('**');
+    const maxDepth = recursive ? Infinity : segments.length;
+    const stack = [[staticSegments.join('/'), staticSegments.length]];
+
+    while (stack.length) {
+      const [rel, depth] = stack.pop();
+      if (rel && matcher.test(rel) && existsSync(join(root, rel, 'package.json'))) dirs.add(rel);
+      if (depth >= maxDepth) continue;
+      let entries;
+      try {
+        entries = readdirSync(join(root, rel), { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        stack.push([rel ? `${rel}/${entry.name}` : entry.name, depth + 1]);
+      }
+    }
+  }
+
+  return Array.from(dirs)
+    .filter(dir => !exclude.some(matcher => matcher.test(dir)))
+    .sort();
+}
+
+function loadWorkspaces(root, pkg) {
+  return expandWorkspacePatterns(root, getWorkspacePatterns(pkg)).map(dir => {
+    const workspacePkg = readJSON(join(root, dir, 'package.json')) ?? {};
+    return { name: workspacePkg.name ?? dir, dir, path: resolve(root, dir), pkg: workspacePkg };
+  });
+}
+
+function selectWorkspaces(root, pkg, args) {
+  if (args.packageManager !== 'npm') {
+    console.error('--workspace and --workspaces currently support npm projects only.');
+    process.exit(1);
+  }
+  const workspaces = loadWorkspaces(root, pkg);
+  if (workspaces.length === 0) {
+    console.error('No workspaces found in package.json.');
+    process.exit(1);
+  }
+  if (args.workspace.length === 0) return workspaces;
+
+  // Like npm, `--workspace` accepts a workspace name or its directory.
+  const selected = [];
+  for (const wanted of args.workspace) {
+    const normalized = wanted.replace(/^\.\//, '').replace(/\/+$/, '');
+    const match = workspaces.find(ws => ws.name === wanted || ws.dir === normalized);
+    if (!match) {
+      console.error(`No workspace matches ${wanted}.`);
+      process.exit(1);
+    }
+    if (!selected.includes(match)) selected.push(match);
+  }
+  return selected;
+}
+
+function findWorkspaceEntry(tree, workspace) {
+  // `npm ls` lists each workspace as a top-level link whose dependencies are
+  // the workspace's own edges.
+  const candidates = Object.entries(tree?.dependencies ?? {});
+  let realWorkspacePath = workspace.path;
+  try {
+    realWorkspacePath = realpathSync(workspace.path);
+  } catch {}
+  const byPath = candidates.find(([, node]) => node?.path && resolve(node.path) === realWorkspacePath);
+  if (byPath) return byPath;
+  const node = tree?.dependencies?.[workspace.name];
+  return node ? [workspace.name, node] : null;
+}
+
+function getWorkspaceTree(tree, workspace) {
+  const node = findWorkspaceEntry(tree, workspace)?.[1];
+  return { dependencies: node?.dependencies ?? {} };
+}
+
+function collectWorkspaceRetainedIds(graph, tree, workspace) {
+  // Packages the root project and the other workspaces keep installed whatever
+  // this workspace drops. The workspace's own link is skipped, so a sibling
+  // that depends on the workspace does not retain its dependencies.
+  const entry = findWorkspaceEntry(tree, workspace);
+  const workspaceId = entry ? makeId(entry[0], entry[1].version) : null;
+  const otherRootIds = Array.from(graph.roots.values()).filter(id => id !== workspaceId);
+  return collectReachableIds(graph, otherRootIds, new Set([workspaceId]));
+}
+
+function collectWorkspaceSummary(workspaces, omit) {
+  const declarationsByName = new Map();
+  for (const workspace of workspaces) {
+    for (const [name, meta] of Object.entries(collectTopDeps(workspace.pkg, omit))) {
+      if (!declarationsByName.has(name)) declarationsByName.set(name, []);
+      declarationsByName.get(name).push({
+        workspace: workspace.name,
+        range: meta.wanted,
+        types: ['prod', 'dev', 'optional', 'peer'].filter(t => meta.types.has(t)),
+      });
+    }
+  }
+
+  const mismatchedRanges = [];
+  for (const [name, declarations] of declarationsByName.entries()) {
+    if (declarations.length < 2) continue;
+    if (new Set(declarations.map(d => d.range)).size < 2) continue;
+    mismatchedRanges.push({ name, declarations });
+  }
+  mismatchedRanges.sort((a, b) => a.name.localeCompare(b.name));
+  return { mismatchedRanges };
+}
+
+function collectTopDeps(pkg, omit) {
+  const topDepsMap = new Map();
+  const addTopDeps = (depsObj, type) => {
+    if (!depsObj) return;
+    if (type !== 'prod' && omit.has(type)) return;
+    for (const [name, wanted] of Object.entries(depsObj)) {
+      const cur = topDepsMap.get(name);
+      if (!cur) {
+        topDepsMap.set(name, {
+          types: new Set([type]),
+          wantedByType: { [type]: wanted },
+        });
+      } else {
+        cur.types.add(type);
+        cur.wantedByType[type] = wanted;
       }
     }
+  };
+
+  addTopDeps(pkg.dependencies, 'prod');
+  addTopDeps(pkg.devDependencies, 'dev');
+  addTopDeps(pkg.optionalDependencies, 'optional');
+  addTopDeps(pkg.peerDependencies, 'peer');
+
+  const topDeps = {};
+  for (const [name, meta] of topDepsMap.entries()) {
+    // npm semantics: optionalDependencies override dependencies when both exist.
+    const wanted =
+      meta.wantedByType.optional ??
+      meta.wantedByType.prod ??
+      meta.wantedByType.dev ??
+      meta.wantedByType.peer ??
+      'UNKNOWN';
+    topDeps[name] = { ...meta, wanted };
+  }
+  return topDeps;
+}
+
+function buildResults(tree, topDeps, context) {
+  const {
+    packageMetaByPackage,
+    gitPackageInfoByPackage,
+    outdatedMarkers,
+    auditMarkers,
+    outdatedCountsAvailable,
+    auditCountsAvailable,
+    libyearAvailable = false,
+    pathSizeCache,
+    retainedIds = null,
+    licenseCache = new Map(),
+    riskCache = new Map(),
+    deprecations = null,
+  } = context;
+  const results = [];
+  const graph = context.graph ?? buildDependencyGraph(tree);
+  const exclusiveByPackage = collectExclusiveStats(graph, Object.keys(topDeps), pathSizeCache, retainedIds);
+
+  for (const [name, meta] of Object.entries(topDeps)) {
+    const types = ['prod', 'dev', 'optional', 'peer'].filter(t => meta.types.has(t));
+    const node = tree.dependencies?.[name];
+    const packageMeta = packageMetaByPackage.get(name) ?? { latest: null, lastUpdated: null };
+    const gitInfo = gitPackageInfoByPackage.get(name) ?? null;
+    const lastUpdated = gitInfo?.date ?? packageMeta.lastUpdated ?? null;
+    const latest = formatLatestVersion(packageMeta.latest, gitInfo);
+    if (!node) {
+      results.push({
+        name,
+        wanted: meta.wanted,
+        latest,
+        installed: 'NOT INSTALLED',
+        latestStatus: null,
+        lastUpdated,
+        types,
+        subdeps: 0,
+        outdatedSubdeps: outdatedCountsAvailable ? 0 : null,
+        outdatedBreakdown: outdatedCountsAvailable ? { major: 0, minor: 0, patch: 0 } : null,
+        libyear: outdatedCountsAvailable && libyearAvailable ? 0 : null,
+        auditSubdeps: auditCountsAvailable ? 0 : null,
+        auditSeverity: null,
+        approxBytes: 0,
+        exclusiveSubdeps: 0,
+        exclusiveApproxBytes: 0,
+        installScriptSubdeps: 0,
+        nativeSubdeps: 0,
+        installScriptPackages: [],
+        nativePackages: [],
+        deprecatedSubdeps: deprecations ? 0 : null,
+        deprecatedPackages: [],
+        license: null,
+        licenses: [],
+      });
+      continue;
+    }
+
+    const stats = collectSubtreeStats(name, node, pathSizeCache, outdatedMarkers, auditMarkers, graph, riskCache);
+    const exclusive = exclusiveByPackage.get(name) ?? { exclusiveSubdeps: 0, exclusiveApproxBytes: 0 };
+    const installed = formatInstalledVersion(node.version, gitInfo);
+    const licenses = Array.from(collectSubtreeLicenses(graph, name, licenseCache).keys()).sort(compareLicenses);
+    const deprecatedPackages = deprecations
+      ? collectSubdepIds(graph, name)
+          .filter(id => deprecations.has(id))
+          .map(id => ({ id, message: deprecations.get(id) }))
+      : [];
+    results.push({
+      name,
+      wanted: meta.wanted,
+      latest,
+      installed,
+      latestStatus: compareLatestToInstalled(latest, installed, gitInfo),
+      lastUpdated,
+      types,
+      subdeps: stats.subdeps,
+      outdatedSubdeps: outdatedCountsAvailable ? stats.outdatedSubdeps : null,
+      outdatedBreakdown: outdatedCountsAvailable ? stats.outdatedBreakdown : null,
+      libyear: outdatedCountsAvailable && libyearAvailable ? stats.libyear : null,
+      auditSubdeps: auditCountsAvailable ? stats.auditSubdeps : null,
+      auditSeverity: auditCountsAvailable ? stats.auditSeverity : null,
+      approxBytes: stats.approxBytes,
+      exclusiveSubdeps: exclusive.exclusiveSubdeps,
+      exclusiveApproxBytes: exclusive.exclusiveApproxBytes,
+      installScriptSubdeps: stats.installScriptPackages.length,
+      nativeSubdeps: stats.nativePackages.length,
+      installScriptPackages: stats.installScriptPackages,
+      nativePackages: stats.nativePackages,
+      deprecatedSubdeps: deprecations ? deprecatedPackages.length : null,
+      deprecatedPackages,
+      // Most restrictive known license in the subtree.
+      license: licenses.find(license => getLicenseRank(license) >= 0) ?? null,
+      licenses,
+    });
+  }
+
+  return results;
+}
+
+function formatWithDelta(text, change, formatDelta = formatSignedCount) {
+  if (!change || change.delta == null || change.delta === 0) return text;
+  return `${text} (${formatDelta(change.delta)})`;
+}
+
+const RESULT_COLUMNS = [
+  '#',
+  'name',
+  'wanted',
+  'latest',
+  'installed',
+  'last updated',
+  'types',
+  'subdeps',
+  'outdated',
+  'libyear',
+  'audit',
+  'approx size',
+  'exclusive',
+  'exclusive size',
+  'scripts',
+  'native',
+  'deprecated',
+  'license',
+];
+const RESULT_AUDIT_COLUMN = RESULT_COLUMNS.indexOf('audit');
+// Count and size columns, right-aligned in the HTML report.
+const RESULT_NUMERIC_COLUMNS = [
+  '#',
+  'subdeps',
+  'outdated',
+  'libyear',
+  'audit',
+  'approx size',
+  'exclusive',
+  'exclusive size',
+  'scripts',
+  'native',
+  'deprecated',
+];
+
+function formatOutdatedSummary(r) {
+  // The count, with the major-version drift that makes it risky, e.g. `12 (3 major)`.
+  if (r.outdatedSubdeps == null) return '?';
+  const major = r.outdatedBreakdown?.major ?? 0;
+  return major > 0 ? `${r.outdatedSubdeps} (${major} major)` : String(r.outdatedSubdeps);
+}
+
+function formatResultRows(results, comparison = null) {
+  // Cell text for each result, in RESULT_COLUMNS order.
+  const changesByName = new Map((comparison?.dependencies ?? []).map(entry => [entry.name, entry]));
+  return results.map((r, idx) => {
+    const change = changesByName.get(r.name);
+    return [
+      String(idx + 1),
+      r.name,
+      r.wanted,
+      formatLatestWithStatus(r.latest, r.latestStatus),
+      r.installed,
+      formatLastUpdated(r.lastUpdated),
+      r.types.join(','),
+      formatWithDelta(String(r.subdeps), change?.subdeps),
+      formatOutdatedSummary(r),
+      r.libyear == null ? '?' : r.libyear.toFixed(1),
+      r.auditSubdeps == null
+        ? '?'
+        : r.auditSubdeps === 0
+          ? '0'
+          : `${r.auditSubdeps} (${r.auditSeverity || 'unknown'})`,
+      formatWithDelta(formatApproxBytes(r.approxBytes), change?.approxBytes, formatSignedApproxBytes),
+      formatWithDelta(String(r.exclusiveSubdeps), change?.exclusiveSubdeps),
+      formatApproxBytes(r.exclusiveApproxBytes),
+      String(r.installScriptSubdeps ?? '?'),
+      String(r.nativeSubdeps ?? '?'),
+      String(r.deprecatedSubdeps ?? '?'),
+      formatLicenseSummary(r),
+    ];
+  });
+}
+
+function printResultsTable(results, comparison = null) {
+  const rows = [RESULT_COLUMNS, ...formatResultRows(results, comparison)];
+
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  const line = row => row.map((cell, i) => pad(cell, widths[i])).join('  ');
+
+  const colorEnabled = !!process.stdout.isTTY && !process.env.NO_COLOR;
+  const colorBySeverity = {
+    low: '\x1b[36m',
+    moderate: '\x1b[33m',
+    high: '\x1b[31m',
+    critical: '\x1b[35m',
+  };
+  const colorize = (text, severity) => {
+    if (!colorEnabled || !severity) return text;
+    const color = colorBySeverity[severity];
+    if (!color) return text;
+    return `${color}${text}\x1b[0m`;
+  };
+
+  console.log(line(rows[0]));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  for (let i = 1; i < rows.length; i++) {
+    const rowText = line(rows[i]);
+    const severity = results[i - 1]?.auditSeverity;
+    console.log(colorize(rowText, severity));
   }
-
-  pathSizeCache.set(path, total);
-  return total;
 }
 
-const AUDIT_SEVERITY_RANKS = new Map([
-  ['low', 0],
-  ['moderate', 1],
-  ['high', 2],
-  ['critical', 3],
-]);
-const AUDIT_RANK_TO_SEVERITY = ['low', 'moderate', 'high', 'critical'];
+function getTopLabel(args) {
+  const effectiveDirection = getEffectiveSortDirection(args.sort, args.direction);
+  return args.sort === 'size'
+    ? `approx size (${effectiveDirection})`
+    : args.sort === 'name'
+      ? `name (${effectiveDirection})`
+      : args.sort === 'publish'
+        ? `update date (${effectiveDirection})`
+        : args.sort === 'libyear'
+          ? `libyear (${effectiveDirection})`
+          : args.sort === 'exclusive'
+            ? `exclusive subdependencies (${effectiveDirection})`
+            : `subdependencies (${effectiveDirection})`;
+}
 
-function toAuditSeverityRank(severity) {
-  if (typeof severity !== 'string') return -1;
-  const normalized = severity.toLowerCase();
-  const rank = AUDIT_SEVERITY_RANKS.get(normalized);
-  return rank === undefined ? -1 : rank;
+function printTopResults(results, args) {
+  const topN = results.slice(0, args.top);
+  const maxNameLen = Math.max(...topN.map(x => x.name.length), 4);
+  console.log(`\nTop ${args.top} by ${getTopLabel(args)}:`);
+  topN.forEach((r, i) => {
+    console.log(
+      `${String(i + 1).padStart(2, ' ')}. ${pad(r.name, maxNameLen)}  →  ${r.subdeps} subdeps, ${r.exclusiveSubdeps} exclusive  (${formatApproxBytes(r.approxBytes)}) (${r.installed}) [${r.types.join(',')}]`
+    );
+  });
 }
 
-function fromAuditSeverityRank(rank) {
-  return rank >= 0 && rank < AUDIT_RANK_TO_SEVERITY.length ? AUDIT_RANK_TO_SEVERITY[rank] : null;
+function collectNotes(results, args, { outdatedCountsAvailable, auditCountsAvailable, deprecatedCountsAvailable }) {
+  const notes = [];
+  if (!outdatedCountsAvailable) notes.push(`outdated counts unavailable (${getOutdatedUnavailableReason(args)}).`);
+  if (results.some(r => r.approxBytes == null)) notes.push('some sizes are unknown (no registry-reported unpackedSize).');
+  if (!auditCountsAvailable) notes.push(`audit counts unavailable (${getAuditUnavailableReason(args)}).`);
+  if (deprecatedCountsAvailable === false) {
+    const reason = args.offline ? 'not cached and --offline is set' : 'registry lookups failed';
+    notes.push(`deprecated counts unavailable (${reason}).`);
+  }
+  if (args.offline) {
+    notes.push('--offline: latest versions, update dates and git commits are shown only where cached.');
+  }
+  return notes;
 }
 
-function collectSubtreeStats(name, node, pathSizeCache, outdatedMarkers = null, auditMarkers = null) {
-  // Collect unique (name@version) for this dependency subtree.
-  // `subdeps` excludes the top-level dependency itself.
-  if (!node) return { subdeps: 0, outdatedSubdeps: 0, auditSubdeps: 0, auditSeverity: null, approxBytes: 0 };
+function printNotes(results, args, availability) {
+  for (const note of collectNotes(results, args, availability)) console.log(`\nNote: ${note}`);
+}
 
-  const seen = new Set();
-  let outdatedSubdeps = 0;
-  let auditSubdeps = 0;
-  let auditSeverityRank = -1;
-  let approxBytes = 0;
-  const stack = [[name, node, 0]];
+function toPolicyJson(policy) {
+  return {
+    passed: policy.violations.length === 0,
+    violations: policy.violations.map(violation => ({ ...violation, results: violation.results.map(r => r.name) })),
+    skipped: policy.skipped,
+  };
+}
 
-  while (stack.length) {
-    const [curName, cur, depth] = stack.pop();
-    const id = makeId(curName, cur?.version);
-    if (seen.has(id)) continue;
-    seen.add(id);
-    approxBytes += getApproxPathSize(cur?.path, pathSizeCache);
-    if (depth > 0) {
-      if (isOutdatedNode(curName, cur, outdatedMarkers)) outdatedSubdeps++;
-      const severityRank = getAuditSeverityRankForNode(curName, cur, auditMarkers);
-      if (severityRank >= 0) {
-        auditSubdeps++;
-        if (severityRank > auditSeverityRank) auditSeverityRank = severityRank;
+function printPolicy(policy, failOn) {
+  const ruleCount = Object.keys(failOn).length;
+  if (policy.violations.length === 0) {
+    console.log(`\nPolicy: ${ruleCount === 1 ? 'the rule' : `all ${ruleCount} rules`} passed.`);
+  } else {
+    console.log(`\nPolicy: ${policy.violations.length} of ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'} breached`);
+    for (const violation of policy.violations) {
+      if (violation.rule === 'size') {
+        console.log(`\n✗ ${violation.description}: ${formatApproxBytes(violation.actual)}`);
+        continue;
+      }
+      if (violation.rule === 'license') {
+        console.log(`\n✗ ${violation.description}:\n`);
+        for (const r of violation.results) console.log(`  ${r.name}: ${violation.licenses[r.name].join(', ')}`);
+        continue;
       }
+      console.log(`\n✗ ${violation.description}:\n`);
+      printResultsTable(violation.results);
     }
+  }
+  for (const entry of policy.skipped) {
+    console.log(`\nNote: policy rule "${formatPolicyRule(entry.rule, entry.limit)}" not checked (${entry.reason}).`);
+  }
+}
 
-    if (cur && cur.dependencies) {
-      for (const [n2, c2] of Object.entries(cur.dependencies)) {
-        stack.push([n2, c2, depth + 1]);
-      }
+function printLicenseInventory(inventory) {
+  console.log('\nLicenses (most restrictive first):');
+  const width = Math.max(0, ...inventory.map(entry => entry.license.length));
+  for (const entry of inventory) {
+    const count = entry.packages.length;
+    console.log(
+      `  ${pad(entry.license, width)}  ${pad(entry.category, 16)}  ${String(count).padStart(4)} ${
+        count === 1 ? 'package ' : 'packages'
+      }  via ${entry.dependencies.join(', ')}`
+    );
+  }
+}
+
+function formatAuditFix(fix) {
+  if (!fix) return 'fix: unknown';
+  if (!fix.available) return 'fix: none available';
+  const target = fix.name && fix.version ? ` (${fix.name}@${fix.version})` : '';
+  return fix.isSemVerMajor ? `fix: major bump${target}, npm audit fix --force` : `fix: npm audit fix${target}`;
+}
+
+function printAuditAdvisories(results) {
+  const affected = results.filter(r => r.auditAdvisories?.length > 0);
+  if (affected.length === 0) {
+    console.log('\nAudit advisories: none.');
+    return;
+  }
+  console.log('\nAudit advisories:');
+  for (const r of affected) {
+    const count = r.auditAdvisories.length;
+    console.log(`\n${r.name}: ${count} ${count === 1 ? 'advisory' : 'advisories'}`);
+    for (const advisory of r.auditAdvisories) {
+      const severity = advisory.severity ?? 'unknown';
+      console.log(`  [${severity}] ${advisory.packages.join(', ')}: ${advisory.title ?? advisory.id}`);
+      const details = [];
+      if (advisory.cvss != null) details.push(`CVSS ${advisory.cvss.toFixed(1)}`);
+      if (advisory.range) details.push(`vulnerable ${advisory.range}`);
+      details.push(formatAuditFix(advisory.fix));
+      if (advisory.url) details.push(advisory.url);
+      console.log(`    ${details.join(' · ')}`);
     }
   }
+}
 
-  return {
-    subdeps: Math.max(0, seen.size - 1),
-    outdatedSubdeps,
-    auditSubdeps,
-    auditSeverity: fromAuditSeverityRank(auditSeverityRank),
-    approxBytes,
-  };
+function printRefComparison(comparison) {
+  console.log(`\nChanges since ${comparison.ref} (lockfile graphs):`);
+  const changed = comparison.dependencies.filter(entry => entry.status !== 'unchanged');
+  if (changed.length === 0) {
+    console.log('  No direct dependency changed.');
+    return;
+  }
+  const maxNameLen = Math.max(...changed.map(x => x.name.length), 4);
+  for (const entry of changed) {
+    console.log(`  ${pad(entry.name, maxNameLen)}  ${pad(entry.status, 7)}  ${formatRefChange(entry)}`);
+  }
 }
 
-function collectOutdatedMarkers(root, outdatedJson) {
-  const paths = new Set();
-  const ids = new Set();
-  if (!outdatedJson || typeof outdatedJson !== 'object') return { paths, ids };
+function formatRefChange(entry) {
+  const bytes = entry.approxBytes.delta == null ? '?' : formatSignedApproxBytes(entry.approxBytes.delta);
+  return `${formatSignedCount(entry.subdeps.delta)} subdeps, ${formatSignedCount(entry.exclusiveSubdeps.delta)} exclusive, ${bytes}`;
+}
 
-  const visit = (value, keyHint = null) => {
-    if (!value || typeof value !== 'object') return;
+function printWorkspaceSummary(summary) {
+  console.log('\nCross-workspace summary:');
+  if (summary.mismatchedRanges.length === 0) {
+    console.log('  No direct dependency is declared at different ranges across workspaces.');
+    return;
+  }
+  console.log('  Direct dependencies declared at different ranges:');
+  const maxNameLen = Math.max(...summary.mismatchedRanges.map(x => x.name.length), 4);
+  for (const entry of summary.mismatchedRanges) {
+    const ranges = entry.declarations.map(d => `${d.range} (${d.workspace})`).join(', ');
+    console.log(`  ${pad(entry.name, maxNameLen)}  ${ranges}`);
+  }
+}
 
-    if (Array.isArray(value)) {
-      for (const item of value) visit(item, null);
-      return;
-    }
+// Markdown stand-ins for the terminal colors in printResultsTable.
+const SEVERITY_MARKERS = { low: '🔵', moderate: '🟡', high: '🔴', critical: '🟣' };
 
-    const isEntry =
-      typeof value.current === 'string' &&
-      (typeof value.latest === 'string' || typeof value.wanted === 'string' || value.latest === null);
+function formatMarkdownSeverity(text, severity) {
+  const marker = SEVERITY_MARKERS[severity];
+  if (!marker) return text;
+  return `${marker} ${severity === 'high' || severity === 'critical' ? `**${text}**` : text}`;
+}
 
-    if (isEntry) {
-      const name = typeof value.name === 'string' ? value.name : keyHint;
-      if (name) ids.add(makeId(name, value.current));
-      if (typeof value.location === 'string' && value.location) {
-        paths.add(resolve(root, value.location));
+function formatMarkdownResultsTable(results, comparison = null) {
+  const lines = [
+    `| ${RESULT_COLUMNS.join(' | ')} |`,
+    `|${RESULT_COLUMNS.map(() => ' --- ').join('|')}|`,
+  ];
+  formatResultRows(results, comparison).forEach((row, idx) => {
+    const cells = row.map(escapeMarkdownCell);
+    cells[1] = `\`${cells[1]}\``;
+    cells[RESULT_AUDIT_COLUMN] = formatMarkdownSeverity(cells[RESULT_AUDIT_COLUMN], results[idx].auditSeverity);
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+  return lines;
+}
+
+function formatMarkdownDetails(results, flaggedByName) {
+  const lines = [];
+  for (const r of results) {
+    const flagged = flaggedByName?.get(r.name);
+    if (!flagged || flagged.audited.length + flagged.outdated.length === 0) continue;
+    const counts = [];
+    if (flagged.audited.length > 0) counts.push(`${flagged.audited.length} audited (${r.auditSeverity || 'unknown'})`);
+    if (flagged.outdated.length > 0) counts.push(`${flagged.outdated.length} outdated`);
+    lines.push('', '<details>', `<summary><code>${r.name}</code>: ${counts.join(', ')}</summary>`);
+    if (flagged.audited.length > 0) {
+      lines.push('', '**Audited subdependencies**', '');
+      for (const { id, severity } of flagged.audited) {
+        lines.push(`- ${formatMarkdownSeverity(severity, severity)} \`${id}\``);
       }
     }
-
-    for (const [k, v] of Object.entries(value)) {
-      if (v && typeof v === 'object') visit(v, k);
+    if (flagged.outdated.length > 0) {
+      lines.push('', '**Outdated subdependencies**', '');
+      for (const id of flagged.outdated) lines.push(`- \`${id}\``);
     }
-  };
+    lines.push('', '</details>');
+  }
+  return lines;
+}
 
-  visit(outdatedJson);
-  return { paths, ids };
+function formatMarkdownPolicy(policy, failOn) {
+  const ruleCount = Object.keys(failOn).length;
+  const lines = [];
+  if (policy.violations.length === 0) {
+    lines.push(`✅ ${ruleCount === 1 ? 'The rule' : `All ${ruleCount} rules`} passed.`);
+  } else {
+    lines.push(`❌ ${policy.violations.length} of ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'} breached:`, '');
+    for (const violation of policy.violations) {
+      const offenders =
+        violation.rule === 'size'
+          ? formatApproxBytes(violation.actual)
+          : violation.results
+              .map(r =>
+                violation.licenses ? `\`${r.name}\` (${violation.licenses[r.name].join(', ')})` : `\`${r.name}\``
+              )
+              .join(', ');
+      lines.push(`- **${violation.description}**: ${offenders}`);
+    }
+  }
+  for (const entry of policy.skipped) {
+    lines.push('', `> **Note:** policy rule "${formatPolicyRule(entry.rule, entry.limit)}" not checked (${entry.reason}).`);
+  }
+  return lines;
 }
 
-function isOutdatedNode(name, node, outdatedMarkers) {
-  if (!outdatedMarkers) return false;
-  if (node?.path && outdatedMarkers.paths.has(resolve(node.path))) return true;
-  return outdatedMarkers.ids.has(makeId(name, node?.version));
+function formatMarkdownReport(reports, args, context) {
+  const { comparison = null, summary = null } = context;
+  const lines = ['## rank-subdeps report'];
+  for (const report of reports) {
+    // Workspace reports nest one heading level deeper.
+    const h = report.workspace ? '####' : '###';
+    if (report.workspace) lines.push('', `### Workspace \`${report.workspace.name}\` (${report.workspace.dir})`);
+    lines.push('', ...formatMarkdownResultsTable(report.results, comparison));
+    lines.push('', `${h} Top ${args.top} by ${getTopLabel(args)}`, '');
+    report.results.slice(0, args.top).forEach((r, i) => {
+      lines.push(
+        `${i + 1}. **${r.name}**: ${r.subdeps} subdeps, ${r.exclusiveSubdeps} exclusive (${formatApproxBytes(r.approxBytes)}) (${r.installed}) [${r.types.join(',')}]`
+      );
+    });
+    lines.push(
+      '',
+      `**Aggregate approx size (deduped by name@version):** ${formatApproxBytes(report.aggregateApproxBytes)}`
+    );
+    const details = formatMarkdownDetails(report.results, report.flaggedSubdeps);
+    if (details.length > 0) lines.push('', `${h} Audited and outdated subdependencies`, ...details);
+    if (report.policy) lines.push('', `${h} Policy`, '', ...formatMarkdownPolicy(report.policy, args.failOn));
+  }
+  if (comparison) {
+    lines.push('', `### Changes since \`${comparison.ref}\` (lockfile graphs)`, '');
+    const changed = comparison.dependencies.filter(entry => entry.status !== 'unchanged');
+    if (changed.length === 0) lines.push('No direct dependency changed.');
+    for (const entry of changed) lines.push(`- \`${entry.name}\` ${entry.status}: ${formatRefChange(entry)}`);
+  }
+  if (summary) {
+    lines.push('', '### Cross-workspace summary', '');
+    if (summary.mismatchedRanges.length === 0) {
+      lines.push('No direct dependency is declared at different ranges across workspaces.');
+    }
+    for (const entry of summary.mismatchedRanges) {
+      const ranges = entry.declarations.map(d => `\`${d.range}\` (${d.workspace})`).join(', ');
+      lines.push(`- \`${entry.name}\`: ${ranges}`);
+    }
+  }
+  for (const note of collectNotes(reports.flatMap(report => report.results), args, context)) {
+    lines.push('', `> **Note:** ${note}`);
+  }
+  return lines.join('\n');
 }
 
-function collectAuditMarkers(root, auditJson) {
-  const pathSeverityRanks = new Map();
-  const packageSeverityRanks = new Map();
-  if (!auditJson || typeof auditJson !== 'object') return { pathSeverityRanks, packageSeverityRanks };
+function formatIsoTimestamp(value) {
+  const ts = getPublishTimestamp(value);
+  return ts == null ? null : new Date(ts).toISOString();
+}
 
-  const addPath = (path, severityRank) => {
-    if (!path || severityRank < 0) return;
-    const abs = resolve(root, path);
-    const prev = pathSeverityRanks.get(abs);
-    if (prev === undefined || severityRank > prev) pathSeverityRanks.set(abs, severityRank);
-  };
-  const addPackage = (name, severityRank) => {
-    if (typeof name !== 'string' || !name || severityRank < 0) return;
-    const prev = packageSeverityRanks.get(name);
-    if (prev === undefined || severityRank > prev) packageSeverityRanks.set(name, severityRank);
-  };
+// Columns for --format csv/tsv: every JSON result field, plus formatted sizes
+// next to the raw byte counts.
+const DELIMITED_COLUMNS = {
+  workspace: (r, workspace) => workspace?.name ?? null,
+  name: r => r.name,
+  wanted: r => r.wanted,
+  latest: r => r.latest,
+  installed: r => r.installed,
+  latestStatus: r => r.latestStatus,
+  lastUpdated: r => formatIsoTimestamp(r.lastUpdated),
+  types: r => r.types.join(','),
+  subdeps: r => r.subdeps,
+  outdatedSubdeps: r => r.outdatedSubdeps,
+  outdatedMajor: r => r.outdatedBreakdown?.major,
+  outdatedMinor: r => r.outdatedBreakdown?.minor,
+  outdatedPatch: r => r.outdatedBreakdown?.patch,
+  libyear: r => r.libyear,
+  auditSubdeps: r => r.auditSubdeps,
+  auditSeverity: r => r.auditSeverity,
+  approxBytes: r => r.approxBytes,
+  approxSize: r => formatApproxBytes(r.approxBytes),
+  exclusiveSubdeps: r => r.exclusiveSubdeps,
+  exclusiveApproxBytes: r => r.exclusiveApproxBytes,
+  exclusiveApproxSize: r => formatApproxBytes(r.exclusiveApproxBytes),
+  installScriptSubdeps: r => r.installScriptSubdeps,
+  nativeSubdeps: r => r.nativeSubdeps,
+  deprecatedSubdeps: r => r.deprecatedSubdeps,
+  license: r => r.license,
+  licenses: r => r.licenses?.join(';'),
+};
 
-  if (auditJson.vulnerabilities && typeof auditJson.vulnerabilities === 'object') {
-    for (const [key, value] of Object.entries(auditJson.vulnerabilities)) {
-      if (!value || typeof value !== 'object') continue;
-      const name = typeof value.name === 'string' ? value.name : key;
-      const severityRank = toAuditSeverityRank(value.severity);
-      addPackage(name, severityRank);
-      if (Array.isArray(value.nodes)) {
-        for (const nodePath of value.nodes) {
-          if (typeof nodePath === 'string' && nodePath) addPath(nodePath, severityRank);
-        }
-      }
-    }
+function escapeDelimitedValue(value, delimiter) {
+  const text = value == null ? '' : String(value);
+  if (delimiter === '\t') {
+    // TSV has no quoting, so separators inside values become spaces.
+    return text.replace(/[\t\r\n]+/g, ' ');
   }
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  if (auditJson.advisories && typeof auditJson.advisories === 'object') {
-    for (const advisory of Object.values(auditJson.advisories)) {
-      if (!advisory || typeof advisory !== 'object') continue;
-      const severityRank = toAuditSeverityRank(advisory.severity);
-      addPackage(advisory.module_name, severityRank);
+function formatResultsDelimited(reports, { delimiter = ',', columns = null } = {}) {
+  const isWorkspaceReport = reports.some(report => report.workspace);
+  const selected =
+    columns ?? Object.keys(DELIMITED_COLUMNS).filter(column => column !== 'workspace' || isWorkspaceReport);
+  const lines = [selected.map(column => escapeDelimitedValue(column, delimiter)).join(delimiter)];
+  for (const report of reports) {
+    for (const r of report.results) {
+      const cells = selected.map(column => escapeDelimitedValue(DELIMITED_COLUMNS[column](r, report.workspace), delimiter));
+      lines.push(cells.join(delimiter));
     }
   }
+  return lines.join('\n');
+}
 
-  return { pathSeverityRanks, packageSeverityRanks };
+function collectTreemapData(graph, results, pathSizeCache, outdatedMarkers = null, auditMarkers = null) {
+  // Per direct dependency, every package in its subtree (itself included)
+  // with its own approximate size, for the HTML treemap.
+  return results.map(r => {
+    const rootId = graph.roots.get(r.name);
+    const ids = rootId ? collectReachableIds(graph, [rootId]) : new Set();
+    const packages = Array.from(ids, id => {
+      const info = graph.nodes.get(id);
+      return {
+        id,
+        approxBytes: getApproxNodeSize(info, pathSizeCache),
+        outdated: isOutdatedNode(info.name, info, outdatedMarkers),
+        auditSeverity: fromAuditSeverityRank(getAuditSeverityRankForNode(info.name, info, auditMarkers)),
+      };
+    });
+    packages.sort((a, b) => (b.approxBytes ?? -1) - (a.approxBytes ?? -1) || a.id.localeCompare(b.id));
+    return { name: r.name, approxBytes: r.approxBytes, auditSeverity: r.auditSeverity, packages };
+  });
 }
 
-function getAuditSeverityRankForNode(name, node, auditMarkers) {
-  if (!auditMarkers) return -1;
-  if (node?.path) {
-    const byPath = auditMarkers.pathSeverityRanks.get(resolve(node.path));
-    if (byPath !== undefined) return byPath;
-  }
-  const byPackage = auditMarkers.packageSeverityRanks.get(name);
-  return byPackage === undefined ? -1 : byPackage;
+// Same hues as the ANSI codes in printResultsTable's colorBySeverity
+// (cyan, yellow, red, magenta).
+const SEVERITY_HTML_COLORS = { low: '#0e9fb5', moderate: '#c99a06', high: '#d73a3a', critical: '#b03ab0' };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-function collectAggregateApproxBytes(tree, topDepNames, pathSizeCache) {
-  const seen = new Set();
-  let total = 0;
-  const stack = [];
+function renderHtmlReportInBrowser() {
+  // Runs in the browser: embedded into --format html output via toString().
+  const data = JSON.parse(document.getElementById('rank-subdeps-data').textContent);
+  const app = document.getElementById('app');
+  const el = (tag, props = {}, children = []) => {
+    const node = Object.assign(document.createElement(tag), props);
+    for (const child of children) node.append(child);
+    return node;
+  };
+  const numericColumns = new Set(data.numericColumns);
+
+  function renderTable(report) {
+    const tbody = el('tbody');
+    const headers = data.columns.map((label, idx) => el('th', { textContent: label, scope: 'col' }));
+    let sort = { idx: 0, dir: 1 };
+    const draw = () => {
+      const rows = report.rows.slice().sort((a, b) => {
+        const x = a.sortValues[data.columns[sort.idx]];
+        const y = b.sortValues[data.columns[sort.idx]];
+        if (x == null || y == null) return x == null ? (y == null ? 0 : 1) : -1;
+        return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * sort.dir;
+      });
+      tbody.replaceChildren(
+        ...rows.map(row => {
+          const tr = el('tr');
+          if (row.auditSeverity) {
+            tr.className = 'sev';
+            tr.style.setProperty('--sev', data.severityColors[row.auditSeverity] ?? '#1f2328');
+          }
+          row.cells.forEach((text, idx) => {
+            const td = el('td', { textContent: text });
+            if (numericColumns.has(data.columns[idx])) td.classList.add('num');
+            if (data.columns[idx] === 'audit') td.classList.add('audit');
+            if (data.columns[idx] === 'outdated' && row.outdated) td.classList.add('outdated');
+            tr.append(td);
+          });
+          return tr;
+        })
+      );
+      headers.forEach((th, idx) => {
+        if (idx === sort.idx) th.setAttribute('aria-sort', sort.dir === 1 ? 'ascending' : 'descending');
+        else th.removeAttribute('aria-sort');
+      });
+    };
+    headers.forEach((th, idx) =>
+      th.addEventListener('click', () => {
+        // Numbers sort largest first on the first click.
+        const firstDir = numericColumns.has(data.columns[idx]) && idx > 0 ? -1 : 1;
+        sort = sort.idx === idx ? { idx, dir: -sort.dir } : { idx, dir: firstDir };
+        draw();
+      })
+    );
+    draw();
+    return el('table', {}, [el('thead', {}, [el('tr', {}, headers)]), tbody]);
+  }
 
-  for (const name of topDepNames) {
-    const node = tree.dependencies?.[name];
-    if (node) stack.push([name, node]);
+  // Squarified treemap layout (Bruls, Huizing, van Wijk).
+  function squarify(items, rect) {
+    const tiles = [];
+    let { x, y, w, h } = rect;
+    let remaining = items.slice();
+    let remainingTotal = remaining.reduce((sum, item) => sum + item.value, 0);
+    while (remaining.length > 0 && w > 0 && h > 0) {
+      const side = Math.min(w, h);
+      const scale = (w * h) / remainingTotal;
+      const worst = row => {
+        const areas = row.map(item => item.value * scale);
+        const sum = areas.reduce((a, b) => a + b, 0);
+        const max = Math.max(...areas);
+        const min = Math.min(...areas);
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+      };
+      let count = 1;
+      // Grow the row while that keeps its tiles closer to square.
+      while (count < remaining.length && worst(remaining.slice(0, count + 1)) <= worst(remaining.slice(0, count))) {
+        count++;
+      }
+      const row = remaining.slice(0, count);
+      const rowValue = row.reduce((sum, item) => sum + item.value, 0);
+      const thickness = (rowValue * scale) / side;
+      let offset = 0;
+      for (const item of row) {
+        const length = (item.value * scale) / thickness;
+        tiles.push(
+          w >= h
+            ? { item, x, y: y + offset, w: thickness, h: length }
+            : { item, x: x + offset, y, w: length, h: thickness }
+        );
+        offset += length;
+      }
+      if (w >= h) {
+        x += thickness;
+        w -= thickness;
+      } else {
+        y += thickness;
+        h -= thickness;
+      }
+      remaining = remaining.slice(count);
+      remainingTotal -= rowValue;
+    }
+    return tiles;
   }
 
-  while (stack.length) {
-    const [name, cur] = stack.pop();
-    const id = makeId(name, cur?.version);
-    if (seen.has(id)) continue;
-    seen.add(id);
-    total += getApproxPathSize(cur?.path, pathSizeCache);
+  function renderTreemap(report) {
+    const container = el('div', { className: 'treemap' });
+    const crumbs = el('div', { className: 'crumbs' });
+    const caption = el('p', { className: 'note' });
+    let focus = null;
+    const draw = () => {
+      const entries = focus
+        ? focus.packages.map(pkg => ({
+            label: pkg.id,
+            size: pkg.approxSize,
+            value: pkg.approxBytes,
+            auditSeverity: pkg.auditSeverity,
+            outdated: pkg.outdated,
+          }))
+        : report.treemap.map(entry => ({
+            label: entry.name,
+            size: entry.approxSize,
+            value: entry.approxBytes,
+            auditSeverity: entry.auditSeverity,
+            entry,
+          }));
+      const sized = entries.filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+      const unknown = entries.length - sized.length;
+      crumbs.replaceChildren(
+        focus
+          ? el('button', {
+              textContent: 'All dependencies',
+              onclick: () => {
+                focus = null;
+                draw();
+              },
+            })
+          : 'All dependencies',
+        ...(focus ? [' › ', focus.name] : [])
+      );
+      const hidden = unknown > 0 ? ` ${unknown} with unknown or zero size not shown.` : '';
+      caption.textContent = focus
+        ? `${focus.packages.length} packages in ${focus.name}'s subtree.${hidden}`
+        : `Click a dependency to see its transitive packages. Packages shared by several dependencies appear under each.${hidden}`;
+      const tiles = squarify(sized, { x: 0, y: 0, w: container.clientWidth, h: container.clientHeight });
+      container.replaceChildren(
+        ...tiles.map(({ item, x, y, w, h }) => {
+          const markers = [item.outdated && 'outdated', item.auditSeverity && `audit: ${item.auditSeverity}`].filter(Boolean);
+          const tile = el('div', {
+            className: 'tile',
+            title: `${item.label}: ${item.size}${markers.length > 0 ? ` (${markers.join(', ')})` : ''}`,
+          });
+          Object.assign(tile.style, { left: `${x}px`, top: `${y}px`, width: `${w}px`, height: `${h}px` });
+          if (item.auditSeverity) tile.style.background = data.severityColors[item.auditSeverity];
+          if (item.outdated) tile.classList.add('outdated');
+          if (w > 40 && h > 16) tile.textContent = `${item.label} ${item.size}`;
+          if (item.entry) {
+            tile.addEventListener('click', () => {
+              focus = item.entry;
+              draw();
+            });
+          }
+          return tile;
+        })
+      );
+    };
+    new ResizeObserver(draw).observe(container);
+    return [crumbs, container, caption];
+  }
 
-    if (cur && cur.dependencies) {
-      for (const [n2, c2] of Object.entries(cur.dependencies)) {
-        stack.push([n2, c2]);
+  const legend = el(
+    'p',
+    { className: 'legend' },
+    Object.entries(data.severityColors).map(([severity, color]) => {
+      const swatch = el('i');
+      swatch.style.background = color;
+      return el('span', {}, [swatch, `audit: ${severity}`]);
+    })
+  );
+  legend.append(el('span', { textContent: 'dashed border: outdated' }));
+
+  for (const report of data.reports) {
+    const section = el('section');
+    if (report.workspace) section.append(el('h2', { textContent: `Workspace ${report.workspace}` }));
+    section.append(
+      el('h2', { textContent: 'Approximate size by dependency' }),
+      legend.cloneNode(true),
+      ...renderTreemap(report),
+      el('h2', { textContent: 'Dependencies' }),
+      renderTable(report),
+      el('p', { textContent: `Aggregate approx size (deduped by name@version): ${report.aggregateApproxSize}` })
+    );
+    app.append(section);
+  }
+  for (const note of data.notes) app.append(el('p', { className: 'note', textContent: `Note: ${note}` }));
+}
+
+function formatHtmlReport(reports, args, context) {
+  const { title = 'rank-subdeps report' } = context;
+  const data = {
+    columns: RESULT_COLUMNS,
+    numericColumns: RESULT_NUMERIC_COLUMNS,
+    severityColors: SEVERITY_HTML_COLORS,
+    notes: collectNotes(reports.flatMap(report => report.results), args, context),
+    reports: reports.map(report => ({
+      workspace: report.workspace ? `${report.workspace.name} (${report.workspace.dir})` : null,
+      aggregateApproxSize: formatApproxBytes(report.aggregateApproxBytes),
+      rows: formatResultRows(report.results).map((cells, idx) => {
+        const r = report.results[idx];
+        // Raw values to sort by, keyed by RESULT_COLUMNS label.
+        const sortValues = {
+          '#': idx + 1,
+          name: r.name,
+          wanted: r.wanted,
+          latest: r.latest,
+          installed: r.installed,
+          'last updated': getPublishTimestamp(r.lastUpdated),
+          types: r.types.join(','),
+          subdeps: r.subdeps,
+          outdated: r.outdatedSubdeps,
+          libyear: r.libyear,
+          audit: r.auditSubdeps,
+          'approx size': r.approxBytes,
+          exclusive: r.exclusiveSubdeps,
+          'exclusive size': r.exclusiveApproxBytes,
+          scripts: r.installScriptSubdeps,
+          native: r.nativeSubdeps,
+          deprecated: r.deprecatedSubdeps,
+          license: getLicenseRank(r.license),
+        };
+        return { cells, sortValues, auditSeverity: r.auditSeverity, outdated: r.outdatedSubdeps > 0 };
+      }),
+      treemap: (report.treemap ?? []).map(entry => ({
+        ...entry,
+        packages: entry.packages.map(pkg => ({ ...pkg, approxSize: formatApproxBytes(pkg.approxBytes) })),
+        approxSize: formatApproxBytes(entry.approxBytes),
+      })),
+    })),
+  };
+  // Keep `</script>` and similar sequences in package data from ending the block.
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 14px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 24px; color: #1f2328; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; }
+  table { border-collapse: collapse; width: 100%; font-variant-numeric: tabular-nums; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid #d0d7de; text-align: left; white-space: nowrap; }
+  th { cursor: pointer; user-select: none; background: #f6f8fa; position: sticky; top: 0; }
+  th[aria-sort="ascending"]::after { content: " ▲"; }
+  th[aria-sort="descending"]::after { content: " ▼"; }
+  td.num { text-align: right; }
+  td.outdated { font-weight: 600; text-decoration: underline dotted; }
+  tr.sev td:first-child { border-left: 4px solid var(--sev); }
+  tr.sev td.audit { color: var(--sev); font-weight: 600; }
+  .treemap { position: relative; height: 480px; border: 1px solid #d0d7de; overflow: hidden; }
+  .tile { position: absolute; box-sizing: border-box; border: 1px solid #fff; background: #8c959f; color: #fff;
+    font-size: 12px; padding: 2px 4px; overflow: hidden; cursor: pointer; }
+  .tile.outdated { border: 2px dashed #1f2328; }
+  .crumbs { margin: 8px 0; }
+  .crumbs button { font: inherit; border: 0; background: none; color: #0969da; cursor: pointer; padding: 0; }
+  .legend span { display: inline-block; margin-right: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+  .note { color: #59636e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div id="app"></div>
+<script type="application/json" id="rank-subdeps-data">${json}</script>
+<script>
+(${renderHtmlReportInBrowser})();
+</script>
+</body>
+</html>
+`;
+}
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+// SARIF levels and GitHub code scanning `security-severity` scores for each
+// audit severity.
+const SARIF_AUDIT_LEVELS = { low: 'note', moderate: 'warning', high: 'error', critical: 'error' };
+const SARIF_SECURITY_SEVERITY = { low: '3.0', moderate: '5.5', high: '8.0', critical: '9.5' };
+const PACKAGE_JSON_DEPENDENCY_KEYS = new Set([
+  'dependencies',
+  'devDependencies',
+  'optionalDependencies',
+  'peerDependencies',
+]);
+
+function findPackageJsonDependencyLines(text) {
+  // 1-based line of each direct dependency's key in package.json (first
+  // occurrence across the dependency sections), found by scanning the JSON
+  // tokens so single-line objects work too.
+  const lines = new Map();
+  const stack = [];
+  let line = 1;
+  let lastString = null;
+  let key = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') {
+      line++;
+    } else if (ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === '\\' ? 2 : 1;
+      try {
+        lastString = { value: JSON.parse(text.slice(i, j + 1)), line };
+      } catch {
+        lastString = null;
       }
+      i = j;
+    } else if (ch === ':') {
+      key = lastString;
+      if (key && stack.length === 2 && PACKAGE_JSON_DEPENDENCY_KEYS.has(stack[1]) && !lines.has(key.value)) {
+        lines.set(key.value, key.line);
+      }
+    } else if (ch === '{' || ch === '[') {
+      stack.push(key?.value ?? null);
+      key = null;
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ',') {
+      key = null;
     }
   }
+  return lines;
+}
 
-  return total;
+function collectSarifRules() {
+  return [
+    ...AUDIT_RANK_TO_SEVERITY.map(severity => ({
+      id: `audit/${severity}`,
+      shortDescription: { text: `Subdependency with ${severity} severity audit issues` },
+      defaultConfiguration: { level: SARIF_AUDIT_LEVELS[severity] },
+      properties: { tags: ['security', 'dependencies'], 'security-severity': SARIF_SECURITY_SEVERITY[severity] },
+    })),
+    ...[...POLICY_RULES, 'license'].map(rule => ({
+      id: `policy/${rule}`,
+      shortDescription: {
+        text: rule === 'license' ? 'License not allowed by --license-deny/--license-allow' : `--fail-on ${rule} limit exceeded`,
+      },
+      defaultConfiguration: { level: 'error' },
+      properties: { tags: ['dependencies'] },
+    })),
+  ];
 }
 
-function formatApproxBytes(bytes) {
-  if (!Number.isFinite(bytes) || bytes <= 0) return '~0 B';
-  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-  let value = bytes;
-  let unitIdx = 0;
+function formatPolicyActual(violation, r) {
+  const { rule } = violation;
+  if (rule === 'license') return violation.licenses[r.name].join(', ');
+  if (rule === 'subdeps') return `${r.subdeps} subdeps`;
+  if (rule === 'outdated') return `${r.outdatedSubdeps} outdated subdeps`;
+  if (rule === 'age') return `last updated ${formatLastUpdated(r.lastUpdated)}`;
+  return `${r.auditSeverity} severity`;
+}
 
-  while (value >= 1024 && unitIdx < units.length - 1) {
-    value /= 1024;
-    unitIdx++;
+function formatSarifReport(reports, args, context) {
+  // One result per audited subdependency of each direct dependency and per
+  // policy breach, located at the direct dependency's line in package.json.
+  const results = [];
+  const notes = collectNotes(reports.flatMap(report => report.results), args, context);
+  for (const report of reports) {
+    const manifest = report.manifest ?? { uri: 'package.json', lines: new Map() };
+    const locate = name => {
+      const line = name ? manifest.lines.get(name) : undefined;
+      return [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: manifest.uri, uriBaseId: '%SRCROOT%' },
+            ...(line ? { region: { startLine: line } } : {}),
+          },
+        },
+      ];
+    };
+
+    for (const r of report.results) {
+      for (const { id, severity } of report.flaggedSubdeps?.get(r.name)?.audited ?? []) {
+        results.push({
+          ruleId: `audit/${severity}`,
+          level: SARIF_AUDIT_LEVELS[severity],
+          message: { text: `${id} has ${severity} severity audit issues and is installed via ${r.name}.` },
+          locations: locate(r.name),
+          properties: { dependency: r.name, package: id },
+        });
+      }
+    }
+
+    for (const violation of report.policy?.violations ?? []) {
+      const ruleId = `policy/${violation.rule}`;
+      if (violation.rule === 'size') {
+        results.push({
+          ruleId,
+          level: 'error',
+          message: { text: `Policy ${violation.description} breached: ${formatApproxBytes(violation.actual)}.` },
+          locations: locate(null),
+        });
+        continue;
+      }
+      for (const r of violation.results) {
+        results.push({
+          ruleId,
+          level: 'error',
+          message: {
+            text: `${r.name} breaches policy ${violation.description} (${formatPolicyActual(violation, r)}).`,
+          },
+          locations: locate(r.name),
+          properties: { dependency: r.name },
+        });
+      }
+    }
+    for (const entry of report.policy?.skipped ?? []) {
+      notes.push(`policy rule "${formatPolicyRule(entry.rule, entry.limit)}" not checked (${entry.reason}).`);
+    }
   }
 
-  const text = value >= 10 || unitIdx === 0 ? String(Math.round(value)) : value.toFixed(1);
-  return `~${text} ${units[unitIdx]}`;
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'rank-subdeps',
+            informationUri: 'https://github.com/EriksRemess/rank-subdeps',
+            rules: collectSarifRules(),
+          },
+        },
+        invocations: [
+          {
+            executionSuccessful: true,
+            toolExecutionNotifications: notes.map(note => ({ level: 'warning', message: { text: note } })),
+          },
+        ],
+        results,
+      },
+    ],
+  };
+  return JSON.stringify(sarif, null, 2);
 }
 
-function formatLastUpdated(value) {
-  if (typeof value !== 'string' || !value) return '?';
-  const date = new Date(value);
-  if (!Number.isFinite(date.valueOf())) return value;
-  return date.toISOString().slice(0, 10);
+const SBOM_FORMATS = ['cyclonedx', 'spdx'];
+const SBOM_PROPERTY_PREFIX = 'rank-subdeps';
+// SRI integrity algorithms and their CycloneDX / SPDX names.
+const INTEGRITY_ALGORITHMS = {
+  sha1: { cyclonedx: 'SHA-1', spdx: 'SHA1' },
+  sha256: { cyclonedx: 'SHA-256', spdx: 'SHA256' },
+  sha384: { cyclonedx: 'SHA-384', spdx: 'SHA384' },
+  sha512: { cyclonedx: 'SHA-512', spdx: 'SHA512' },
+};
+
+function parseIntegrityHashes(integrity) {
+  // `sha512-<base64> sha1-<base64>` → [{ algorithm: 'sha512', hex }]
+  if (typeof integrity !== 'string') return [];
+  const hashes = [];
+  for (const item of integrity.trim().split(/\s+/)) {
+    const match = item.match(/^(sha1|sha256|sha384|sha512)-([A-Za-z0-9+/]+=*)(?:\?.*)?$/);
+    if (match) hashes.push({ algorithm: match[1], hex: Buffer.from(match[2], 'base64').toString('hex') });
+  }
+  return hashes;
 }
 
-function getPublishTimestamp(value) {
-  if (typeof value !== 'string' || !value) return null;
-  const ts = Date.parse(value);
-  return Number.isFinite(ts) ? ts : null;
+function toPackageUrl(name, version) {
+  // purl spec: the npm scope is the namespace, with `@` percent-encoded.
+  const [scope, bare] = name.startsWith('@') && name.includes('/') ? name.split('/', 2) : [null, name];
+  const path = scope ? `${encodeURIComponent(scope)}/${encodeURIComponent(bare)}` : encodeURIComponent(bare);
+  return version ? `pkg:npm/${path}@${encodeURIComponent(version)}` : `pkg:npm/${path}`;
 }
 
-function getEffectiveSortDirection(sortMode, direction) {
-  if (direction === 'asc' || direction === 'desc') return direction;
-  if (sortMode === 'name') return 'asc';
-  return 'desc';
+function collectSbomPackages(graph, topDeps, pathSizeCache, auditMarkers = null, licenseCache = new Map()) {
+  // Every name@version reachable from the ranked direct dependencies, with
+  // its merged graph edges and the same subtree stats the results use.
+  const directIds = Object.keys(topDeps)
+    .sort()
+    .map(name => graph.roots.get(name))
+    .filter(Boolean);
+  const packages = Array.from(collectReachableIds(graph, directIds), id => {
+    const info = graph.nodes.get(id);
+    const stats = collectSubtreeStats(info.name, info, pathSizeCache, null, null, graph);
+    return {
+      id,
+      name: info.node?.packageName ?? info.name,
+      version: info.version,
+      resolved: typeof info.node?.resolved === 'string' ? info.node.resolved : null,
+      integrity: info.node?.integrity ?? null,
+      license: getNodeLicense(info, licenseCache),
+      dependsOn: Array.from(graph.edges.get(id) ?? []).sort(),
+      subdeps: stats.subdeps,
+      approxBytes: stats.approxBytes,
+      auditSeverity: fromAuditSeverityRank(getAuditSeverityRankForNode(info.name, info, auditMarkers)),
+    };
+  });
+  packages.sort((a, b) => a.id.localeCompare(b.id));
+  return { directIds: Array.from(new Set(directIds)).sort(), packages };
 }
 
-const pad = (str, len) => {
-  str = String(str);
-  return str.length >= len ? str : str + ' '.repeat(len - str.length);
-};
+function collectSbomProperties(entry) {
+  const properties = [
+    [`${SBOM_PROPERTY_PREFIX}:subdeps`, entry.subdeps],
+    [`${SBOM_PROPERTY_PREFIX}:approxBytes`, entry.approxBytes],
+    [`${SBOM_PROPERTY_PREFIX}:auditSeverity`, entry.auditSeverity],
+  ];
+  return properties.filter(([, value]) => value != null).map(([name, value]) => ({ name, value: String(value) }));
+}
 
-function parseArgs(argv) {
-  const args = {
-    json: false,
-    verbose: false,
-    top: 10,
-    sort: 'subdeps',
-    direction: null,
-    // npm-like default: omit dev when NODE_ENV=production
-    omit: new Set(process.env.NODE_ENV === 'production' ? ['dev'] : []),
-    include: new Set(),
+function formatCycloneDxSbom(sbom, project, options = {}) {
+  const { timestamp = new Date().toISOString(), serialNumber = randomUUID(), notes = [] } = options;
+  const projectRef = makeId(project.name, project.version);
+  const toComponent = entry => {
+    const scoped = entry.name.startsWith('@') && entry.name.includes('/');
+    const component = {
+      type: 'library',
+      'bom-ref': entry.id,
+      ...(scoped ? { group: entry.name.split('/')[0], name: entry.name.split('/').slice(1).join('/') } : { name: entry.name }),
+      ...(entry.version ? { version: entry.version } : {}),
+      purl: toPackageUrl(entry.name, entry.version),
+    };
+    const hashes = parseIntegrityHashes(entry.integrity).map(hash => ({
+      alg: INTEGRITY_ALGORITHMS[hash.algorithm].cyclonedx,
+      content: hash.hex,
+    }));
+    if (hashes.length > 0) component.hashes = hashes;
+    if (isSpdxLicense(entry.license)) {
+      component.licenses = entry.license.includes(' ')
+        ? [{ expression: entry.license }]
+        : [{ license: { id: entry.license } }];
+    } else if (entry.license !== MISSING_LICENSE) {
+      component.licenses = [{ license: { name: entry.license } }];
+    }
+    if (entry.resolved) component.externalReferences = [{ type: 'distribution', url: entry.resolved }];
+    const properties = collectSbomProperties(entry);
+    if (properties.length > 0) component.properties = properties;
+    return component;
   };
-  const allowedTypes = new Set(['dev', 'optional', 'peer']);
-  const allowedSorts = new Set(['subdeps', 'size', 'name', 'publish']);
-  const allowedDirections = new Set(['asc', 'desc']);
-  const addTypes = (raw, flag) => {
-    if (!raw || raw.startsWith('-')) {
-      console.error(`Missing value for ${flag}. Supported values: dev, optional, peer`);
-      printHelpAndExit(1);
-    }
-    const values = raw.split(',').map(x => x.trim()).filter(Boolean);
-    if (values.length === 0) {
-      console.error(`Missing value for ${flag}. Supported values: dev, optional, peer`);
-      printHelpAndExit(1);
-    }
-    const unsupported = values.filter(x => !allowedTypes.has(x));
-    if (unsupported.length > 0) {
-      console.error(`Unsupported ${flag} value(s): ${unsupported.join(', ')}`);
-      printHelpAndExit(1);
-    }
-    return values;
+
+  const bom = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${serialNumber}`,
+    version: 1,
+    metadata: {
+      timestamp,
+      tools: { components: [{ type: 'application', name: 'rank-subdeps' }] },
+      component: {
+        type: 'application',
+        'bom-ref': projectRef,
+        name: project.name,
+        ...(project.version ? { version: project.version } : {}),
+      },
+      ...(notes.length > 0
+        ? { properties: notes.map(note => ({ name: `${SBOM_PROPERTY_PREFIX}:note`, value: note })) }
+        : {}),
+    },
+    components: sbom.packages.map(toComponent),
+    dependencies: [
+      { ref: projectRef, dependsOn: sbom.directIds },
+      ...sbom.packages.map(entry => ({ ref: entry.id, dependsOn: entry.dependsOn })),
+    ],
   };
+  return JSON.stringify(bom, null, 2);
+}
 
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (a === '--json') {
-      args.json = true;
-    } else if (a === '-v' || a === '--verbose') {
-      args.verbose = true;
-    } else if (a === '--sort' || a.startsWith('--sort=')) {
-      const raw = a === '--sort' ? argv[i + 1] : a.slice('--sort='.length);
-      if (!raw || raw.startsWith('-')) {
-        console.error(
-          'Missing value for --sort. Supported values: subdeps, size, name, publish'
-        );
-        printHelpAndExit(1);
-      }
-      if (raw === 'publish-asc' || raw === 'publish-desc') {
-        args.sort = 'publish';
-        if (!args.direction) args.direction = raw.endsWith('-asc') ? 'asc' : 'desc';
-      } else if (!allowedSorts.has(raw)) {
-        console.error(`Unsupported --sort value: ${raw}`);
-        printHelpAndExit(1);
-      } else {
-        args.sort = raw;
-      }
-      if (a === '--sort') i++;
-    } else if (a === '--direction' || a.startsWith('--direction=')) {
-      const raw = a === '--direction' ? argv[i + 1] : a.slice('--direction='.length);
-      if (!raw || raw.startsWith('-')) {
-        console.error('Missing value for --direction. Supported values: asc, desc');
-        printHelpAndExit(1);
-      }
-      if (!allowedDirections.has(raw)) {
-        console.error(`Unsupported --direction value: ${raw}`);
-        printHelpAndExit(1);
-      }
-      args.direction = raw;
-      if (a === '--direction') i++;
-    } else if (a === '--top') {
-      const n = Number(argv[i + 1]);
-      if (!Number.isNaN(n) && n > 0) args.top = n;
-      i++;
-    } else if (a === '--omit' || a.startsWith('--omit=')) {
-      const raw = a === '--omit' ? argv[i + 1] : a.slice('--omit='.length);
-      const values = addTypes(raw, '--omit');
-      for (const v of values) args.omit.add(v);
-      if (a === '--omit') i++;
-    } else if (a === '--include' || a.startsWith('--include=')) {
-      const raw = a === '--include' ? argv[i + 1] : a.slice('--include='.length);
-      const values = addTypes(raw, '--include');
-      for (const v of values) args.include.add(v);
-      if (a === '--include') i++;
-    } else if (a === '-h' || a === '--help') {
-      printHelpAndExit();
-    } else {
-      console.error(`Unknown argument: ${a}`);
-      printHelpAndExit(1);
+function formatSpdxSbom(sbom, project, options = {}) {
+  const { timestamp = new Date().toISOString(), serialNumber = randomUUID(), notes = [] } = options;
+  // SPDX ids only allow letters, digits, `.` and `-`.
+  const spdxIds = new Map();
+  const usedSpdxIds = new Set();
+  const toSpdxId = id => {
+    const base = `SPDXRef-Package-${id.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '')}`;
+    let spdxId = base;
+    for (let n = 2; usedSpdxIds.has(spdxId); n++) spdxId = `${base}-${n}`;
+    usedSpdxIds.add(spdxId);
+    spdxIds.set(id, spdxId);
+    return spdxId;
+  };
+  const projectId = toSpdxId(makeId(project.name, project.version));
+  const created = `${timestamp.slice(0, 19)}Z`;
+
+  const toPackage = entry => {
+    const spdxPackage = {
+      SPDXID: toSpdxId(entry.id),
+      name: entry.name,
+      ...(entry.version ? { versionInfo: entry.version } : {}),
+      downloadLocation: entry.resolved ?? 'NOASSERTION',
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: isSpdxLicense(entry.license) ? entry.license : 'NOASSERTION',
+      copyrightText: 'NOASSERTION',
+      externalRefs: [
+        {
+          referenceCategory: 'PACKAGE-MANAGER',
+          referenceType: 'purl',
+          referenceLocator: toPackageUrl(entry.name, entry.version),
+        },
+      ],
+    };
+    const checksums = parseIntegrityHashes(entry.integrity).map(hash => ({
+      algorithm: INTEGRITY_ALGORITHMS[hash.algorithm].spdx,
+      checksumValue: hash.hex,
+    }));
+    if (checksums.length > 0) spdxPackage.checksums = checksums;
+    // SPDX 2.3 has no custom fields; annotations carry the rank-subdeps stats.
+    const properties = collectSbomProperties(entry);
+    if (properties.length > 0) {
+      spdxPackage.annotations = properties.map(property => ({
+        annotationType: 'OTHER',
+        annotator: 'Tool: rank-subdeps',
+        annotationDate: created,
+        comment: `${property.name}=${property.value}`,
+      }));
     }
-  }
-
-  // npm-style precedence: include wins over omit
-  for (const t of args.include) args.omit.delete(t);
+    return spdxPackage;
+  };
 
-  return args;
+  const packages = sbom.packages.map(toPackage);
+  const document = {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: makeId(project.name, project.version),
+    documentNamespace: `urn:uuid:${serialNumber}`,
+    creationInfo: {
+      created,
+      creators: ['Tool: rank-subdeps'],
+      ...(notes.length > 0 ? { comment: notes.join(' ') } : {}),
+    },
+    packages: [
+      {
+        SPDXID: projectId,
+        name: project.name,
+        ...(project.version ? { versionInfo: project.version } : {}),
+        downloadLocation: 'NOASSERTION',
+        filesAnalyzed: false,
+        licenseConcluded: 'NOASSERTION',
+        licenseDeclared: 'NOASSERTION',
+        copyrightText: 'NOASSERTION',
+      },
+      ...packages,
+    ],
+    relationships: [
+      { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: projectId },
+      ...sbom.directIds.map(id => ({
+        spdxElementId: projectId,
+        relationshipType: 'DEPENDS_ON',
+        relatedSpdxElement: spdxIds.get(id),
+      })),
+      ...sbom.packages.flatMap(entry =>
+        entry.dependsOn.map(id => ({
+          spdxElementId: spdxIds.get(entry.id),
+          relationshipType: 'DEPENDS_ON',
+          relatedSpdxElement: spdxIds.get(id),
+        }))
+      ),
+    ],
+  };
+  return JSON.stringify(document, null, 2);
 }
 
-function printHelpAndExit(code = 0) {
-  console.log(`rank-subdeps
+const GRAPH_FORMATS = ['dot', 'mermaid'];
+// A direct dependency listed under several types is drawn as the one npm
+// installs it as, matching the `wanted` precedence in collectTopDeps.
+const GRAPH_TYPE_PRECEDENCE = ['optional', 'prod', 'dev', 'peer'];
+const GRAPH_NODE_SHAPES = {
+  project: { dot: 'shape=doubleoctagon', mermaid: ['[[', ']]'] },
+  prod: { dot: 'shape=box', mermaid: ['[', ']'] },
+  dev: { dot: 'shape=box', dotStyle: 'rounded', mermaid: ['(', ')'] },
+  optional: { dot: 'shape=hexagon', mermaid: ['{{', '}}'] },
+  peer: { dot: 'shape=parallelogram', mermaid: ['[/', '/]'] },
+  transitive: { dot: null, mermaid: ['([', '])'] },
+};
 
-Rank top-level dependencies by unique transitive subdependencies, latest update date, and approximate file size.
+function collectGraphExport(graph, topDeps, options = {}) {
+  // The deduplicated (name@version) graph behind the subdeps counts: the same
+  // merged edges collectSubtreeStats walks, rooted at the ranked direct
+  // dependencies (or just `root`) and cut off `depth` levels below them.
+  const { project = null, root = null, depth = null, outdatedMarkers = null, auditMarkers = null } = options;
+  if (root && !(topDeps[root] && graph.roots.has(root))) {
+    throw new Error(`--graph-root ${root} is not an installed direct dependency`);
+  }
 
-Usage:
-  rank-subdeps [--json] [--verbose] [--top N] [--sort subdeps|size|name|publish] [--direction asc|desc] [--omit=<type>[,<type>]] [--include=<type>[,<type>]]
+  const directTypes = new Map();
+  for (const name of root ? [root] : Object.keys(topDeps).sort()) {
+    const id = graph.roots.get(name);
+    if (!id) continue;
+    directTypes.set(id, GRAPH_TYPE_PRECEDENCE.find(type => topDeps[name].types.has(type)));
+  }
 
-Options:
-  --json        Output machine-readable JSON instead of a table (includes latest, lastUpdated, auditSubdeps, and aggregateApproxBytes)
-  -v, --verbose Print diagnostic details to stderr
-  --top N       Number of items to include in the "Top N" summary (default: 10)
-  --sort        Sort by subdeps, size, name, or update date
-  --direction   Sort direction for selected --sort: asc or desc
-  --omit        Dependency types to omit: dev, optional, peer (can be repeated)
-  --include     Dependency types to include even if omitted (can be repeated)
-  -h, --help    Show this help
-`);
-  process.exit(code);
+  const depths = new Map(Array.from(directTypes.keys(), id => [id, 0]));
+  const queue = Array.from(directTypes.keys());
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (depth != null && depths.get(id) >= depth) continue;
+    for (const childId of graph.edges.get(id) ?? []) {
+      if (depths.has(childId) || !graph.nodes.has(childId)) continue;
+      depths.set(childId, depths.get(id) + 1);
+      queue.push(childId);
+    }
+  }
+
+  const nodes = queue.map(id => {
+    const info = graph.nodes.get(id);
+    return {
+      id,
+      depth: depths.get(id),
+      type: directTypes.get(id) ?? null,
+      outdated: isOutdatedNode(info.name, info, outdatedMarkers),
+      auditSeverity: fromAuditSeverityRank(getAuditSeverityRankForNode(info.name, info, auditMarkers)),
+    };
+  });
+  nodes.sort((a, b) => a.depth - b.depth || a.id.localeCompare(b.id));
+
+  // Nodes at the depth limit were not expanded, so their edges (including
+  // those between direct dependencies at depth 0) are left out too.
+  const edges = [];
+  for (const node of nodes) {
+    if (depth != null && node.depth >= depth) continue;
+    for (const childId of graph.edges.get(node.id) ?? []) {
+      if (depths.has(childId)) edges.push({ from: node.id, to: childId });
+    }
+  }
+  edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+  return { project: root ? null : project, nodes, edges };
 }
 
-function getResultsComparator(sortMode, direction = null) {
-  const effectiveDirection = getEffectiveSortDirection(sortMode, direction);
-  const asc = effectiveDirection === 'asc';
+function describeGraphNode(node) {
+  return [node.type, node.outdated && 'outdated', node.auditSeverity && `audit: ${node.auditSeverity}`]
+    .filter(Boolean)
+    .join(', ');
+}
 
-  if (sortMode === 'publish') {
-    return (a, b) => {
-      const aTs = getPublishTimestamp(a.lastUpdated);
-      const bTs = getPublishTimestamp(b.lastUpdated);
+function formatGraphDot(graphExport, notes = []) {
+  const quote = value => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=ellipse, fontname="Helvetica"];'];
+  for (const note of notes) lines.push(`  // Note: ${note}`);
+  if (graphExport.project) lines.push(`  ${quote(graphExport.project)} [${GRAPH_NODE_SHAPES.project.dot}];`);
+  for (const node of graphExport.nodes) {
+    const shape = GRAPH_NODE_SHAPES[node.type ?? 'transitive'];
+    const attrs = shape.dot ? [shape.dot] : [];
+    const styles = [shape.dotStyle, node.outdated && 'dashed', node.auditSeverity && 'filled'].filter(Boolean);
+    if (styles.length > 0) attrs.push(`style=${quote(styles.join(','))}`);
+    if (node.auditSeverity) {
+      attrs.push(`fillcolor=${quote(SEVERITY_HTML_COLORS[node.auditSeverity])}`, 'fontcolor="white"');
+    }
+    const description = describeGraphNode(node);
+    if (description) attrs.push(`tooltip=${quote(description)}`);
+    lines.push(`  ${quote(node.id)}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  if (graphExport.project) {
+    for (const node of graphExport.nodes.filter(n => n.type)) {
+      const label = node.type === 'prod' ? '' : ` [label=${quote(node.type)}]`;
+      lines.push(`  ${quote(graphExport.project)} -> ${quote(node.id)}${label};`);
+    }
+  }
+  for (const edge of graphExport.edges) lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`);
+  lines.push('}');
+  return lines.join('\n');
+}
 
-      if (aTs == null && bTs == null) {
-        return b.subdeps - a.subdeps || b.approxBytes - a.approxBytes || a.name.localeCompare(b.name);
-      }
-      if (aTs == null) return 1;
-      if (bTs == null) return -1;
-      return (
-        (asc ? aTs - bTs : bTs - aTs) ||
-        b.subdeps - a.subdeps ||
-        b.approxBytes - a.approxBytes ||
-        a.name.localeCompare(b.name)
-      );
-    };
+function formatGraphMermaid(graphExport, notes = []) {
+  // Mermaid ids cannot hold `@` or `/`, so nodes get short ids and labels.
+  const keys = new Map(graphExport.nodes.map((node, idx) => [node.id, `n${idx + 1}`]));
+  const label = (value, [open, close]) => `${open}"${String(value).replace(/"/g, '#quot;')}"${close}`;
+  const lines = ['flowchart LR'];
+  for (const note of notes) lines.push(`  %% Note: ${note}`);
+  if (graphExport.project) lines.push(`  n0${label(graphExport.project, GRAPH_NODE_SHAPES.project.mermaid)}`);
+  const classes = new Map();
+  for (const node of graphExport.nodes) {
+    const key = keys.get(node.id);
+    lines.push(`  ${key}${label(node.id, GRAPH_NODE_SHAPES[node.type ?? 'transitive'].mermaid)}`);
+    for (const className of [node.outdated && 'outdated', node.auditSeverity].filter(Boolean)) {
+      if (!classes.has(className)) classes.set(className, []);
+      classes.get(className).push(key);
+    }
   }
-  if (sortMode === 'size') {
-    return (a, b) =>
-      (asc ? a.approxBytes - b.approxBytes : b.approxBytes - a.approxBytes) ||
-      b.subdeps - a.subdeps ||
-      a.name.localeCompare(b.name);
+  if (graphExport.project) {
+    for (const node of graphExport.nodes.filter(n => n.type)) {
+      lines.push(`  n0 -->${node.type === 'prod' ? '' : `|${node.type}|`} ${keys.get(node.id)}`);
+    }
   }
-  if (sortMode === 'name') {
-    return (a, b) =>
-      (asc ? a.name.localeCompare(b.name) : b.name.localeCompare(a.name)) ||
-      b.subdeps - a.subdeps ||
-      b.approxBytes - a.approxBytes;
+  for (const edge of graphExport.edges) lines.push(`  ${keys.get(edge.from)} --> ${keys.get(edge.to)}`);
+  for (const [className, nodeKeys] of classes.entries()) {
+    const style =
+      className === 'outdated'
+        ? 'stroke-dasharray:5 5'
+        : `fill:${SEVERITY_HTML_COLORS[className]},color:#fff`;
+    lines.push(`  classDef ${className} ${style}`, `  class ${nodeKeys.join(',')} ${className}`);
   }
-  return (a, b) =>
-    (asc ? a.subdeps - b.subdeps : b.subdeps - a.subdeps) ||
-    b.approxBytes - a.approxBytes ||
-    a.name.localeCompare(b.name);
+  return lines.join('\n');
 }
 
 async function main(argv = process.argv) {
-  const args = parseArgs(argv);
+  const args = parseArgs(argv, await loadConfigAsync(process.cwd()));
+  if (args.printConfig) {
+    console.log(JSON.stringify({ configFile: args.configFile, settings: getEffectiveSettings(args) }, null, 2));
+    return;
+  }
+  if (args.command === 'diff') {
+    runDiff(args);
+    return;
+  }
   const root = process.cwd();
   const pkg = loadPkgJson(root);
+  args.packageManager ??= detectPackageManager(root, pkg);
+  if (args.compareRef && args.packageManager !== 'npm') {
+    throw new Error('--compare-ref reads package-lock.json and supports npm projects only');
+  }
+  if (args.command === 'why') {
+    await runWhy(args, root);
+    return;
+  }
+  if (args.graph) {
+    await runGraph(args, root, pkg);
+    return;
+  }
+  if (args.sbom) {
+    await runSbom(args, root, pkg);
+    return;
+  }
+  const workspaces = args.workspaces || args.workspace.length > 0 ? selectWorkspaces(root, pkg, args) : null;
   const packageLock = loadPackageLock(root);
   const verbose = createVerboseLogger({ enabled: args.verbose });
   const progress = createProgressReporter({
@@ -1307,230 +6267,330 @@ async function main(argv = process.argv) {
   verbose(`package lock: ${packageLock ? 'found' : 'not found'}`);
   verbose(`omit: ${Array.from(args.omit).sort().join(',') || '(none)'}`);
   verbose(`include: ${Array.from(args.include).sort().join(',') || '(none)'}`);
+  if (workspaces) verbose(`workspaces: ${workspaces.map(ws => ws.name).join(', ')}`);
 
   progress.start('Inspecting dependency tree');
 
-  let results;
-  let aggregateApproxBytes;
+  let reports;
+  let comparison = null;
   let outdatedCountsAvailable;
   let auditCountsAvailable;
+  let deprecatedCountsAvailable;
+  const pool = createRequestPool(args, verbose);
+  const cache = createRunCache(args, verbose);
+  const registry = createRegistryClient({
+    cache,
+    jsonRequester: args.offline ? rejectOfflineRequest : requestRegistryJson,
+  });
+  verbose(`concurrency: ${args.concurrency}`);
 
   try {
-    const tree = await runNpmLsAsync(root, args);
-    verbose(`npm ls packages: ${Object.keys(tree.dependencies ?? {}).length}`);
-    progress.update('Checking outdated packages');
-    const outdatedJson = await runNpmOutdatedAsync(root, args);
-    verbose(`outdated counts: ${outdatedJson === null ? 'unavailable' : 'available'}`);
-    progress.update('Checking audit issues');
-    const auditJson = await runNpmAuditAsync(root, args);
-    verbose(`audit counts: ${auditJson === null ? 'unavailable' : 'available'}`);
-    const outdatedMarkers = collectOutdatedMarkers(root, outdatedJson);
-    const auditMarkers = collectAuditMarkers(root, auditJson);
+    const { tree, outdatedJson, auditJson, outdatedMarkers, auditMarkers } = await collectTreeInputsAsync(
+      root,
+      args,
+      progress,
+      verbose,
+      { sizes: true, pool, registry }
+    );
+    const advisories = args.auditDetails ? collectAuditAdvisories(root, auditJson, tree) : null;
+    if (advisories) verbose(`audit advisories: ${advisories.length}`);
     outdatedCountsAvailable = outdatedJson !== null;
     auditCountsAvailable = auditJson !== null;
-
-    const topDepsMap = new Map();
-    const addTopDeps = (depsObj, type) => {
-      if (!depsObj) return;
-      if (type !== 'prod' && args.omit.has(type)) return;
-      for (const [name, wanted] of Object.entries(depsObj)) {
-        const cur = topDepsMap.get(name);
-        if (!cur) {
-          topDepsMap.set(name, {
-            types: new Set([type]),
-            wantedByType: { [type]: wanted },
-          });
-        } else {
-          cur.types.add(type);
-          cur.wantedByType[type] = wanted;
-        }
-      }
-    };
-
-    addTopDeps(pkg.dependencies, 'prod');
-    addTopDeps(pkg.devDependencies, 'dev');
-    addTopDeps(pkg.optionalDependencies, 'optional');
-    addTopDeps(pkg.peerDependencies, 'peer');
-
-    const topDeps = {};
-    for (const [name, meta] of topDepsMap.entries()) {
-      // npm semantics: optionalDependencies override dependencies when both exist.
-      const wanted =
-        meta.wantedByType.optional ??
-        meta.wantedByType.prod ??
-        meta.wantedByType.dev ??
-        meta.wantedByType.peer ??
-        'UNKNOWN';
-      topDeps[name] = { ...meta, wanted };
+    let libyearAvailable = false;
+    if (outdatedCountsAvailable) {
+      progress.update('Fetching release dates');
+      libyearAvailable = await collectLibyearsAsync(
+        root,
+        outdatedMarkers,
+        ({ current, total }) => {
+          progress.update(`Fetching release dates (${current}/${total})`);
+        },
+        registry.times,
+        pool
+      );
+      verbose(`libyear: ${libyearAvailable ? 'available' : 'unavailable'}`);
     }
 
-    const topDepNames = Object.keys(topDeps);
+    const graph = buildDependencyGraph(tree);
+    const targets = workspaces
+      ? workspaces.map(workspace => {
+          const workspaceTree = getWorkspaceTree(tree, workspace);
+          // Reuse the whole-tree edges, rooted at the workspace's own dependencies.
+          const roots = new Map(
+            Object.entries(workspaceTree.dependencies)
+              .filter(([, node]) => node)
+              .map(([name, node]) => [name, makeId(name, node.version)])
+          );
+          return {
+            workspace,
+            tree: workspaceTree,
+            graph: { ...graph, roots },
+            retainedIds: collectWorkspaceRetainedIds(graph, tree, workspace),
+            topDeps: collectTopDeps(workspace.pkg, args.omit),
+          };
+        })
+      : [{ workspace: null, tree, graph, topDeps: collectTopDeps(pkg, args.omit) }];
+
+    const topDepNames = Array.from(new Set(targets.flatMap(target => Object.keys(target.topDeps))));
     verbose(`top-level dependencies: ${topDepNames.length}`);
+    progress.update('Fetching package metadata');
     const packageMetaByPackage = await collectPackageMetaByPackageAsync(
       root,
       topDepNames,
       ({ current, total }) => {
         progress.update(`Fetching package metadata (${current}/${total})`);
-      }
+      },
+      registry.packageMeta,
+      pool
     );
-    const githubPackageInfoByPackage = await collectGitHubPackageInfoByPackage(
-      topDeps,
-      tree,
-      requestGitHubJson,
+    // After the metadata and release-date lookups, whose full packuments the
+    // registry client reuses instead of fetching abbreviated ones again.
+    progress.update('Checking deprecated packages');
+    const deprecations = await collectDeprecationsAsync(
+      root,
+      graph,
       ({ current, total }) => {
-        progress.update(`Fetching GitHub commit dates (${current}/${total})`);
+        progress.update(`Checking deprecated packages (${current}/${total})`);
       },
-      packageLock,
-      verbose
+      registry.deprecated,
+      new Map(),
+      pool
     );
+    deprecatedCountsAvailable = deprecations !== null;
+    verbose(`deprecated counts: ${deprecatedCountsAvailable ? 'available' : 'unavailable'}`);
+    for (const [id, message] of deprecations ?? []) verbose(`deprecated: ${id}: ${message}`);
 
-    progress.update('Building results');
-    results = [];
+    reports = [];
     const pathSizeCache = new Map();
+    const licenseCache = new Map();
+    const riskCache = new Map();
+    for (const target of targets) {
+      const gitPackageInfoByPackage = await collectGitHostPackageInfoByPackage(
+        target.topDeps,
+        target.tree,
+        args.offline ? rejectOfflineRequest : requestGitHostJson,
+        ({ current, total }) => {
+          progress.update(`Fetching git commit dates (${current}/${total})`);
+        },
+        packageLock,
+        verbose,
+        pool,
+        cache
+      );
 
-    for (const [name, meta] of Object.entries(topDeps)) {
-      const types = ['prod', 'dev', 'optional', 'peer'].filter(t => meta.types.has(t));
-      const node = tree.dependencies?.[name];
-      const packageMeta = packageMetaByPackage.get(name) ?? { latest: null, lastUpdated: null };
-      const githubInfo = githubPackageInfoByPackage.get(name) ?? null;
-      const lastUpdated = githubInfo?.date ?? packageMeta.lastUpdated ?? null;
-      const latest = formatLatestVersion(packageMeta.latest, githubInfo);
-      if (!node) {
-        results.push({
-          name,
-          wanted: meta.wanted,
-          latest,
-          installed: 'NOT INSTALLED',
-          latestStatus: null,
-          lastUpdated,
-          types,
-          subdeps: 0,
-          outdatedSubdeps: outdatedCountsAvailable ? 0 : null,
-          auditSubdeps: auditCountsAvailable ? 0 : null,
-          auditSeverity: null,
-          approxBytes: 0,
-        });
-        continue;
-      }
-
-      const stats = collectSubtreeStats(name, node, pathSizeCache, outdatedMarkers, auditMarkers);
-      const installed = formatInstalledVersion(node.version, githubInfo);
-      results.push({
-        name,
-        wanted: meta.wanted,
-        latest,
-        installed,
-        latestStatus: compareLatestToInstalled(latest, installed, githubInfo),
-        lastUpdated,
-        types,
-        subdeps: stats.subdeps,
-        outdatedSubdeps: outdatedCountsAvailable ? stats.outdatedSubdeps : null,
-        auditSubdeps: auditCountsAvailable ? stats.auditSubdeps : null,
-        auditSeverity: auditCountsAvailable ? stats.auditSeverity : null,
-        approxBytes: stats.approxBytes,
+      progress.update('Building results');
+      const results = buildResults(target.tree, target.topDeps, {
+        packageMetaByPackage,
+        gitPackageInfoByPackage,
+        outdatedMarkers,
+        auditMarkers,
+        outdatedCountsAvailable,
+        auditCountsAvailable,
+        libyearAvailable,
+        pathSizeCache,
+        licenseCache,
+        riskCache,
+        deprecations,
+        graph: target.graph,
+        retainedIds: target.retainedIds,
       });
+      results.sort(getResultsComparator(args.sort, args.direction));
+      const aggregateApproxBytes = collectAggregateApproxBytes(
+        target.graph,
+        Object.keys(target.topDeps),
+        pathSizeCache
+      );
+      const label = target.workspace ? `${target.workspace.name}: ` : '';
+      verbose(`${label}results: ${results.length}`);
+      verbose(`${label}aggregate approx bytes: ${aggregateApproxBytes}`);
+      if (advisories) {
+        for (const r of results) {
+          r.auditAdvisories = auditCountsAvailable
+            ? collectDependencyAdvisories(target.graph, r.name, advisories)
+            : null;
+        }
+      }
+      const report = { workspace: target.workspace, graph: target.graph, results, aggregateApproxBytes };
+      if (args.licenses) report.licenseInventory = collectLicenseInventory(target.graph, results, licenseCache);
+      if (args.format === 'html') {
+        report.treemap = collectTreemapData(
+          target.graph,
+          results,
+          pathSizeCache,
+          outdatedCountsAvailable ? outdatedMarkers : null,
+          auditCountsAvailable ? auditMarkers : null
+        );
+      }
+      if (args.format === 'sarif') {
+        const uri = target.workspace ? `${target.workspace.dir}/package.json` : 'package.json';
+        report.manifest = { uri, lines: findPackageJsonDependencyLines(readFileSync(join(root, uri), 'utf8')) };
+      }
+      if (args.format === 'markdown' || args.format === 'sarif') {
+        report.flaggedSubdeps = new Map(
+          results.map(r => [
+            r.name,
+            collectFlaggedSubdeps(
+              target.graph,
+              r.name,
+              outdatedCountsAvailable ? outdatedMarkers : null,
+              auditCountsAvailable ? auditMarkers : null
+            ),
+          ])
+        );
+      }
+      reports.push(report);
     }
 
-    results.sort(getResultsComparator(args.sort, args.direction));
-    verbose(`results: ${results.length}`);
-    aggregateApproxBytes = collectAggregateApproxBytes(tree, topDepNames, pathSizeCache);
-    verbose(`aggregate approx bytes: ${aggregateApproxBytes}`);
+    if (args.compareRef) {
+      progress.update(`Comparing with ${args.compareRef}`);
+      comparison = await collectRefComparisonAsync(
+        root,
+        args.compareRef,
+        pkg,
+        args,
+        ({ current, total, side }) => {
+          progress.update(`Fetching package sizes for ${side} (${current}/${total})`);
+        },
+        execFileSync,
+        registry.unpackedSize,
+        pool
+      );
+      verbose(`compare ref: ${args.compareRef}`);
+      verbose(`compare changed: ${comparison.dependencies.filter(entry => entry.status !== 'unchanged').length}`);
+    }
   } finally {
     progress.stop();
   }
 
-  if (args.json) {
-    // JSON mode: full dataset
-    console.log(JSON.stringify({ results, aggregateApproxBytes }, null, 2));
-    return;
+  const hasPolicy = Object.keys(args.failOn).length > 0;
+  if (hasPolicy) {
+    for (const report of reports) {
+      report.policy = collectPolicyViolations(report.results, report.aggregateApproxBytes, args.failOn, {
+        outdatedCountsAvailable,
+        auditCountsAvailable,
+      });
+      verbose(
+        `${report.workspace ? `${report.workspace.name}: ` : ''}policy violations: ${report.policy.violations.length}`
+      );
+    }
+    if (reports.some(report => report.policy.violations.length > 0)) process.exitCode = POLICY_EXIT_CODE;
   }
 
-  // Pretty table
-  const header = [
-    '#',
-    'name',
-    'wanted',
-    'latest',
-    'installed',
-    'last updated',
-    'types',
-    'subdeps',
-    'outdated',
-    'audit',
-    'approx size',
-  ];
-  const rows = [header];
+  // Before dispatching on --format, so every output format can save one
+  // (parseArgs rejects --save with --workspaces).
+  if (args.save) {
+    const [{ graph, results, aggregateApproxBytes }] = reports;
+    const snapshot = {
+      results: results.map(r => ({ ...r, subdepIds: collectSubdepIds(graph, r.name) })),
+      aggregateApproxBytes,
+    };
+    writeFileSync(args.save, `${JSON.stringify(snapshot, null, 2)}\n`);
+    verbose(`snapshot saved: ${resolve(args.save)}`);
+  }
 
-  results.forEach((r, idx) => {
-    rows.push([
-      String(idx + 1),
-      r.name,
-      r.wanted,
-      formatLatestWithStatus(r.latest, r.latestStatus),
-      r.installed,
-      formatLastUpdated(r.lastUpdated),
-      r.types.join(','),
-      String(r.subdeps),
-      r.outdatedSubdeps == null ? '?' : String(r.outdatedSubdeps),
-      r.auditSubdeps == null
-        ? '?'
-        : r.auditSubdeps === 0
-          ? '0'
-          : `${r.auditSubdeps} (${r.auditSeverity || 'unknown'})`,
-      formatApproxBytes(r.approxBytes),
-    ]);
-  });
+  if (args.format === 'csv' || args.format === 'tsv') {
+    writeOutput(
+      formatResultsDelimited(reports, { delimiter: args.format === 'tsv' ? '\t' : ',', columns: args.columns }),
+      args.output
+    );
+    return;
+  }
 
-  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
-  const line = row => row.map((cell, i) => pad(cell, widths[i])).join('  ');
+  if (args.format === 'markdown') {
+    writeOutput(
+      formatMarkdownReport(reports, args, {
+        outdatedCountsAvailable,
+        auditCountsAvailable,
+        deprecatedCountsAvailable,
+        comparison,
+        summary: workspaces ? collectWorkspaceSummary(workspaces, args.omit) : null,
+      }),
+      args.output
+    );
+    return;
+  }
 
-  const colorEnabled = !!process.stdout.isTTY && !process.env.NO_COLOR;
-  const colorBySeverity = {
-    low: '\x1b[36m',
-    moderate: '\x1b[33m',
-    high: '\x1b[31m',
-    critical: '\x1b[35m',
-  };
-  const colorize = (text, severity) => {
-    if (!colorEnabled || !severity) return text;
-    const color = colorBySeverity[severity];
-    if (!color) return text;
-    return `${color}${text}\x1b[0m`;
-  };
+  if (args.format === 'html') {
+    writeOutput(
+      formatHtmlReport(reports, args, {
+        outdatedCountsAvailable,
+        auditCountsAvailable,
+        deprecatedCountsAvailable,
+        title: `rank-subdeps: ${pkg.name ?? '(unnamed)'}`,
+      }),
+      args.output
+    );
+    if (args.output) verbose(`report written: ${resolve(args.output)}`);
+    return;
+  }
 
-  console.log(line(rows[0]));
-  console.log(widths.map(w => '-'.repeat(w)).join('  '));
-  for (let i = 1; i < rows.length; i++) {
-    const rowText = line(rows[i]);
-    const severity = results[i - 1]?.auditSeverity;
-    console.log(colorize(rowText, severity));
+  if (args.format === 'sarif') {
+    writeOutput(
+      formatSarifReport(reports, args, { outdatedCountsAvailable, auditCountsAvailable, deprecatedCountsAvailable }),
+      args.output
+    );
+    return;
   }
-  if (!outdatedCountsAvailable) {
-    console.log('\nNote: outdated counts unavailable (npm outdated failed).');
+
+  if (workspaces) {
+    const summary = collectWorkspaceSummary(workspaces, args.omit);
+    if (args.json) {
+      const json = {
+        workspaces: reports.map(report => ({
+          name: report.workspace.name,
+          path: report.workspace.dir,
+          results: report.results,
+          aggregateApproxBytes: report.aggregateApproxBytes,
+          ...(report.licenseInventory ? { licenses: report.licenseInventory } : {}),
+          ...(hasPolicy ? { policy: toPolicyJson(report.policy) } : {}),
+        })),
+        summary,
+      };
+      writeOutput(JSON.stringify(json, null, 2), args.output);
+      return;
+    }
+
+    reports.forEach((report, idx) => {
+      console.log(`${idx === 0 ? '' : '\n'}Workspace: ${report.workspace.name} (${report.workspace.dir})\n`);
+      printResultsTable(report.results);
+      printTopResults(report.results, args);
+      console.log(
+        `\nAggregate approx size (deduped by name@version): ${formatApproxBytes(report.aggregateApproxBytes)}`
+      );
+      if (report.licenseInventory) printLicenseInventory(report.licenseInventory);
+      if (args.auditDetails && auditCountsAvailable) printAuditAdvisories(report.results);
+      if (hasPolicy) printPolicy(report.policy, args.failOn);
+    });
+    printNotes(reports.flatMap(report => report.results), args, {
+      outdatedCountsAvailable,
+      auditCountsAvailable,
+      deprecatedCountsAvailable,
+    });
+    printWorkspaceSummary(summary);
+    return;
   }
-  if (!auditCountsAvailable) {
-    console.log('\nNote: audit counts unavailable (npm audit failed).');
+
+  const [{ results, aggregateApproxBytes, policy, licenseInventory }] = reports;
+  if (args.json) {
+    // JSON mode: full dataset
+    const json = { results, aggregateApproxBytes };
+    if (licenseInventory) json.licenses = licenseInventory;
+    if (comparison) json.comparison = comparison;
+    if (hasPolicy) json.policy = toPolicyJson(policy);
+    writeOutput(JSON.stringify(json, null, 2), args.output);
+    return;
   }
 
-  const topN = results.slice(0, args.top);
-  const maxNameLen = Math.max(...topN.map(x => x.name.length), 4);
-  const effectiveDirection = getEffectiveSortDirection(args.sort, args.direction);
-  const topLabel =
-    args.sort === 'size'
-      ? `approx size (${effectiveDirection})`
-      : args.sort === 'name'
-        ? `name (${effectiveDirection})`
-        : args.sort === 'publish'
-          ? `update date (${effectiveDirection})`
-          : `subdependencies (${effectiveDirection})`;
-  console.log(`\nTop ${args.top} by ${topLabel}:`);
-  topN.forEach((r, i) => {
-    console.log(
-      `${String(i + 1).padStart(2, ' ')}. ${pad(r.name, maxNameLen)}  →  ${r.subdeps} subdeps  (${formatApproxBytes(r.approxBytes)}) (${r.installed}) [${r.types.join(',')}]`
-    );
-  });
+  // Pretty table
+  printResultsTable(results, comparison);
+  printNotes(results, args, { outdatedCountsAvailable, auditCountsAvailable, deprecatedCountsAvailable });
+  printTopResults(results, args);
+  if (comparison) printRefComparison(comparison);
 
   console.log(`\nAggregate approx size (deduped by name@version): ${formatApproxBytes(aggregateApproxBytes)}`);
+  if (licenseInventory) printLicenseInventory(licenseInventory);
+  if (args.auditDetails && auditCountsAvailable) printAuditAdvisories(results);
+  if (hasPolicy) printPolicy(policy, args.failOn);
 }
 
 function shouldRunAsCli(moduleFilePath, argv1) {
@@ -1553,38 +6613,101 @@ if (shouldRunAsCli(thisFile, process.argv[1])) {
 }
 
 export {
+  buildDependencyGraph,
+  buildLockfileTree,
+  buildPnpmLockfileTree,
+  buildResults,
+  buildYarnLockfileTree,
+  collectAuditAdvisories,
   collectAuditMarkers,
-  collectGitHubCommitDatesByPackage,
-  collectGitHubPackageInfoByPackage,
+  collectDependencyAdvisories,
+  collectDeprecationsAsync,
+  collectGitHostCommitDatesByPackage,
+  collectGitHostCommitDatesByPackage as collectGitHubCommitDatesByPackage,
+  collectGitHostPackageInfoByPackage,
+  collectGitHostPackageInfoByPackage as collectGitHubPackageInfoByPackage,
   collectLastUpdatedByPackage,
+  collectLibyearsAsync,
+  collectLockfileSizesAsync,
   collectPackageMetaByPackage,
   collectAggregateApproxBytes,
+  collectExclusiveStats,
+  collectFlaggedSubdeps,
+  collectGraphExport,
+  collectLicenseInventory,
   collectOutdatedMarkers,
+  collectPolicyViolations,
+  collectRefComparisonAsync,
+  collectSbomPackages,
+  collectSubdepIds,
+  collectSubtreeLicenses,
   collectSubtreeStats,
+  collectTreemapData,
+  collectWhyPaths,
+  collectWorkspaceRetainedIds,
+  collectWorkspaceSummary,
   compareLatestToInstalled,
   compareSemverVersions,
+  createDiskCache,
+  createRegistryClient,
+  createTaskPool,
+  detectPackageManager,
+  diffSnapshots,
+  expandWorkspacePatterns,
+  findPackageJsonDependencyLines,
   formatApproxBytes,
+  formatCycloneDxSbom,
+  formatDiffMarkdown,
+  formatGraphDot,
+  formatGraphMermaid,
   formatInstalledVersion,
   formatLatestVersion,
   formatLatestWithStatus,
   formatLastUpdated,
+  formatHtmlReport,
+  formatMarkdownReport,
+  formatResultsDelimited,
+  formatSarifReport,
+  formatSpdxSbom,
+  formatWhyHop,
   getApproxPathSize,
-  getGitHubCommitRefForNode,
-  getGitHubTrackingRefForNode,
+  getGitCommitRefForNode,
+  getGitCommitRefForNode as getGitHubCommitRefForNode,
+  getGitTrackingRefForNode,
+  getGitTrackingRefForNode as getGitHubTrackingRefForNode,
+  getOutdatedUnavailableReason,
   getResultsComparator,
+  getEffectiveSettings,
+  getWorkspaceTree,
   isOutdatedNode,
+  loadConfigAsync,
+  loadNpmrc,
+  loadWorkspaces,
   main,
+  normalizeLicense,
+  normalizePnpmListTree,
+  normalizeYarnAuditOutput,
+  parseGitCommitRef,
+  parseGitCommitRef as parseGitHubCommitRef,
   parseGitHubCommitMetaValue,
-  parseGitHubCommitRef,
   parseGitHubCommitDateValue,
   parseArgs,
-  runGitHubCommitDate,
-  runGitHubCommitMeta,
-  runGitHubLatestCommitMeta,
+  parseLockfileYaml,
+  parseIntegrityHashes,
+  parseNpmrc,
+  parsePackageSpec,
+  requestRegistryJson,
+  runGitCommitDate,
+  runGitCommitDate as runGitHubCommitDate,
+  runGitCommitMeta,
+  runGitCommitMeta as runGitHubCommitMeta,
+  runGitLatestCommitMeta,
+  runGitLatestCommitMeta as runGitHubLatestCommitMeta,
   runNpmLs,
   runNpmAudit,
   runNpmOutdated,
   runNpmViewPackageMeta,
   runNpmViewLastUpdated,
   shouldRunAsCli,
+  toPackageUrl,
 };
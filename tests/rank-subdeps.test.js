@@ -1,40 +1,102 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtempSync, mkdirSync, symlinkSync, writeFileSync, writeSync } from 'node:fs';
+import { linkSync, mkdtempSync, mkdirSync, readFileSync, symlinkSync, writeFileSync, writeSync } from 'node:fs';
+import { createServer } from 'node:http';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
+import { gzipSync } from 'node:zlib';
 
 import {
+  buildDependencyGraph,
+  buildLockfileTree,
+  buildPnpmLockfileTree,
+  buildResults,
+  buildYarnLockfileTree,
+  collectAuditAdvisories,
   collectAuditMarkers,
+  collectDependencyAdvisories,
+  collectDeprecationsAsync,
+  collectGitHostPackageInfoByPackage,
   collectGitHubCommitDatesByPackage,
   collectGitHubPackageInfoByPackage,
   collectLastUpdatedByPackage,
+  collectLibyearsAsync,
+  collectLockfileSizesAsync,
   collectPackageMetaByPackage,
+  collectPolicyViolations,
+  collectRefComparisonAsync,
+  collectSbomPackages,
   collectAggregateApproxBytes,
+  collectExclusiveStats,
+  collectFlaggedSubdeps,
+  collectGraphExport,
+  collectLicenseInventory,
   collectOutdatedMarkers,
+  collectSubdepIds,
+  collectSubtreeLicenses,
   collectSubtreeStats,
+  collectTreemapData,
+  collectWhyPaths,
+  collectWorkspaceRetainedIds,
+  collectWorkspaceSummary,
   compareLatestToInstalled,
   compareSemverVersions,
+  createDiskCache,
+  createRegistryClient,
+  createTaskPool,
+  detectPackageManager,
+  diffSnapshots,
+  expandWorkspacePatterns,
+  findPackageJsonDependencyLines,
+  formatCycloneDxSbom,
+  formatDiffMarkdown,
+  formatGraphDot,
+  formatGraphMermaid,
   formatInstalledVersion,
   formatLatestVersion,
   formatLatestWithStatus,
   formatLastUpdated,
+  formatHtmlReport,
+  formatMarkdownReport,
+  formatResultsDelimited,
+  formatSarifReport,
+  formatSpdxSbom,
+  formatWhyHop,
   getGitHubCommitRefForNode,
   getGitHubTrackingRefForNode,
+  getEffectiveSettings,
+  getOutdatedUnavailableReason,
   getResultsComparator,
+  getWorkspaceTree,
+  loadConfigAsync,
+  loadNpmrc,
+  loadWorkspaces,
+  main,
+  normalizeLicense,
+  normalizePnpmListTree,
+  normalizeYarnAuditOutput,
+  parseGitCommitRef,
   parseGitHubCommitMetaValue,
   parseGitHubCommitRef,
   parseGitHubCommitDateValue,
   parseArgs,
+  parseLockfileYaml,
+  parseIntegrityHashes,
+  parseNpmrc,
+  parsePackageSpec,
+  requestRegistryJson,
+  runGitCommitMeta,
   runGitHubCommitDate,
   runGitHubCommitMeta,
   runGitHubLatestCommitMeta,
+  runGitLatestCommitMeta,
   runNpmLs,
   runNpmAudit,
   runNpmOutdated,
   runNpmViewPackageMeta,
   runNpmViewLastUpdated,
   shouldRunAsCli,
+  toPackageUrl,
 } from '../bin/rank-subdeps.js';
 
 test('runNpmLs requests --long and parses captured JSON', () => {
@@ -130,6 +192,1013 @@ test('collects subtree and aggregate bytes with dedupe by name@version', () => {
   assert.equal(aggregate, 100);
 });
 
+test('collectExclusiveStats only credits packages no other root reaches', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-exclusive-test-'));
+  for (const [name, size] of [['express', 10], ['body-parser', 20], ['bytes', 30], ['qs', 40]]) {
+    mkdirSync(join(root, 'node_modules', name), { recursive: true });
+    writeFileSync(join(root, 'node_modules', name, 'size.txt'), 'x'.repeat(size), 'utf8');
+  }
+  const nodeFor = (name, dependencies) => ({
+    version: '1.0.0',
+    path: join(root, 'node_modules', name),
+    ...(dependencies ? { dependencies } : {}),
+  });
+
+  const tree = {
+    dependencies: {
+      express: nodeFor('express', {
+        'body-parser': nodeFor('body-parser', {
+          bytes: nodeFor('bytes'),
+        }),
+        qs: nodeFor('qs'),
+      }),
+      // npm ls marks repeated occurrences as deduped and omits their children.
+      'body-parser': { version: '1.0.0', deduped: true },
+    },
+  };
+
+  const graph = buildDependencyGraph(tree);
+  const stats = collectExclusiveStats(graph, ['express', 'body-parser'], new Map());
+
+  assert.deepEqual([...graph.edges.get('body-parser@1.0.0')], ['bytes@1.0.0']);
+  assert.deepEqual(stats.get('express'), { exclusiveSubdeps: 1, exclusiveApproxBytes: 50 });
+  assert.deepEqual(stats.get('body-parser'), { exclusiveSubdeps: 0, exclusiveApproxBytes: 0 });
+
+  // Walking the merged graph reaches children npm ls left off the deduped copy.
+  assert.equal(collectSubtreeStats('body-parser', tree.dependencies['body-parser'], new Map()).subdeps, 0);
+  assert.equal(
+    collectSubtreeStats('body-parser', tree.dependencies['body-parser'], new Map(), null, null, graph).subdeps,
+    1
+  );
+
+  // The aggregate walks the same graph, so it is never smaller than a row.
+  const aggregate = collectAggregateApproxBytes(graph, ['express', 'body-parser'], new Map());
+  for (const name of ['express', 'body-parser']) {
+    const stats = collectSubtreeStats(name, tree.dependencies[name], new Map(), null, null, graph);
+    assert.ok(aggregate >= stats.approxBytes, `${name}: ${stats.approxBytes} > ${aggregate}`);
+  }
+  assert.equal(aggregate, 100);
+});
+
+test('collectWhyPaths lists every path to a package grouped by direct dependency', () => {
+  const root = '/tmp/project';
+  const tree = {
+    dependencies: {
+      express: {
+        version: '4.19.2',
+        path: join(root, 'node_modules', 'express'),
+        dependencies: {
+          'body-parser': {
+            version: '1.20.2',
+            path: join(root, 'node_modules', 'body-parser'),
+            dependencies: {
+              qs: { version: '6.11.0', path: join(root, 'node_modules', 'qs') },
+            },
+          },
+          qs: { version: '6.11.0', deduped: true },
+        },
+      },
+      'body-parser': { version: '1.20.2', deduped: true },
+      chalk: { version: '5.3.0', path: join(root, 'node_modules', 'chalk') },
+    },
+  };
+  const outdatedMarkers = { paths: new Set(), ids: new Set(['body-parser@1.20.2']) };
+  const auditMarkers = {
+    pathSeverityRanks: new Map([[join(root, 'node_modules', 'qs'), 2]]),
+    packageSeverityRanks: new Map(),
+  };
+
+  const why = collectWhyPaths(buildDependencyGraph(tree), parsePackageSpec('qs@6.11.0'), outdatedMarkers, auditMarkers);
+
+  assert.deepEqual(why.matches, ['qs@6.11.0']);
+  assert.deepEqual(why.results.map(group => group.name), ['body-parser', 'express']);
+  assert.deepEqual(
+    why.results[1].paths.map(path => path.map(formatWhyHop).join(' > ')),
+    [
+      'express@4.19.2 > qs@6.11.0 (audit: high)',
+      'express@4.19.2 > body-parser@1.20.2 (outdated) > qs@6.11.0 (audit: high)',
+    ]
+  );
+  assert.equal(collectWhyPaths(buildDependencyGraph(tree), parsePackageSpec('qs@1.0.0')).results.length, 0);
+  assert.deepEqual(parsePackageSpec('@scope/pkg@1.2.3'), { name: '@scope/pkg', version: '1.2.3' });
+  assert.deepEqual(parsePackageSpec('@scope/pkg'), { name: '@scope/pkg', version: null });
+});
+
+test('collectWhyPaths caps the paths listed through diamond-shaped graphs', () => {
+  // Each layer doubles the path count: 2^16 paths from app to target.
+  const layers = 16;
+  let below = { target: { version: '1.0.0' } };
+  for (let i = layers - 1; i >= 0; i--) {
+    below = {
+      [`left${i}`]: { version: '1.0.0', dependencies: below },
+      [`right${i}`]: { version: '1.0.0', dependencies: below },
+    };
+  }
+  const tree = { dependencies: { app: { version: '1.0.0', dependencies: below } } };
+
+  const why = collectWhyPaths(buildDependencyGraph(tree), parsePackageSpec('target'));
+
+  assert.equal(why.results.length, 1);
+  assert.equal(why.results[0].truncated, true);
+  assert.equal(why.results[0].paths.length, 20);
+  assert.ok(why.results[0].paths.every(path => path.length === layers + 2));
+});
+
+test('collectSubtreeStats lists subdeps with install scripts and native addons', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-risk-test-'));
+  const writePackage = (name, manifest, files = {}) => {
+    const dir = join(root, 'node_modules', name);
+    mkdirSync(join(dir, 'build', 'Release'), { recursive: true });
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ name, version: '1.0.0', ...manifest }), 'utf8');
+    for (const [file, text] of Object.entries(files)) writeFileSync(join(dir, file), text, 'utf8');
+    return { version: '1.0.0', path: dir };
+  };
+  const tree = {
+    dependencies: {
+      app: {
+        ...writePackage('app', { scripts: { postinstall: 'node setup.js' } }),
+        dependencies: {
+          esbuild: writePackage('esbuild', { scripts: { postinstall: 'node install.js', test: 'tap' } }),
+          bcrypt: writePackage('bcrypt', {}, { 'binding.gyp': '{}', 'build/Release/bcrypt.node': '' }),
+          prebuilt: writePackage('prebuilt', { scripts: { install: '' } }, { 'build/Release/addon.node': '' }),
+          plain: writePackage('plain', { scripts: { build: 'tsc' } }),
+          // Lockfile-only packages carry npm's hasInstallScript flag instead.
+          missing: { version: '1.0.0', path: join(root, 'node_modules', 'missing'), hasInstallScript: true },
+        },
+      },
+    },
+  };
+
+  const riskCache = new Map();
+  const stats = collectSubtreeStats('app', tree.dependencies.app, new Map(), null, null, null, riskCache);
+
+  // The direct dependency's own postinstall is not a subdep.
+  assert.deepEqual(stats.installScriptPackages, [
+    { id: 'bcrypt@1.0.0', scripts: ['install (node-gyp rebuild)'] },
+    { id: 'esbuild@1.0.0', scripts: ['postinstall'] },
+    { id: 'missing@1.0.0', scripts: ['hasInstallScript'] },
+  ]);
+  assert.deepEqual(stats.nativePackages, [
+    { id: 'bcrypt@1.0.0', files: ['binding.gyp', 'build/Release/bcrypt.node'] },
+    { id: 'prebuilt@1.0.0', files: ['build/Release/addon.node'] },
+  ]);
+
+  const why = collectWhyPaths(buildDependencyGraph(tree), parsePackageSpec('bcrypt'), null, null, riskCache);
+  assert.deepEqual(
+    why.results[0].paths.map(path => path.map(formatWhyHop).join(' > ')),
+    ['app@1.0.0 (install scripts: postinstall) > bcrypt@1.0.0 (install scripts: install (node-gyp rebuild), native)']
+  );
+});
+
+test('formatSarifReport maps audited subdeps and policy breaches to package.json lines', () => {
+  const packageJson = JSON.stringify(
+    {
+      name: 'app',
+      scripts: { dependencies: 'echo not a section' },
+      dependencies: { express: '^4.19.2', 'body-parser': '^1.20.0' },
+      devDependencies: { eslint: '^9.0.0' },
+    },
+    null,
+    2
+  );
+  const lines = findPackageJsonDependencyLines(packageJson);
+  assert.deepEqual([...lines.entries()], [
+    ['express', 7],
+    ['body-parser', 8],
+    ['eslint', 11],
+  ]);
+  assert.deepEqual([...findPackageJsonDependencyLines('{"dependencies":{"qs":"^6.0.0"}}').entries()], [['qs', 1]]);
+
+  const express = { name: 'express', subdeps: 70, auditSeverity: 'critical', approxBytes: 1024 };
+  const report = {
+    workspace: null,
+    results: [express, { name: 'eslint', subdeps: 90, auditSeverity: null, approxBytes: 1024 }],
+    aggregateApproxBytes: 2048,
+    manifest: { uri: 'package.json', lines },
+    flaggedSubdeps: new Map([
+      [
+        'express',
+        {
+          outdated: [],
+          audited: [
+            { id: 'qs@6.11.0', severity: 'critical' },
+            { id: 'debug@2.6.9', severity: 'low' },
+          ],
+        },
+      ],
+    ]),
+    policy: collectPolicyViolations([express], 2048, { subdeps: 50, size: 1024 }),
+  };
+
+  const sarif = JSON.parse(
+    formatSarifReport([report], { packageManager: 'npm' }, { outdatedCountsAvailable: false, auditCountsAvailable: true })
+  );
+
+  assert.equal(sarif.version, '2.1.0');
+  const [run] = sarif.runs;
+  const rules = new Map(run.tool.driver.rules.map(rule => [rule.id, rule]));
+  assert.equal(rules.get('audit/critical').properties['security-severity'], '9.5');
+  assert.equal(rules.get('audit/moderate').defaultConfiguration.level, 'warning');
+  assert.ok(rules.has('policy/outdated'));
+  assert.deepEqual(
+    run.results.map(result => [
+      result.ruleId,
+      result.level,
+      result.locations[0].physicalLocation.region?.startLine ?? null,
+    ]),
+    [
+      ['audit/critical', 'error', 7],
+      ['audit/low', 'note', 7],
+      ['policy/subdeps', 'error', 7],
+      ['policy/size', 'error', null],
+    ]
+  );
+  assert.equal(run.results[0].message.text, 'qs@6.11.0 has critical severity audit issues and is installed via express.');
+  assert.equal(run.results[2].message.text, 'express breaches policy subdeps > 50 (70 subdeps).');
+  assert.deepEqual(
+    run.invocations[0].toolExecutionNotifications.map(n => n.message.text),
+    ['outdated counts unavailable (npm outdated failed).']
+  );
+});
+
+test('collectSbomPackages feeds CycloneDX and SPDX documents from the counted graph', () => {
+  const integrity = `sha512-${Buffer.from('abc').toString('base64')}`;
+  const graph = buildDependencyGraph({
+    dependencies: {
+      express: {
+        version: '4.19.2',
+        resolved: 'https://registry.npmjs.org/express/-/express-4.19.2.tgz',
+        integrity,
+        unpackedSize: 300,
+        dependencies: { '@types/qs': { version: '6.9.0', unpackedSize: 200 } },
+      },
+      extraneous: { version: '1.0.0' },
+    },
+  });
+  const sbom = collectSbomPackages(graph, { express: { types: new Set(['prod']) } }, new Map(), {
+    pathSeverityRanks: new Map(),
+    packageSeverityRanks: new Map([['@types/qs', 1]]),
+  });
+
+  assert.deepEqual(sbom.directIds, ['express@4.19.2']);
+  assert.deepEqual(
+    sbom.packages.map(entry => [entry.id, entry.dependsOn, entry.subdeps, entry.approxBytes, entry.auditSeverity]),
+    [
+      ['@types/qs@6.9.0', [], 0, 200, 'moderate'],
+      ['express@4.19.2', ['@types/qs@6.9.0'], 1, 500, null],
+    ]
+  );
+  assert.equal(toPackageUrl('@types/qs', '6.9.0'), 'pkg:npm/%40types/qs@6.9.0');
+  assert.deepEqual(parseIntegrityHashes(`${integrity} md5-xyz`), [{ algorithm: 'sha512', hex: '616263' }]);
+
+  const options = { timestamp: '2024-05-01T12:00:00.000Z', serialNumber: '00000000-0000-4000-8000-000000000000' };
+  const bom = JSON.parse(formatCycloneDxSbom(sbom, { name: 'app', version: '1.0.0' }, options));
+  assert.equal(bom.specVersion, '1.5');
+  assert.equal(bom.serialNumber, 'urn:uuid:00000000-0000-4000-8000-000000000000');
+  assert.deepEqual(bom.components[0], {
+    type: 'library',
+    'bom-ref': '@types/qs@6.9.0',
+    group: '@types',
+    name: 'qs',
+    version: '6.9.0',
+    purl: 'pkg:npm/%40types/qs@6.9.0',
+    properties: [
+      { name: 'rank-subdeps:subdeps', value: '0' },
+      { name: 'rank-subdeps:approxBytes', value: '200' },
+      { name: 'rank-subdeps:auditSeverity', value: 'moderate' },
+    ],
+  });
+  assert.deepEqual(bom.components[1].hashes, [{ alg: 'SHA-512', content: '616263' }]);
+  assert.deepEqual(bom.dependencies, [
+    { ref: 'app@1.0.0', dependsOn: ['express@4.19.2'] },
+    { ref: '@types/qs@6.9.0', dependsOn: [] },
+    { ref: 'express@4.19.2', dependsOn: ['@types/qs@6.9.0'] },
+  ]);
+
+  const spdx = JSON.parse(formatSpdxSbom(sbom, { name: 'app', version: '1.0.0' }, options));
+  assert.equal(spdx.spdxVersion, 'SPDX-2.3');
+  assert.equal(spdx.creationInfo.created, '2024-05-01T12:00:00Z');
+  assert.deepEqual(
+    spdx.packages.map(entry => entry.SPDXID),
+    ['SPDXRef-Package-app-1.0.0', 'SPDXRef-Package-types-qs-6.9.0', 'SPDXRef-Package-express-4.19.2']
+  );
+  assert.equal(spdx.packages[2].downloadLocation, 'https://registry.npmjs.org/express/-/express-4.19.2.tgz');
+  assert.deepEqual(spdx.packages[2].checksums, [{ algorithm: 'SHA512', checksumValue: '616263' }]);
+  assert.equal(spdx.packages[1].annotations[2].comment, 'rank-subdeps:auditSeverity=moderate');
+  assert.deepEqual(
+    spdx.relationships.map(r => `${r.spdxElementId} ${r.relationshipType} ${r.relatedSpdxElement}`),
+    [
+      'SPDXRef-DOCUMENT DESCRIBES SPDXRef-Package-app-1.0.0',
+      'SPDXRef-Package-app-1.0.0 DEPENDS_ON SPDXRef-Package-express-4.19.2',
+      'SPDXRef-Package-express-4.19.2 DEPENDS_ON SPDXRef-Package-types-qs-6.9.0',
+    ]
+  );
+});
+
+test('license inventory normalizes SPDX ids and license policies flag subtrees', () => {
+  assert.equal(normalizeLicense('Apache License, Version 2.0'), 'Apache-2.0');
+  assert.equal(normalizeLicense('GPLv3'), 'GPL-3.0-only');
+  assert.equal(normalizeLicense('(mit OR GPL-3.0+)'), 'MIT OR GPL-3.0-or-later');
+  assert.equal(normalizeLicense([{ type: 'MIT' }, { type: 'Apache 2.0' }]), 'MIT OR Apache-2.0');
+  assert.equal(normalizeLicense('SEE LICENSE IN LICENSE.md'), 'SEE LICENSE IN LICENSE.md');
+
+  const tree = {
+    dependencies: {
+      app: {
+        version: '1.0.0',
+        license: 'MIT',
+        dependencies: {
+          copyleft: { version: '2.0.0', license: 'GPL-3.0' },
+          dual: { version: '1.0.0', license: '(MIT OR AGPL-3.0)' },
+          mystery: { version: '0.1.0' },
+        },
+      },
+      tiny: { version: '1.0.0', license: { type: 'ISC' } },
+    },
+  };
+  const graph = buildDependencyGraph(tree);
+  assert.deepEqual(
+    [...collectSubtreeLicenses(graph, 'app').entries()],
+    [
+      ['MIT', ['app@1.0.0']],
+      ['GPL-3.0-only', ['copyleft@2.0.0']],
+      ['MIT OR AGPL-3.0-only', ['dual@1.0.0']],
+      ['UNKNOWN', ['mystery@0.1.0']],
+    ]
+  );
+
+  const results = buildResults(
+    tree,
+    { app: { types: new Set(['prod']), wanted: '^1.0.0' }, tiny: { types: new Set(['prod']), wanted: '^1.0.0' } },
+    {
+      packageMetaByPackage: new Map(),
+      gitPackageInfoByPackage: new Map(),
+      pathSizeCache: new Map(),
+      graph,
+    }
+  );
+  assert.equal(results[0].license, 'GPL-3.0-only');
+  assert.deepEqual(results[0].licenses, ['GPL-3.0-only', 'MIT', 'MIT OR AGPL-3.0-only', 'UNKNOWN']);
+  assert.equal(results[1].license, 'ISC');
+
+  const inventory = collectLicenseInventory(graph, results);
+  assert.deepEqual(
+    inventory.map(entry => [entry.license, entry.category, entry.dependencies]),
+    [
+      ['GPL-3.0-only', 'strong copyleft', ['app']],
+      ['ISC', 'permissive', ['tiny']],
+      ['MIT', 'permissive', ['app']],
+      ['MIT OR AGPL-3.0-only', 'permissive', ['app']],
+      ['UNKNOWN', 'unknown', ['app']],
+    ]
+  );
+
+  // The dual-licensed package can be used under MIT, so only GPL breaks the deny list.
+  const args = parseArgs(['node', 'rank-subdeps.js', '--license-deny', 'GPL-3.0,AGPL-3.0', '--licenses']);
+  assert.deepEqual(args.licenseDeny, ['GPL-3.0-only', 'AGPL-3.0-only']);
+  assert.equal(args.licenses, true);
+  const deny = collectPolicyViolations(results, null, args.failOn);
+  assert.equal(deny.violations[0].description, 'license in GPL-3.0-only, AGPL-3.0-only');
+  assert.deepEqual(deny.violations[0].licenses, { app: ['GPL-3.0-only'] });
+
+  const allow = collectPolicyViolations(results, null, { license: { deny: [], allow: ['MIT', 'ISC'] } });
+  assert.deepEqual(allow.violations[0].licenses, { app: ['GPL-3.0-only', 'UNKNOWN'] });
+  assert.deepEqual(getEffectiveSettings(args).failOn, {});
+});
+
+test('collectGraphExport matches the counted graph and formats DOT and Mermaid', () => {
+  const tree = {
+    dependencies: {
+      express: {
+        version: '4.19.2',
+        dependencies: {
+          'body-parser': { version: '1.20.2', dependencies: { qs: { version: '6.11.0' } } },
+          qs: { version: '6.11.0' },
+        },
+      },
+      'body-parser': { version: '1.20.2', deduped: true },
+      eslint: { version: '9.0.0' },
+    },
+  };
+  const graph = buildDependencyGraph(tree);
+  const topDeps = {
+    express: { types: new Set(['prod']) },
+    'body-parser': { types: new Set(['prod', 'optional']) },
+    eslint: { types: new Set(['dev']) },
+  };
+  const markers = {
+    outdatedMarkers: { paths: new Set(), ids: new Set(['body-parser@1.20.2']) },
+    auditMarkers: { pathSeverityRanks: new Map(), packageSeverityRanks: new Map([['qs', 2]]) },
+  };
+
+  const full = collectGraphExport(graph, topDeps, { project: 'app@1.0.0', ...markers });
+  assert.deepEqual(
+    full.nodes.map(node => [node.id, node.depth, node.type]),
+    [
+      ['body-parser@1.20.2', 0, 'optional'],
+      ['eslint@9.0.0', 0, 'dev'],
+      ['express@4.19.2', 0, 'prod'],
+      ['qs@6.11.0', 1, null],
+    ]
+  );
+  // One node per name@version below express, as counted in its subdeps.
+  const expressOnly = collectGraphExport(graph, topDeps, { root: 'express' });
+  assert.equal(expressOnly.project, null);
+  assert.equal(
+    expressOnly.nodes.length - 1,
+    collectSubtreeStats('express', tree.dependencies.express, new Map(), null, null, graph).subdeps
+  );
+  assert.deepEqual(collectGraphExport(graph, topDeps, { root: 'express', depth: 0 }).edges, []);
+  // Depth 0 keeps only the direct dependencies, without express → body-parser.
+  const directOnly = collectGraphExport(graph, topDeps, { project: 'app@1.0.0', depth: 0 });
+  assert.deepEqual(
+    directOnly.nodes.map(node => node.id),
+    ['body-parser@1.20.2', 'eslint@9.0.0', 'express@4.19.2']
+  );
+  assert.deepEqual(directOnly.edges, []);
+  assert.throws(() => collectGraphExport(graph, topDeps, { root: 'qs' }), /not an installed direct dependency/);
+
+  assert.equal(
+    formatGraphDot(full),
+    [
+      'digraph dependencies {',
+      '  rankdir=LR;',
+      '  node [shape=ellipse, fontname="Helvetica"];',
+      '  "app@1.0.0" [shape=doubleoctagon];',
+      '  "body-parser@1.20.2" [shape=hexagon, style="dashed", tooltip="optional, outdated"];',
+      '  "eslint@9.0.0" [shape=box, style="rounded", tooltip="dev"];',
+      '  "express@4.19.2" [shape=box, tooltip="prod"];',
+      '  "qs@6.11.0" [style="filled", fillcolor="#d73a3a", fontcolor="white", tooltip="audit: high"];',
+      '  "app@1.0.0" -> "body-parser@1.20.2" [label="optional"];',
+      '  "app@1.0.0" -> "eslint@9.0.0" [label="dev"];',
+      '  "app@1.0.0" -> "express@4.19.2";',
+      '  "body-parser@1.20.2" -> "qs@6.11.0";',
+      '  "express@4.19.2" -> "body-parser@1.20.2";',
+      '  "express@4.19.2" -> "qs@6.11.0";',
+      '}',
+    ].join('\n')
+  );
+  assert.equal(
+    formatGraphMermaid(full, ['audit markers unavailable (npm audit failed).']),
+    [
+      'flowchart LR',
+      '  %% Note: audit markers unavailable (npm audit failed).',
+      '  n0[["app@1.0.0"]]',
+      '  n1{{"body-parser@1.20.2"}}',
+      '  n2("eslint@9.0.0")',
+      '  n3["express@4.19.2"]',
+      '  n4(["qs@6.11.0"])',
+      '  n0 -->|optional| n1',
+      '  n0 -->|dev| n2',
+      '  n0 --> n3',
+      '  n1 --> n4',
+      '  n3 --> n1',
+      '  n3 --> n4',
+      '  classDef outdated stroke-dasharray:5 5',
+      '  class n1 outdated',
+      '  classDef high fill:#d73a3a,color:#fff',
+      '  class n4 high',
+    ].join('\n')
+  );
+
+  const args = parseArgs(['node', 'rank-subdeps.js', '--graph', 'dot', '--graph-root=express', '--graph-depth', '2']);
+  assert.equal(args.graph, 'dot');
+  assert.equal(args.graphRoot, 'express');
+  assert.equal(args.graphDepth, 2);
+});
+
+test('collectDeprecationsAsync caches registry lookups and counts deprecated subdeps', async () => {
+  const tree = {
+    dependencies: {
+      app: {
+        version: '1.0.0',
+        resolved: 'https://registry.npmjs.org/app/-/app-1.0.0.tgz',
+        dependencies: {
+          request: { version: '2.88.2', resolved: 'https://registry.npmjs.org/request/-/request-2.88.2.tgz' },
+          har: { version: '5.1.5', resolved: 'https://registry.npmjs.org/har/-/har-5.1.5.tgz' },
+          local: { version: '1.0.0', resolved: 'file:../local' },
+        },
+      },
+    },
+  };
+  const graph = buildDependencyGraph(tree);
+  const messages = { 'request@2.88.2': 'request has been deprecated', 'app@1.0.0': 'use app2' };
+  const requested = [];
+  const requester = async (root, name, version) => {
+    requested.push(`${name}@${version}`);
+    return messages[`${name}@${version}`] ?? null;
+  };
+
+  const cache = new Map([['har@5.1.5', null]]);
+  const deprecations = await collectDeprecationsAsync('/tmp/project', graph, null, requester, cache);
+
+  assert.deepEqual(requested.sort(), ['app@1.0.0', 'request@2.88.2']);
+  assert.deepEqual(Object.fromEntries(deprecations), messages);
+  await collectDeprecationsAsync('/tmp/project', graph, null, requester, cache);
+  assert.equal(requested.length, 2);
+
+  // Aliased installs are checked under the package they resolve to.
+  const aliasGraph = buildDependencyGraph({
+    dependencies: {
+      'old-request': {
+        version: '2.88.2',
+        name: 'request',
+        resolved: 'https://registry.npmjs.org/request/-/request-2.88.2.tgz',
+      },
+      'lock-request': { version: '2.88.0', packageName: 'request', fromRegistry: true },
+    },
+  });
+  requested.length = 0;
+  const aliased = await collectDeprecationsAsync('/tmp/project', aliasGraph, null, requester);
+  assert.deepEqual(requested.sort(), ['request@2.88.0', 'request@2.88.2']);
+  assert.deepEqual(Object.fromEntries(aliased), { 'old-request@2.88.2': 'request has been deprecated' });
+
+  const topDeps = { app: { wanted: '^1.0.0', types: new Set(['prod']) } };
+  const context = {
+    packageMetaByPackage: new Map(),
+    gitPackageInfoByPackage: new Map(),
+    pathSizeCache: new Map(),
+    graph,
+  };
+  const [result] = buildResults(tree, topDeps, { ...context, deprecations });
+  // The direct dependency's own deprecation is not a subdep.
+  assert.equal(result.deprecatedSubdeps, 1);
+  assert.deepEqual(result.deprecatedPackages, [{ id: 'request@2.88.2', message: 'request has been deprecated' }]);
+
+  const failing = async () => {
+    throw new Error('ENOTFOUND');
+  };
+  assert.equal(await collectDeprecationsAsync('/tmp/project', graph, null, failing), null);
+  assert.equal(buildResults(tree, topDeps, context)[0].deprecatedSubdeps, null);
+});
+
+test('buildLockfileTree follows nested node_modules resolution and omit flags', async () => {
+  const root = '/tmp/project';
+  const registry = name => `https://registry.npmjs.org/${name}/-/${name}-1.0.0.tgz`;
+  const packageLock = {
+    lockfileVersion: 3,
+    packages: {
+      '': {
+        name: 'fixture',
+        dependencies: { alpha: '^1.0.0', beta: '^1.0.0' },
+        devDependencies: { tool: '^1.0.0' },
+      },
+      'node_modules/alpha': {
+        version: '1.0.0',
+        resolved: registry('alpha'),
+        dependencies: { shared: '^1.0.0' },
+      },
+      'node_modules/beta': {
+        version: '1.0.0',
+        resolved: registry('beta'),
+        dependencies: { shared: '^2.0.0' },
+      },
+      'node_modules/beta/node_modules/shared': {
+        version: '2.0.0',
+        resolved: 'https://registry.npmjs.org/shared/-/shared-2.0.0.tgz',
+      },
+      'node_modules/shared': {
+        version: '1.0.0',
+        resolved: registry('shared'),
+        dependencies: { alpha: '^1.0.0' },
+      },
+      'node_modules/tool': {
+        version: '1.0.0',
+        resolved: 'git+ssh://git@github.com/octo/tool.git#abc123',
+        dev: true,
+      },
+    },
+  };
+
+  const tree = buildLockfileTree(root, packageLock, { omit: new Set() });
+  const prodTree = buildLockfileTree(root, packageLock, { omit: new Set(['dev']) });
+
+  assert.deepEqual(Object.keys(tree.dependencies), ['alpha', 'beta', 'tool']);
+  assert.deepEqual(Object.keys(prodTree.dependencies), ['alpha', 'beta']);
+  assert.equal(tree.dependencies.alpha.dependencies.shared.version, '1.0.0');
+  assert.equal(tree.dependencies.beta.dependencies.shared.version, '2.0.0');
+  assert.equal(tree.dependencies.alpha.dependencies.shared.dependencies.alpha, tree.dependencies.alpha);
+  assert.equal(tree.dependencies.beta.dependencies.shared.path, join(root, 'node_modules', 'beta', 'node_modules', 'shared'));
+
+  const requested = [];
+  await collectLockfileSizesAsync(root, tree, null, async (_root, name, version) => {
+    requested.push(`${name}@${version}`);
+    return name === 'alpha' ? 100 : 10;
+  });
+
+  assert.deepEqual(requested.sort(), ['alpha@1.0.0', 'beta@1.0.0', 'shared@1.0.0', 'shared@2.0.0']);
+  assert.equal(tree.dependencies.tool.unpackedSize, null);
+
+  const cache = new Map();
+  assert.deepEqual(
+    collectSubtreeStats('alpha', tree.dependencies.alpha, cache),
+    {
+      subdeps: 1,
+      outdatedSubdeps: 0,
+      auditSubdeps: 0,
+      auditSeverity: null,
+      approxBytes: 110,
+      outdatedBreakdown: { major: 0, minor: 0, patch: 0 },
+      libyear: 0,
+      installScriptPackages: [],
+      nativePackages: [],
+    }
+  );
+  assert.equal(collectSubtreeStats('tool', tree.dependencies.tool, cache).approxBytes, null);
+  assert.equal(collectAggregateApproxBytes(prodTree, ['alpha', 'beta'], cache), null);
+  assert.equal(collectAggregateApproxBytes(tree, ['alpha', 'beta'], cache), 130);
+  assert.deepEqual(collectExclusiveStats(buildDependencyGraph(tree), ['alpha', 'beta'], cache).get('beta'), {
+    exclusiveSubdeps: 1,
+    exclusiveApproxBytes: 20,
+  });
+});
+
+test('collectRefComparisonAsync compares lockfile graphs at a git ref with the working tree', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-compare-'));
+  const entry = (name, version, dependencies) => ({
+    version,
+    resolved: `https://registry.npmjs.org/${name}/-/${name}-${version}.tgz`,
+    ...(dependencies ? { dependencies } : {}),
+  });
+  const basePkg = { name: 'fixture', dependencies: { express: '^4.19.2', 'left-pad': '^1.3.0' } };
+  const baseLock = {
+    lockfileVersion: 3,
+    packages: {
+      '': basePkg,
+      'node_modules/express': entry('express', '4.19.2', { qs: '6.11.0' }),
+      'node_modules/left-pad': entry('left-pad', '1.3.0'),
+      'node_modules/qs': entry('qs', '6.11.0'),
+    },
+  };
+  const headPkg = { name: 'fixture', dependencies: { express: '^4.21.0', zod: '^3.23.0' } };
+  writeFileSync(
+    join(root, 'package-lock.json'),
+    JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': headPkg,
+        'node_modules/express': entry('express', '4.21.0', { qs: '6.13.0', 'side-channel': '^1.0.6' }),
+        'node_modules/qs': entry('qs', '6.13.0', { 'side-channel': '^1.0.6' }),
+        'node_modules/side-channel': entry('side-channel', '1.0.6'),
+        'node_modules/zod': entry('zod', '3.23.8'),
+      },
+    })
+  );
+
+  const shown = [];
+  const execRunner = (cmd, cmdArgs) => {
+    shown.push(`${cmd} ${cmdArgs.join(' ')}`);
+    if (cmdArgs[1] === 'origin/main:./package.json') return JSON.stringify(basePkg);
+    if (cmdArgs[1] === 'origin/main:./package-lock.json') return JSON.stringify(baseLock);
+    throw new Error('unexpected git show');
+  };
+  const requested = [];
+  const sizeRequester = async (_root, name, version) => {
+    requested.push(`${name}@${version}`);
+    return 100;
+  };
+
+  const comparison = await collectRefComparisonAsync(
+    root,
+    'origin/main',
+    headPkg,
+    { omit: new Set() },
+    null,
+    execRunner,
+    sizeRequester
+  );
+
+  assert.deepEqual(shown, ['git show origin/main:./package.json', 'git show origin/main:./package-lock.json']);
+  // Packages on both sides are only looked up once.
+  assert.equal(requested.length, new Set(requested).size);
+  assert.equal(comparison.ref, 'origin/main');
+  assert.deepEqual(
+    comparison.dependencies.map(entry => [entry.name, entry.status]),
+    [
+      ['express', 'changed'],
+      ['left-pad', 'removed'],
+      ['zod', 'added'],
+    ]
+  );
+  const [express, leftPad] = comparison.dependencies;
+  assert.deepEqual(express.subdeps, { base: 1, head: 2, delta: 1 });
+  assert.deepEqual(express.exclusiveSubdeps, { base: 1, head: 2, delta: 1 });
+  assert.deepEqual(express.approxBytes, { base: 200, head: 300, delta: 100 });
+  assert.deepEqual(leftPad.approxBytes, { base: 100, head: 0, delta: -100 });
+
+  await assert.rejects(
+    collectRefComparisonAsync(root, 'v1.0.0', headPkg, { omit: new Set() }, null, () => {
+      throw new Error('fatal: invalid object name');
+    }),
+    /Could not read package.json at v1.0.0/
+  );
+});
+
+test('buildPnpmLockfileTree reads pnpm lockfile v9 importers and snapshots', () => {
+  const pnpmLock = parseLockfileYaml(`lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      alpha:
+        specifier: ^1.0.0
+        version: 1.0.0(react@18.0.0)
+    devDependencies:
+      tool:
+        specifier: ^1.10.0
+        version: 1.10.0
+
+packages:
+
+  alpha@1.0.0:
+    resolution: {integrity: sha512-abc==}
+    peerDependencies:
+      react: '*'
+
+  '@scope/shared@2.0.0':
+    resolution: {integrity: sha512-def==}
+
+  react@18.0.0:
+    resolution: {integrity: sha512-ghi==}
+
+  tool@1.10.0:
+    resolution: {tarball: https://example.com/tool.tgz}
+    os: [darwin, linux]
+
+snapshots:
+
+  alpha@1.0.0(react@18.0.0):
+    dependencies:
+      '@scope/shared': 2.0.0
+      react: 18.0.0
+
+  '@scope/shared@2.0.0': {}
+
+  react@18.0.0: {}
+
+  tool@1.10.0:
+    dependencies:
+      '@scope/shared': 2.0.0
+`);
+
+  assert.equal(pnpmLock.packages['tool@1.10.0'].resolution.tarball, 'https://example.com/tool.tgz');
+  assert.deepEqual(pnpmLock.packages['tool@1.10.0'].os, ['darwin', 'linux']);
+
+  const tree = buildPnpmLockfileTree('/tmp/project', pnpmLock, { omit: new Set() });
+  const prodTree = buildPnpmLockfileTree('/tmp/project', pnpmLock, { omit: new Set(['dev']) });
+
+  assert.deepEqual(Object.keys(tree.dependencies), ['alpha', 'tool']);
+  assert.deepEqual(Object.keys(prodTree.dependencies), ['alpha']);
+  assert.equal(tree.dependencies.alpha.version, '1.0.0');
+  assert.deepEqual(Object.keys(tree.dependencies.alpha.dependencies), ['@scope/shared', 'react']);
+  assert.equal(tree.dependencies.tool.version, '1.10.0');
+  assert.equal(tree.dependencies.tool.fromRegistry, false);
+  assert.equal(tree.dependencies.tool.dependencies['@scope/shared'], tree.dependencies.alpha.dependencies['@scope/shared']);
+});
+
+test('parseLockfileYaml rejects YAML it cannot read faithfully', () => {
+  const cases = [
+    ['deprecated: |\n  multi-line', 'line 1: deprecated: |'],
+    ['deprecated: >-\n  folded', 'line 1: deprecated: >-'],
+    ['base: &base\n  a: 1\nother: *base', 'line 1: base: &base'],
+    ['engines: {node: >=18,\n  npm: >=9}', 'line 1: engines: {node: >=18,'],
+    ['os: [darwin,\n  linux]', 'line 1: os: [darwin,'],
+    ['packages:\n  a@1.0.0:\n    <<: {}', 'line 3: <<: {}'],
+    ['lockfileVersion: 9\n? complex key', 'line 2: ? complex key'],
+    ['list:\n  - name: a', 'line 2: - name: a'],
+  ];
+  for (const [text, where] of cases) {
+    assert.throws(() => parseLockfileYaml(text, 'pnpm-lock.yaml'), {
+      message: `Unsupported pnpm-lock.yaml construct on ${where}`,
+    });
+  }
+  assert.deepEqual(parseLockfileYaml("---\nos: [darwin, linux]\ndeprecated: 'use b: instead'"), {
+    os: ['darwin', 'linux'],
+    deprecated: 'use b: instead',
+  });
+});
+
+test('buildYarnLockfileTree resolves Yarn Berry descriptors', () => {
+  const yarnLock = parseLockfileYaml(`# This file is generated by running "yarn install" inside your project.
+
+__metadata:
+  version: 8
+  cacheKey: 10c0
+
+"alpha@npm:^1.0.0, alpha@npm:^1.2.0":
+  version: 1.2.0
+  resolution: "alpha@npm:1.2.0"
+  dependencies:
+    shared: "npm:^1.0.0"
+  languageName: node
+  linkType: hard
+
+"fixture@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "fixture@workspace:."
+  dependencies:
+    alpha: "npm:^1.0.0"
+    tool: "npm:^1.0.0"
+  languageName: unknown
+  linkType: soft
+
+"shared@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "shared@npm:1.0.0"
+  languageName: node
+  linkType: hard
+
+"tool@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "tool@npm:1.0.0"
+  dependencies:
+    alpha: "npm:^1.2.0"
+  languageName: node
+  linkType: hard
+`);
+  const pkg = { dependencies: { alpha: '^1.0.0' }, devDependencies: { tool: '^1.0.0' } };
+
+  const tree = buildYarnLockfileTree('/tmp/project', yarnLock, pkg, { omit: new Set() });
+  const prodTree = buildYarnLockfileTree('/tmp/project', yarnLock, pkg, { omit: new Set(['dev']) });
+
+  assert.deepEqual(Object.keys(tree.dependencies), ['alpha', 'tool']);
+  assert.deepEqual(Object.keys(prodTree.dependencies), ['alpha']);
+  assert.equal(tree.dependencies.alpha.version, '1.2.0');
+  assert.equal(tree.dependencies.alpha.fromRegistry, true);
+  assert.equal(tree.dependencies.tool.dependencies.alpha, tree.dependencies.alpha);
+  assert.equal(collectSubtreeStats('tool', tree.dependencies.tool, new Map()).subdeps, 2);
+});
+
+test('normalizePnpmListTree counts hard-linked store files once', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-pnpm-test-'));
+  const alphaDir = join(root, 'node_modules', '.pnpm', 'alpha@1.0.0', 'node_modules', 'alpha');
+  const betaDir = join(root, 'node_modules', '.pnpm', 'beta@1.0.0', 'node_modules', 'beta');
+  mkdirSync(alphaDir, { recursive: true });
+  mkdirSync(betaDir, { recursive: true });
+  writeFileSync(join(alphaDir, 'index.js'), 'a'.repeat(10), 'utf8');
+  writeFileSync(join(alphaDir, 'LICENSE'), 'l'.repeat(100), 'utf8');
+  writeFileSync(join(betaDir, 'index.js'), 'b'.repeat(20), 'utf8');
+  linkSync(join(alphaDir, 'LICENSE'), join(betaDir, 'LICENSE'));
+
+  const tree = normalizePnpmListTree([
+    {
+      name: 'fixture',
+      dependencies: {
+        alpha: {
+          from: 'alpha',
+          version: '1.0.0',
+          path: alphaDir,
+          dependencies: {
+            beta: { from: 'beta', version: '1.0.0', path: betaDir },
+          },
+        },
+      },
+      devDependencies: {
+        beta: { from: 'beta', version: '1.0.0', path: betaDir },
+      },
+    },
+  ]);
+
+  assert.deepEqual(Object.keys(tree.dependencies), ['alpha', 'beta']);
+  const cache = new Map();
+  assert.equal(collectSubtreeStats('alpha', tree.dependencies.alpha, cache).approxBytes, 130);
+  assert.equal(collectSubtreeStats('beta', tree.dependencies.beta, cache).approxBytes, 120);
+  assert.equal(collectAggregateApproxBytes(tree, ['alpha', 'beta'], cache), 130);
+});
+
+test('getOutdatedUnavailableReason explains why pnpm has no outdated counts', () => {
+  // pnpm outdated lists direct dependencies only, so subdependency counts would read as 0.
+  assert.equal(
+    getOutdatedUnavailableReason({ packageManager: 'pnpm' }),
+    'pnpm outdated lists direct dependencies only'
+  );
+  assert.equal(getOutdatedUnavailableReason({ packageManager: 'yarn' }), 'not supported for Yarn');
+  assert.equal(getOutdatedUnavailableReason({ packageManager: 'npm' }), 'npm outdated failed');
+});
+
+test('normalizeYarnAuditOutput keeps the highest severity per package', () => {
+  const output = [
+    JSON.stringify({ value: 'qs', children: { ID: 1, Severity: 'moderate' } }),
+    JSON.stringify({ value: 'qs', children: { ID: 2, Severity: 'high' } }),
+    JSON.stringify({ value: 'ms', children: { ID: 3, Severity: 'low' } }),
+  ].join('\n');
+
+  const parsed = normalizeYarnAuditOutput(output);
+  const markers = collectAuditMarkers('/tmp/project', parsed);
+
+  assert.equal(markers.packageSeverityRanks.get('qs'), 2);
+  assert.equal(markers.packageSeverityRanks.get('ms'), 0);
+  assert.deepEqual(normalizeYarnAuditOutput(JSON.stringify({ advisories: {} })), { advisories: {} });
+});
+
+test('detectPackageManager prefers packageManager field, then lockfiles', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-pm-test-'));
+
+  assert.equal(detectPackageManager(root, {}), 'npm');
+  writeFileSync(join(root, 'pnpm-lock.yaml'), "lockfileVersion: '9.0'\n", 'utf8');
+  assert.equal(detectPackageManager(root, {}), 'pnpm');
+  assert.equal(detectPackageManager(root, { packageManager: 'yarn@4.5.0' }), 'yarn');
+});
+
+test('expandWorkspacePatterns matches npm workspace globs', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-workspaces-test-'));
+  const addWorkspace = (dir, pkg) => {
+    mkdirSync(join(root, dir), { recursive: true });
+    writeFileSync(join(root, dir, 'package.json'), JSON.stringify(pkg), 'utf8');
+  };
+  addWorkspace('packages/web', { name: 'web', dependencies: { react: '^18.2.0', ms: '2.1.3' } });
+  addWorkspace('packages/api', { name: 'api', dependencies: { ms: '2.1.2' }, devDependencies: { react: '^18.2.0' } });
+  addWorkspace('packages/legacy', { name: 'legacy', dependencies: { react: '^17.0.0' } });
+  addWorkspace('tools/nested/cli', { name: 'cli' });
+  addWorkspace('packages/web/node_modules/dep', { name: 'dep' });
+  mkdirSync(join(root, 'packages', 'empty'), { recursive: true });
+
+  assert.deepEqual(expandWorkspacePatterns(root, ['packages/*']), ['packages/api', 'packages/legacy', 'packages/web']);
+  assert.deepEqual(expandWorkspacePatterns(root, ['packages/*', '!packages/legacy', 'tools/**']), [
+    'packages/api',
+    'packages/web',
+    'tools/nested/cli',
+  ]);
+
+  const workspaces = loadWorkspaces(root, { workspaces: { packages: ['packages/*', '!packages/legacy'] } });
+  assert.deepEqual(workspaces.map(ws => ws.name), ['api', 'web']);
+  assert.deepEqual(collectWorkspaceSummary(workspaces, new Set()), {
+    mismatchedRanges: [
+      {
+        name: 'ms',
+        declarations: [
+          { workspace: 'api', range: '2.1.2', types: ['prod'] },
+          { workspace: 'web', range: '2.1.3', types: ['prod'] },
+        ],
+      },
+    ],
+  });
+  assert.deepEqual(
+    collectWorkspaceSummary(loadWorkspaces(root, { workspaces: ['packages/*'] }), new Set(['dev']))
+      .mismatchedRanges.map(x => x.name),
+    ['ms', 'react']
+  );
+
+  const tree = {
+    dependencies: {
+      api: { version: '1.0.0', path: join(root, 'packages', 'api'), dependencies: { ms: { version: '2.1.2' } } },
+      web: { version: '1.0.0', path: join(root, 'packages', 'web'), dependencies: { ms: { version: '2.1.3' } } },
+    },
+  };
+  assert.deepEqual(getWorkspaceTree(tree, workspaces[1]), { dependencies: { ms: { version: '2.1.3' } } });
+});
+
+test('collectWorkspaceRetainedIds keeps packages sibling workspaces also use', () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-workspace-exclusive-test-'));
+  for (const [name, size] of [['debug', 10], ['ms', 20], ['chalk', 40]]) {
+    mkdirSync(join(root, 'node_modules', name), { recursive: true });
+    writeFileSync(join(root, 'node_modules', name, 'size.txt'), 'x'.repeat(size), 'utf8');
+  }
+  const nodeFor = (name, dependencies) => ({
+    version: '1.0.0',
+    path: join(root, 'node_modules', name),
+    ...(dependencies ? { dependencies } : {}),
+  });
+  const workspaces = [
+    { name: 'a', path: join(root, 'packages', 'a') },
+    { name: 'b', path: join(root, 'packages', 'b') },
+  ];
+  const tree = {
+    dependencies: {
+      a: {
+        version: '1.0.0',
+        path: workspaces[0].path,
+        dependencies: { debug: nodeFor('debug', { ms: nodeFor('ms') }) },
+      },
+      // npm ls leaves children off the repeated debug occurrence.
+      b: {
+        version: '1.0.0',
+        path: workspaces[1].path,
+        dependencies: { debug: nodeFor('debug'), chalk: nodeFor('chalk') },
+      },
+    },
+  };
+  const graph = buildDependencyGraph(tree);
+  const exclusiveFor = workspace => {
+    const names = Object.keys(getWorkspaceTree(tree, workspace).dependencies);
+    const roots = new Map(names.map(name => [name, `${name}@1.0.0`]));
+    const retainedIds = collectWorkspaceRetainedIds(graph, tree, workspace);
+    return collectExclusiveStats({ ...graph, roots }, names, new Map(), retainedIds);
+  };
+
+  assert.deepEqual([...collectWorkspaceRetainedIds(graph, tree, workspaces[0])].sort(), [
+    'b@1.0.0',
+    'chalk@1.0.0',
+    'debug@1.0.0',
+    'ms@1.0.0',
+  ]);
+  // Both workspaces use debug, so dropping it from either frees nothing.
+  assert.deepEqual(exclusiveFor(workspaces[0]).get('debug'), { exclusiveSubdeps: 0, exclusiveApproxBytes: 0 });
+  assert.deepEqual(exclusiveFor(workspaces[1]).get('debug'), { exclusiveSubdeps: 0, exclusiveApproxBytes: 0 });
+  assert.deepEqual(exclusiveFor(workspaces[1]).get('chalk'), { exclusiveSubdeps: 0, exclusiveApproxBytes: 40 });
+});
+
 test('collectAuditMarkers parses vulnerabilities with severity and node paths', () => {
   const root = '/tmp/project';
   const parsed = collectAuditMarkers(root, {
@@ -179,6 +1248,183 @@ test('collectOutdatedMarkers parses npm outdated JSON entries recursively', () =
   assert.equal(parsed.paths.has(join(root, 'node_modules', 'chalk', 'node_modules', 'ansi-styles')), true);
 });
 
+test('collectAuditAdvisories keeps advisory details and groups them by direct dependency', () => {
+  const root = '/tmp/project';
+  const nodeFor = (name, version, dependencies) => ({
+    version,
+    path: join(root, 'node_modules', name),
+    ...(dependencies ? { dependencies } : {}),
+  });
+  const tree = {
+    dependencies: {
+      express: nodeFor('express', '4.19.2', {
+        qs: nodeFor('qs', '6.11.0'),
+        cookie: nodeFor('cookie', '0.6.0'),
+      }),
+      chalk: nodeFor('chalk', '5.3.0'),
+    },
+  };
+  const auditJson = {
+    vulnerabilities: {
+      express: {
+        name: 'express',
+        severity: 'high',
+        via: ['qs', 'cookie'],
+        nodes: ['node_modules/express'],
+        fixAvailable: { name: 'express', version: '4.21.2', isSemVerMajor: false },
+      },
+      qs: {
+        name: 'qs',
+        severity: 'high',
+        via: [
+          {
+            source: 1096470,
+            name: 'qs',
+            title: 'qs vulnerable to Prototype Pollution',
+            url: 'https://github.com/advisories/GHSA-hrpp-h998-j3pp',
+            severity: 'high',
+            cvss: { score: 7.5, vectorString: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H' },
+            range: '>=6.11.0 <6.11.1',
+          },
+        ],
+        nodes: ['node_modules/qs'],
+        fixAvailable: { name: 'express', version: '4.21.2', isSemVerMajor: false },
+      },
+      cookie: {
+        name: 'cookie',
+        severity: 'low',
+        via: [
+          {
+            source: 1103907,
+            name: 'cookie',
+            title: 'cookie accepts cookie name, path, and domain with out of bounds characters',
+            url: 'https://github.com/advisories/GHSA-pxg6-pf52-xh8x',
+            severity: 'low',
+            cvss: { score: 0, vectorString: null },
+            range: '<0.7.0',
+          },
+        ],
+        nodes: ['node_modules/cookie'],
+        fixAvailable: { name: 'express', version: '5.1.0', isSemVerMajor: true },
+      },
+    },
+  };
+
+  const advisories = collectAuditAdvisories(root, auditJson, tree);
+  // Entries whose `via` only names other packages are not advisories themselves.
+  assert.deepEqual(advisories.map(advisory => advisory.id).sort(), ['1096470', '1103907']);
+
+  const graph = buildDependencyGraph(tree);
+  assert.deepEqual(collectDependencyAdvisories(graph, 'express', advisories), [
+    {
+      id: '1096470',
+      name: 'qs',
+      title: 'qs vulnerable to Prototype Pollution',
+      url: 'https://github.com/advisories/GHSA-hrpp-h998-j3pp',
+      severity: 'high',
+      cvss: 7.5,
+      range: '>=6.11.0 <6.11.1',
+      fix: { available: true, isSemVerMajor: false, name: 'express', version: '4.21.2' },
+      packages: ['qs@6.11.0'],
+    },
+    {
+      id: '1103907',
+      name: 'cookie',
+      title: 'cookie accepts cookie name, path, and domain with out of bounds characters',
+      url: 'https://github.com/advisories/GHSA-pxg6-pf52-xh8x',
+      severity: 'low',
+      cvss: null,
+      range: '<0.7.0',
+      fix: { available: true, isSemVerMajor: true, name: 'express', version: '5.1.0' },
+      packages: ['cookie@0.6.0'],
+    },
+  ]);
+  assert.deepEqual(collectDependencyAdvisories(graph, 'chalk', advisories), []);
+
+  // Legacy reports (npm 6, pnpm) match by the versions in `findings`.
+  const legacy = collectAuditAdvisories(root, {
+    advisories: {
+      1179: {
+        id: 1179,
+        title: 'Prototype Pollution',
+        module_name: 'qs',
+        severity: 'high',
+        vulnerable_versions: '<6.0.4',
+        url: 'https://npmjs.com/advisories/1179',
+        findings: [{ version: '6.11.0', paths: ['express>qs'] }],
+      },
+    },
+  });
+  assert.deepEqual(legacy[0].ids, ['qs@6.11.0']);
+  assert.equal(legacy[0].fix, null);
+  assert.deepEqual(collectDependencyAdvisories(graph, 'express', legacy)[0].packages, ['qs@6.11.0']);
+
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--audit-details', '--json']).auditDetails, true);
+});
+
+test('outdated subdeps are broken down by semver drift and summed as libyear', async () => {
+  const root = '/tmp/project';
+  const outdatedMarkers = collectOutdatedMarkers(root, {
+    express: { current: '4.19.2', latest: '5.1.0', location: 'node_modules/express' },
+    qs: { current: '6.11.0', latest: '6.14.0', location: 'node_modules/qs' },
+    cookie: { current: '0.6.0', latest: '0.6.1', location: 'node_modules/cookie' },
+    debug: { current: '2.6.9', latest: '4.4.0', location: 'node_modules/debug' },
+  });
+  assert.deepEqual(outdatedMarkers.entries.get(join(root, 'node_modules', 'qs')), {
+    name: 'qs',
+    current: '6.11.0',
+    latest: '6.14.0',
+    drift: 'minor',
+  });
+
+  const requested = [];
+  const times = {
+    express: { '4.19.2': '2024-03-25T00:00:00.000Z', '5.1.0': '2025-03-31T06:00:00.000Z' },
+    qs: { '6.11.0': '2022-06-27T00:00:00.000Z', '6.14.0': '2025-01-14T00:00:00.000Z' },
+    cookie: { '0.6.0': '2023-11-07T00:00:00.000Z', '0.6.1': '2023-11-07T00:00:00.000Z' },
+  };
+  const available = await collectLibyearsAsync(root, outdatedMarkers, null, async (cwd, name) => {
+    requested.push(name);
+    if (!times[name]) throw new Error('E404');
+    return times[name];
+  });
+  assert.equal(available, true);
+  assert.deepEqual(requested.sort(), ['cookie', 'debug', 'express', 'qs']);
+
+  const nodeFor = (name, version, dependencies) => ({
+    version,
+    path: join(root, 'node_modules', name),
+    ...(dependencies ? { dependencies } : {}),
+  });
+  const tree = {
+    dependencies: {
+      express: nodeFor('express', '4.19.2', {
+        qs: nodeFor('qs', '6.11.0'),
+        cookie: nodeFor('cookie', '0.6.0'),
+        debug: nodeFor('debug', '2.6.9'),
+      }),
+    },
+  };
+  const stats = collectSubtreeStats('express', tree.dependencies.express, new Map(), outdatedMarkers);
+  assert.equal(stats.outdatedSubdeps, 3);
+  assert.deepEqual(stats.outdatedBreakdown, { major: 1, minor: 1, patch: 1 });
+  // express itself (1.02y) and qs (2.55y); debug has no release dates and cookie none to catch up.
+  assert.equal(stats.libyear, 3.57);
+
+  const results = [
+    { name: 'a', subdeps: 1, libyear: null },
+    { name: 'b', subdeps: 1, libyear: 0.5 },
+    { name: 'c', subdeps: 1, libyear: 3.57 },
+  ];
+  assert.deepEqual(results.sort(getResultsComparator('libyear')).map(r => r.name), ['c', 'b', 'a']);
+  assert.deepEqual(results.sort(getResultsComparator('libyear', 'asc')).map(r => r.name), ['b', 'c', 'a']);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--sort', 'libyear']).sort, 'libyear');
+  const offline = async () => {
+    throw new Error('ENOTFOUND');
+  };
+  assert.equal(await collectLibyearsAsync(root, outdatedMarkers, null, offline), false);
+});
+
 test('runNpmOutdated parses JSON from non-zero exit with stdout', () => {
   const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-outdated-test-'));
   const args = {
@@ -517,6 +1763,110 @@ test('runGitHubLatestCommitMeta reports verbose request failures', async () => {
   ]);
 });
 
+test('git refs on GitLab, Bitbucket and self-hosted servers use their host APIs', async () => {
+  const env = {
+    GITHUB_SERVER_URL: 'https://github.example.com',
+    GITLAB_HOST: 'git.example.org',
+    GITLAB_TOKEN: 'gl-token',
+    BITBUCKET_TOKEN: 'bb-token',
+  };
+  const sha = 'a'.repeat(40);
+  const gitlabRef = parseGitCommitRef('gitlab:group/sub/proj#main', env);
+  const selfHostedGitLabRef = parseGitCommitRef(`git+ssh://git@git.example.org/team/lib.git#${sha}`, env);
+  const bitbucketRef = parseGitCommitRef('bitbucket:owner/repo#v2.0.0', env);
+  const enterpriseRef = parseGitCommitRef('git+https://github.example.com/octo/internal.git#main', env);
+  assert.deepEqual(gitlabRef, { owner: 'group/sub', repo: 'proj', ref: 'main', host: 'gitlab' });
+  assert.deepEqual(selfHostedGitLabRef, {
+    owner: 'team',
+    repo: 'lib',
+    ref: sha,
+    host: 'gitlab',
+    origin: 'https://git.example.org',
+  });
+  assert.deepEqual(bitbucketRef, { owner: 'owner', repo: 'repo', ref: 'v2.0.0', host: 'bitbucket' });
+  assert.deepEqual(enterpriseRef, {
+    owner: 'octo',
+    repo: 'internal',
+    ref: 'main',
+    origin: 'https://github.example.com',
+  });
+  assert.equal(parseGitCommitRef('git+https://git.unknown.net/octo/lib.git#main', env), null);
+
+  const requests = [];
+  const requester = async (url, signal, headers) => {
+    requests.push({ url, headers });
+    if (url.includes('/api/v4/')) return [{ id: 'fedcba9876', committed_date: '2025-10-01T00:00:00Z' }];
+    if (url.endsWith('/repositories/owner/repo')) return { mainbranch: { name: 'trunk' } };
+    if (url.includes('api.bitbucket.org')) return { values: [{ hash: '0123456789', date: '2025-11-01T00:00:00Z' }] };
+    return [{ sha: '9999999abcdef', commit: { committer: { date: '2025-12-01T00:00:00Z' } } }];
+  };
+  const messages = [];
+  const onVerbose = message => messages.push(message);
+
+  assert.deepEqual(await runGitLatestCommitMeta(gitlabRef, requester, onVerbose, undefined, null, env), {
+    date: '2025-10-01T00:00:00Z',
+    sha: 'fedcba9876',
+  });
+  await runGitCommitMeta(selfHostedGitLabRef, requester, null, undefined, null, env);
+  const bitbucketDefaultBranch = { owner: 'owner', repo: 'repo', ref: null, host: 'bitbucket' };
+  assert.deepEqual(await runGitLatestCommitMeta(bitbucketDefaultBranch, requester, null, undefined, null, env), {
+    date: '2025-11-01T00:00:00Z',
+    sha: '0123456789',
+  });
+  await runGitLatestCommitMeta(enterpriseRef, requester, null, undefined, null, env);
+
+  assert.deepEqual(
+    requests.map(({ url }) => url),
+    [
+      'https://gitlab.com/api/v4/projects/group%2Fsub%2Fproj/repository/commits?ref_name=main&per_page=1',
+      `https://git.example.org/api/v4/projects/team%2Flib/repository/commits/${sha}`,
+      'https://api.bitbucket.org/2.0/repositories/owner/repo',
+      'https://api.bitbucket.org/2.0/repositories/owner/repo/commits/trunk?pagelen=1',
+      'https://github.example.com/api/v3/repos/octo/internal/commits?sha=main&per_page=1',
+    ]
+  );
+  // The token belongs to the configured instance, so gitlab.com goes without.
+  assert.deepEqual(requests[0].headers, {});
+  assert.deepEqual(requests[2].headers, { Authorization: 'Bearer bb-token' });
+  assert.equal(requests[4].headers.Authorization, undefined);
+  assert.deepEqual(messages, [
+    'GitLab request: https://gitlab.com/api/v4/projects/group%2Fsub%2Fproj/repository/commits?ref_name=main&per_page=1',
+  ]);
+  assert.deepEqual(requests[1].headers, { 'PRIVATE-TOKEN': 'gl-token' });
+
+  // A `gitlab.` hostname nobody configured is looked up without credentials.
+  const unknownRef = parseGitCommitRef('git+https://gitlab.attacker.example/x/y.git#main', env);
+  assert.deepEqual(unknownRef, {
+    owner: 'x',
+    repo: 'y',
+    ref: 'main',
+    host: 'gitlab',
+    origin: 'https://gitlab.attacker.example',
+  });
+  await runGitCommitMeta(unknownRef, requester, null, undefined, null, { ...env, CI_JOB_TOKEN: 'job-token' });
+  assert.deepEqual(requests[5].headers, {});
+});
+
+test('GitLab tokens go to gitlab.com only when no other instance is configured', async () => {
+  const gitlabRef = parseGitCommitRef('gitlab:group/proj#main', {});
+  const headersFor = async env => {
+    let sent = null;
+    const requester = async (url, signal, headers) => {
+      sent = headers;
+      return { id: 'fedcba9876', committed_date: '2025-10-01T00:00:00Z' };
+    };
+    await runGitCommitMeta(gitlabRef, requester, null, undefined, null, env);
+    return sent;
+  };
+
+  assert.deepEqual(await headersFor({ GITLAB_TOKEN: 'gl-token' }), { 'PRIVATE-TOKEN': 'gl-token' });
+  assert.deepEqual(await headersFor({ CI_SERVER_URL: 'https://gitlab.com', CI_JOB_TOKEN: 'job-token' }), {
+    'JOB-TOKEN': 'job-token',
+  });
+  assert.deepEqual(await headersFor({ CI_SERVER_URL: 'https://git.example.org', CI_JOB_TOKEN: 'job-token' }), {});
+  assert.deepEqual(await headersFor({ GITLAB_HOST: 'git.example.org', GITLAB_TOKEN: 'gl-token' }), {});
+});
+
 test('formatInstalledVersion uses a short hash for GitHub packages', () => {
   assert.equal(formatInstalledVersion('1.0.0', { sha: 'abcdef1234567890' }), 'abcdef1');
   assert.equal(formatInstalledVersion('1.0.0', { githubRef: { ref: 'deadbeef' } }), 'deadbee');
@@ -858,6 +2208,756 @@ test('parseArgs supports sort + universal direction, with legacy publish aliases
   assert.equal(defaultSort.direction, null);
 });
 
+test('parseArgs recognizes the why subcommand', () => {
+  const why = parseArgs(['node', 'rank-subdeps.js', 'why', 'qs@6.11.0', '--json']);
+  const defaults = parseArgs(['node', 'rank-subdeps.js', '--json']);
+
+  assert.equal(why.command, 'why');
+  assert.equal(why.whyTarget, 'qs@6.11.0');
+  assert.equal(why.json, true);
+  assert.equal(defaults.command, null);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--package-manager=pnpm']).packageManager, 'pnpm');
+  assert.equal(defaults.packageManager, null);
+  assert.deepEqual(parseArgs(['node', 'rank-subdeps.js', '-w', 'web', '--workspace=packages/api']).workspace, [
+    'web',
+    'packages/api',
+  ]);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--workspaces']).workspaces, true);
+});
+
+test('parseArgs recognizes the diff subcommand and --save', () => {
+  const diff = parseArgs(['node', 'rank-subdeps.js', 'diff', 'base.json', 'head.json', '--format=markdown']);
+  const save = parseArgs(['node', 'rank-subdeps.js', '--save', 'snapshot.json', '--format', 'json']);
+
+  assert.equal(diff.command, 'diff');
+  assert.deepEqual(diff.diffFiles, ['base.json', 'head.json']);
+  assert.equal(diff.format, 'markdown');
+  assert.equal(save.save, 'snapshot.json');
+  assert.equal(save.json, true);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--json']).format, 'json');
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--compare-ref=origin/main']).compareRef, 'origin/main');
+});
+
+test('main saves a snapshot whatever the output format', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-save-test-'));
+  writeFileSync(
+    join(root, 'package.json'),
+    JSON.stringify({ name: 'app', version: '1.0.0', dependencies: { alpha: '^1.0.0' } }),
+    'utf8'
+  );
+  writeFileSync(
+    join(root, 'package-lock.json'),
+    JSON.stringify({
+      name: 'app',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app', version: '1.0.0', dependencies: { alpha: '^1.0.0' } },
+        'node_modules/alpha': { version: '1.0.0', dependencies: { beta: '^1.0.0' } },
+        'node_modules/beta': { version: '1.0.0' },
+      },
+    }),
+    'utf8'
+  );
+
+  const cwd = process.cwd();
+  process.chdir(root);
+  try {
+    for (const format of ['json', 'markdown', 'csv', 'tsv', 'html', 'sarif']) {
+      const snapshot = join(root, `${format}-snapshot.json`);
+      await main([
+        'node',
+        'rank-subdeps.js',
+        '--lockfile',
+        '--offline',
+        '--no-cache',
+        '--format',
+        format,
+        '--output',
+        join(root, `report.${format}`),
+        '--save',
+        snapshot,
+      ]);
+      const saved = JSON.parse(readFileSync(snapshot, 'utf8'));
+      assert.deepEqual(saved.results.map(r => [r.name, r.subdepIds]), [['alpha', ['beta@1.0.0']]], format);
+    }
+  } finally {
+    process.chdir(cwd);
+  }
+});
+
+test('parseArgs normalizes --fail-on limits', () => {
+  const args = parseArgs([
+    'node',
+    'rank-subdeps.js',
+    '--fail-on',
+    'subdeps=50,size=1.5MB',
+    '--fail-on=outdated=3,age=2w',
+    '--fail-on-audit',
+    'High',
+  ]);
+
+  assert.deepEqual(args.failOn, { subdeps: 50, size: 1572864, outdated: 3, age: 14, audit: 'high' });
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--fail-on=age=1y']).failOn.age, 365);
+  assert.deepEqual(parseArgs(['node', 'rank-subdeps.js']).failOn, {});
+});
+
+test('createTaskPool bounds concurrency, times out hung tasks and retries transient failures', async () => {
+  const retries = [];
+  const pool = createTaskPool({
+    concurrency: 2,
+    timeoutMs: 200,
+    retries: 2,
+    retryDelayMs: 1,
+    onRetry: (err, retry) => retries.push([err.status ?? err.message, retry]),
+  });
+
+  const started = [];
+  const finish = new Map();
+  const progress = [];
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  const mapped = pool.map(
+    ['a', 'b', 'c', 'd'],
+    item =>
+      new Promise(resolve => {
+        started.push(item);
+        finish.set(item, () => resolve(item.toUpperCase()));
+      }),
+    ({ current, total, item }) => progress.push(`${current}/${total} ${item}`)
+  );
+  await tick();
+  assert.deepEqual(started, ['a', 'b']);
+  finish.get('b')();
+  await tick();
+  assert.deepEqual(started, ['a', 'b', 'c']);
+  finish.get('c')();
+  finish.get('a')();
+  await tick();
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  finish.get('d')();
+  const settled = await mapped;
+  assert.deepEqual(
+    settled.map(x => x.value),
+    ['A', 'B', 'C', 'D']
+  );
+  assert.deepEqual(progress, ['1/4 b', '2/4 c', '3/4 a', '4/4 d']);
+
+  let flaky = 0;
+  const value = await pool.run(async () => {
+    flaky++;
+    if (flaky < 3) throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+    return 'ok';
+  });
+  assert.equal(value, 'ok');
+  assert.deepEqual(retries, [
+    [503, 1],
+    [503, 2],
+  ]);
+
+  let notFound = 0;
+  await assert.rejects(
+    pool.run(async () => {
+      notFound++;
+      throw Object.assign(new Error('Not Found'), { status: 404 });
+    }),
+    /Not Found/
+  );
+  assert.equal(notFound, 1);
+
+  // Hangs until aborted, then rejects the way fetch and http requests do.
+  let aborted = false;
+  await assert.rejects(
+    pool.run(
+      signal =>
+        new Promise((_, reject) => {
+          signal.addEventListener('abort', () => {
+            aborted = true;
+            reject(signal.reason);
+          });
+        })
+    ),
+    /timed out after 200 ms/
+  );
+  assert.equal(aborted, true);
+  assert.equal(retries.length, 4);
+
+  // A timed-out task that ignores the abort keeps its slot until it settles.
+  const single = createTaskPool({ concurrency: 1, timeoutMs: 20, retries: 0 });
+  let settleStubborn;
+  const stubborn = single.run(() => new Promise(resolve => (settleStubborn = resolve)));
+  await assert.rejects(stubborn, /timed out after 20 ms/);
+  let nextStarted = false;
+  const next = single.run(async () => {
+    nextStarted = true;
+    return 'next';
+  });
+  await tick();
+  assert.equal(nextStarted, false);
+  settleStubborn('late');
+  assert.equal(await next, 'next');
+
+  assert.equal(parseArgs(['node', 'rank-subdeps.js']).concurrency, 8);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--concurrency', '3']).concurrency, 3);
+});
+
+test('createRegistryClient reads .npmrc registries and tokens and shares packuments', async () => {
+  const requests = [];
+  const packuments = {
+    '/plain': {
+      name: 'plain',
+      'dist-tags': { latest: '2.0.0' },
+      time: { '1.0.0': '2024-01-01T00:00:00.000Z', '2.0.0': '2025-01-01T00:00:00.000Z' },
+      versions: {
+        '1.0.0': { deprecated: 'use 2.x', dist: { unpackedSize: 1200 } },
+        '2.0.0': { dist: { unpackedSize: 3400 } },
+      },
+    },
+    '/scoped/@acme%2fwidget': {
+      name: '@acme/widget',
+      'dist-tags': { latest: '1.0.0' },
+      versions: { '1.0.0': { dist: { unpackedSize: 500 } } },
+    },
+  };
+  const server = createServer((req, res) => {
+    requests.push({ url: req.url, accept: req.headers.accept, authorization: req.headers.authorization ?? null });
+    const packument = packuments[req.url];
+    if (!packument) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end('{"error":"Not found"}');
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'gzip' });
+    res.end(gzipSync(JSON.stringify(packument)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const host = `127.0.0.1:${server.address().port}`;
+
+  try {
+    const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-registry-'));
+    writeFileSync(
+      join(root, '.npmrc'),
+      [
+        '# project registry',
+        `registry=http://${host}/`,
+        `@acme:registry=http://${host}/scoped/`,
+        `//${host}/scoped/:_authToken=\${ACME_TOKEN}`,
+      ].join('\n')
+    );
+    const env = { npm_config_userconfig: join(root, 'missing-npmrc'), ACME_TOKEN: 's3cret' };
+    assert.equal(loadNpmrc(root, env)[`//${host}/scoped/:_authToken`], 's3cret');
+    assert.deepEqual(parseNpmrc('registry = "https://r.example/"\n[section]\nkey[]=x\n; note'), {
+      registry: 'https://r.example/',
+    });
+
+    const client = createRegistryClient({ configLoader: dir => loadNpmrc(dir, env) });
+    assert.deepEqual(await client.packageMeta(root, 'plain'), {
+      latest: '2.0.0',
+      lastUpdated: '2025-01-01T00:00:00.000Z',
+    });
+    assert.equal((await client.times(root, 'plain'))['1.0.0'], '2024-01-01T00:00:00.000Z');
+    assert.equal(await client.deprecated(root, 'plain', '1.0.0'), 'use 2.x');
+    assert.equal(await client.unpackedSize(root, 'plain', '2.0.0'), 3400);
+    assert.equal(await client.unpackedSize(root, '@acme/widget', '1.0.0'), 500);
+    assert.equal(await client.deprecated(root, '@acme/widget', '1.0.0'), null);
+    await assert.rejects(client.unpackedSize(root, 'missing', '1.0.0'), err => err.status === 404);
+
+    assert.deepEqual(requests, [
+      { url: '/plain', accept: 'application/json', authorization: null },
+      {
+        url: '/scoped/@acme%2fwidget',
+        accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*',
+        authorization: 'Bearer s3cret',
+      },
+      {
+        url: '/missing',
+        accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8, */*',
+        authorization: null,
+      },
+    ]);
+
+    // A plain-HTTP proxy receives absolute-form requests for the registry.
+    requests.length = 0;
+    const proxied = await requestRegistryJson('http://registry.invalid/plain', {
+      proxy: `http://${host}/`,
+    }).catch(err => err);
+    assert.equal(proxied.status, 404);
+    assert.equal(requests[0].url, 'http://registry.invalid/plain');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('createDiskCache keeps immutable registry and GitHub facts and expires mutable ones', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'rank-subdeps-cache-'));
+  let clock = Date.parse('2026-01-01T00:00:00.000Z');
+  const now = () => clock;
+  const requests = [];
+  const packument = {
+    name: 'plain',
+    'dist-tags': { latest: '2.0.0' },
+    time: { '1.0.0': '2024-01-01T00:00:00.000Z', '2.0.0': '2025-01-01T00:00:00.000Z' },
+    versions: {
+      '1.0.0': { deprecated: 'use 2.x', dist: { unpackedSize: 1200 } },
+      '2.0.0': { dist: { unpackedSize: 3400 } },
+    },
+  };
+  const jsonRequester = async (url, { headers }) => {
+    requests.push(headers.accept === 'application/json' ? 'full' : 'abbreviated');
+    return packument;
+  };
+  const configLoader = () => ({ registry: 'https://registry.example/' });
+  const lookUp = async client => [
+    await client.packageMeta('/project', 'plain'),
+    await client.times('/project', 'plain', null, ['1.0.0', '2.0.0']),
+    await client.unpackedSize('/project', 'plain', '1.0.0'),
+    await client.deprecated('/project', 'plain', '1.0.0'),
+  ];
+
+  const cache = createDiskCache({ dir, ttlMs: 60_000, now });
+  const first = await lookUp(createRegistryClient({ jsonRequester, configLoader, cache }));
+  assert.deepEqual(first[0], { latest: '2.0.0', lastUpdated: '2025-01-01T00:00:00.000Z' });
+  assert.deepEqual(first.slice(2), [1200, 'use 2.x']);
+  assert.deepEqual(requests, ['full']);
+
+  // A later run within the TTL asks the registry nothing.
+  requests.length = 0;
+  assert.deepEqual(await lookUp(createRegistryClient({ jsonRequester, configLoader, cache })), first);
+  assert.deepEqual(requests, []);
+
+  // Once expired, sizes and release dates of known versions still come from
+  // the cache; dist-tags and deprecations are fetched again.
+  clock += 120_000;
+  const expired = createRegistryClient({ jsonRequester, configLoader, cache });
+  assert.equal(await expired.unpackedSize('/project', 'plain', '2.0.0'), 3400);
+  assert.equal((await expired.times('/project', 'plain', null, ['1.0.0']))['1.0.0'], '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(requests, []);
+  assert.equal(await expired.deprecated('/project', 'plain', '1.0.0'), 'use 2.x');
+  assert.deepEqual(requests, ['abbreviated']);
+
+  requests.length = 0;
+  const refreshed = createDiskCache({ dir, ttlMs: 60_000, now, refresh: true });
+  await createRegistryClient({ jsonRequester, configLoader, cache: refreshed }).packageMeta('/project', 'plain');
+  assert.deepEqual(requests, ['full']);
+
+  const githubUrls = [];
+  const githubRequester = async url => {
+    githubUrls.push(url);
+    return { sha: 'a'.repeat(40), commit: { committer: { date: '2025-06-01T00:00:00Z' } } };
+  };
+  const pinned = { owner: 'acme', repo: 'tool', ref: 'a'.repeat(40) };
+  const branch = { owner: 'acme', repo: 'tool', ref: 'main' };
+  await runGitCommitMeta(pinned, githubRequester, null, undefined, cache);
+  await runGitLatestCommitMeta(branch, githubRequester, null, undefined, cache);
+  clock += 120_000;
+  const verboseLines = [];
+  const meta = await runGitCommitMeta(pinned, githubRequester, line => verboseLines.push(line), undefined, cache);
+  await runGitLatestCommitMeta(branch, githubRequester, null, undefined, cache);
+  assert.deepEqual(meta, { date: '2025-06-01T00:00:00Z', sha: 'a'.repeat(40) });
+  assert.match(verboseLines[0], /^GitHub request \(cached\): /);
+  assert.deepEqual(githubUrls, [
+    `https://api.github.com/repos/acme/tool/commits/${'a'.repeat(40)}`,
+    'https://api.github.com/repos/acme/tool/commits?sha=main&per_page=1',
+    'https://api.github.com/repos/acme/tool/commits?sha=main&per_page=1',
+  ]);
+
+  const args = parseArgs(['node', 'rank-subdeps.js', '--cache-dir', dir, '--refresh']);
+  assert.deepEqual([args.cache, args.cacheDir, args.refresh], [true, dir, true]);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js', '--no-cache']).cache, false);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js'], { settings: { cache: false } }).cache, false);
+});
+
+test('--offline skips network checks and explains the unavailable columns', () => {
+  const args = parseArgs(['node', 'rank-subdeps.js', '--offline']);
+  assert.equal(args.offline, true);
+  assert.equal(parseArgs(['node', 'rank-subdeps.js'], { settings: { offline: true } }).offline, true);
+
+  const sarif = JSON.parse(
+    formatSarifReport(
+      [{ name: null, results: [], aggregateApproxBytes: 0, policy: [] }],
+      args,
+      { outdatedCountsAvailable: false, auditCountsAvailable: false, deprecatedCountsAvailable: false }
+    )
+  );
+  assert.deepEqual(
+    sarif.runs[0].invocations[0].toolExecutionNotifications.map(n => n.message.text),
+    [
+      'outdated counts unavailable (skipped with --offline).',
+      'audit counts unavailable (skipped with --offline).',
+      'deprecated counts unavailable (not cached and --offline is set).',
+      '--offline: latest versions, update dates and git commits are shown only where cached.',
+    ]
+  );
+});
+
+test('loadConfigAsync reads rc file, JS config, then the package.json key', async () => {
+  const root = mkdtempSync(join(tmpdir(), 'rank-subdeps-config-'));
+  assert.equal(await loadConfigAsync(root), null);
+
+  writeFileSync(join(root, 'package.json'), JSON.stringify({ name: 'fixture', 'rank-subdeps': { top: 5 } }));
+  assert.deepEqual(await loadConfigAsync(root), { source: 'package.json "rank-subdeps"', settings: { top: 5 } });
+
+  writeFileSync(join(root, 'rank-subdeps.config.js'), 'export default { sort: "size", omit: ["dev"] };\n');
+  assert.deepEqual(await loadConfigAsync(root), {
+    source: 'rank-subdeps.config.js',
+    settings: { sort: 'size', omit: ['dev'] },
+  });
+
+  writeFileSync(join(root, '.rank-subdepsrc.json'), '{ "top": 20 }');
+  assert.deepEqual(await loadConfigAsync(root), { source: '.rank-subdepsrc.json', settings: { top: 20 } });
+
+  writeFileSync(join(root, '.rank-subdepsrc.json'), '{ "top": ');
+  await assert.rejects(loadConfigAsync(root), /Could not load \.rank-subdepsrc\.json/);
+});
+
+test('parseArgs applies config settings with CLI flags taking precedence', () => {
+  const config = {
+    source: '.rank-subdepsrc.json',
+    settings: {
+      omit: ['dev', 'optional'],
+      sort: 'size',
+      top: 20,
+      json: true,
+      failOn: { subdeps: 80, size: '20MB' },
+      failOnAudit: 'high',
+      workspace: ['web'],
+    },
+  };
+
+  const fromConfig = parseArgs(['node', 'rank-subdeps.js'], config);
+  assert.equal(fromConfig.configFile, '.rank-subdepsrc.json');
+  assert.deepEqual(Array.from(fromConfig.omit).sort(), ['dev', 'optional']);
+  assert.equal(fromConfig.sort, 'size');
+  assert.equal(fromConfig.top, 20);
+  assert.equal(fromConfig.format, 'json');
+  assert.deepEqual(fromConfig.failOn, { subdeps: 80, size: 20 * 1024 * 1024, audit: 'high' });
+  assert.deepEqual(fromConfig.workspace, ['web']);
+
+  const overridden = parseArgs(
+    ['node', 'rank-subdeps.js', '--sort=name', '--omit=peer', '--format', 'table', '--fail-on=subdeps=50', '-w', 'api'],
+    config
+  );
+  assert.equal(overridden.sort, 'name');
+  assert.equal(overridden.top, 20);
+  assert.equal(overridden.json, false);
+  // List flags replace the config's list; policy rules merge per rule.
+  assert.deepEqual(Array.from(overridden.omit), ['peer']);
+  assert.deepEqual(overridden.workspace, ['api']);
+  assert.deepEqual(overridden.failOn, { subdeps: 50, size: 20 * 1024 * 1024, audit: 'high' });
+
+  const settings = getEffectiveSettings(overridden);
+  assert.deepEqual(settings.omit, ['peer']);
+  assert.equal(settings.sort, 'name');
+  // Effective settings can be fed back in as a config.
+  const roundTrip = parseArgs(['node', 'rank-subdeps.js'], { source: 'test', settings });
+  assert.deepEqual(getEffectiveSettings(roundTrip), settings);
+});
+
+test('collectPolicyViolations lists breached rules with offending results', () => {
+  const now = Date.parse('2026-01-01T00:00:00.000Z');
+  const results = [
+    { name: 'express', subdeps: 69, outdatedSubdeps: 12, auditSeverity: 'critical', lastUpdated: '2025-12-01T00:00:00.000Z' },
+    { name: 'chalk', subdeps: 2, outdatedSubdeps: 1, auditSeverity: 'moderate', lastUpdated: '2025-09-08T00:00:00.000Z' },
+    { name: 'minimist', subdeps: 0, outdatedSubdeps: 0, auditSeverity: null, lastUpdated: '2022-10-10T00:00:00.000Z' },
+    { name: 'local-tool', subdeps: 0, outdatedSubdeps: 0, auditSeverity: null, lastUpdated: null },
+  ];
+  const failOn = { subdeps: 50, size: 1024, outdated: 20, age: 365, audit: 'high' };
+
+  const policy = collectPolicyViolations(results, 4096, failOn, { now });
+  assert.deepEqual(
+    policy.violations.map(v => [v.rule, v.description, v.actual, v.results.map(r => r.name)]),
+    [
+      ['subdeps', 'subdeps > 50', null, ['express']],
+      ['size', 'aggregate size > ~1.0 KB', 4096, []],
+      ['age', 'last updated > 365 days ago', null, ['minimist']],
+      ['audit', 'audit severity >= high', null, ['express']],
+    ]
+  );
+  assert.deepEqual(policy.skipped, []);
+
+  const unavailable = collectPolicyViolations(results, null, failOn, {
+    now,
+    outdatedCountsAvailable: false,
+    auditCountsAvailable: false,
+  });
+  assert.deepEqual(unavailable.skipped.map(entry => entry.rule), ['size', 'outdated', 'audit']);
+  assert.deepEqual(collectPolicyViolations(results, 512, { size: 1024, outdated: 12 }, { now }).violations, []);
+});
+
+test('formatMarkdownReport renders a GFM table, Top N and per-dependency details', () => {
+  const graph = buildDependencyGraph({
+    dependencies: {
+      express: {
+        version: '4.19.2',
+        dependencies: { qs: { version: '6.11.0' }, debug: { version: '2.6.9' }, cookie: { version: '0.6.0' } },
+      },
+      'left|pad': { version: '1.3.0' },
+    },
+  });
+  const flagged = collectFlaggedSubdeps(
+    graph,
+    'express',
+    { paths: new Set(), ids: new Set(['debug@2.6.9', 'qs@6.11.0']) },
+    { pathSeverityRanks: new Map(), packageSeverityRanks: new Map([['qs', 2], ['cookie', 0]]) }
+  );
+  assert.deepEqual(flagged, {
+    outdated: ['debug@2.6.9', 'qs@6.11.0'],
+    audited: [
+      { id: 'qs@6.11.0', severity: 'high' },
+      { id: 'cookie@0.6.0', severity: 'low' },
+    ],
+  });
+
+  const result = (name, fields) => ({
+    name,
+    wanted: '^1.0.0',
+    latest: null,
+    installed: '1.0.0',
+    latestStatus: null,
+    lastUpdated: null,
+    types: ['prod'],
+    subdeps: 0,
+    outdatedSubdeps: 0,
+    auditSubdeps: 0,
+    auditSeverity: null,
+    approxBytes: 1024,
+    exclusiveSubdeps: 0,
+    exclusiveApproxBytes: 1024,
+    ...fields,
+  });
+  const results = [
+    result('express', { subdeps: 3, outdatedSubdeps: 2, auditSubdeps: 2, auditSeverity: 'high', exclusiveSubdeps: 3 }),
+    result('left|pad'),
+  ];
+  const markdown = formatMarkdownReport(
+    [{ workspace: null, results, aggregateApproxBytes: 2048, flaggedSubdeps: new Map([['express', flagged]]) }],
+    { top: 1, sort: 'subdeps', direction: null, failOn: {} },
+    { outdatedCountsAvailable: true, auditCountsAvailable: false }
+  );
+  const lines = markdown.split('\n');
+
+  assert.equal(lines[0], '## rank-subdeps report');
+  assert.ok(lines.includes('| 1 | `express` | ^1.0.0 | ? | 1.0.0 | ? | prod | 3 | 2 | ? | 🔴 **2 (high)** | ~1.0 KB | 3 | ~1.0 KB | ? | ? | ? | ? |'));
+  assert.ok(lines.includes('| 2 | `left\\|pad` | ^1.0.0 | ? | 1.0.0 | ? | prod | 0 | 0 | ? | 0 | ~1.0 KB | 0 | ~1.0 KB | ? | ? | ? | ? |'));
+  assert.ok(lines.includes('### Top 1 by subdependencies (desc)'));
+  assert.ok(lines.includes('1. **express**: 3 subdeps, 3 exclusive (~1.0 KB) (1.0.0) [prod]'));
+  assert.ok(!lines.some(line => line.startsWith('2. ')));
+  assert.ok(lines.includes('**Aggregate approx size (deduped by name@version):** ~2.0 KB'));
+  assert.ok(lines.includes('<summary><code>express</code>: 2 audited (high), 2 outdated</summary>'));
+  assert.ok(lines.includes('- 🔴 **high** `qs@6.11.0`'));
+  assert.ok(lines.includes('- 🔵 low `cookie@0.6.0`'));
+  assert.equal(lines.filter(line => line === '<details>').length, 1);
+  assert.equal(lines.at(-1), '> **Note:** audit counts unavailable (npm audit failed).');
+});
+
+test('formatResultsDelimited escapes CSV values and supports TSV and column selection', () => {
+  const results = [
+    {
+      name: 'tool',
+      wanted: 'github:octo/tool#semver:"^1.0.0",main',
+      latest: '1.2.0',
+      installed: '1.1.0',
+      latestStatus: 'newer',
+      lastUpdated: '2025-09-08T14:47:54.486+02:00',
+      types: ['prod', 'peer'],
+      subdeps: 2,
+      outdatedSubdeps: null,
+      auditSubdeps: 1,
+      auditSeverity: 'moderate',
+      approxBytes: 2048,
+      exclusiveSubdeps: 1,
+      exclusiveApproxBytes: null,
+      license: 'MIT',
+      licenses: ['MIT', 'ISC'],
+    },
+  ];
+
+  const csv = formatResultsDelimited([{ workspace: null, results }]).split('\n');
+  assert.equal(
+    csv[0],
+    'name,wanted,latest,installed,latestStatus,lastUpdated,types,subdeps,outdatedSubdeps,outdatedMajor,outdatedMinor,outdatedPatch,libyear,auditSubdeps,auditSeverity,approxBytes,approxSize,exclusiveSubdeps,exclusiveApproxBytes,exclusiveApproxSize,installScriptSubdeps,nativeSubdeps,deprecatedSubdeps,license,licenses'
+  );
+  assert.equal(
+    csv[1],
+    'tool,"github:octo/tool#semver:""^1.0.0"",main",1.2.0,1.1.0,newer,2025-09-08T12:47:54.486Z,"prod,peer",2,,,,,,1,moderate,2048,~2.0 KB,1,,?,,,,MIT,MIT;ISC'
+  );
+
+  const tsv = formatResultsDelimited([{ workspace: { name: 'web' }, results }], {
+    delimiter: '\t',
+    columns: ['workspace', 'name', 'wanted', 'types'],
+  });
+  assert.equal(tsv, 'workspace\tname\twanted\ttypes\nweb\ttool\tgithub:octo/tool#semver:"^1.0.0",main\tprod,peer');
+
+  const args = parseArgs(['node', 'rank-subdeps.js', '--format=csv', '--columns', 'name,approxBytes']);
+  assert.equal(args.format, 'csv');
+  assert.equal(args.json, false);
+  assert.deepEqual(args.columns, ['name', 'approxBytes']);
+});
+
+test('formatHtmlReport builds an offline page with treemap data from the graph', () => {
+  const graph = buildDependencyGraph({
+    dependencies: {
+      express: { version: '4.19.2', unpackedSize: 300, dependencies: { qs: { version: '6.11.0', unpackedSize: 200 } } },
+      '</script><b>x': { version: '1.0.0', unpackedSize: null },
+    },
+  });
+  const results = [
+    {
+      name: 'express',
+      wanted: '^4.19.2',
+      latest: '4.21.0',
+      installed: '4.19.2',
+      latestStatus: 'newer',
+      lastUpdated: null,
+      types: ['prod'],
+      subdeps: 1,
+      outdatedSubdeps: 1,
+      auditSubdeps: 1,
+      auditSeverity: 'high',
+      approxBytes: 500,
+      exclusiveSubdeps: 1,
+      exclusiveApproxBytes: 500,
+    },
+  ];
+  const treemap = collectTreemapData(
+    graph,
+    [...results, { name: '</script><b>x', approxBytes: null, auditSeverity: null }],
+    new Map(),
+    { paths: new Set(), ids: new Set(['qs@6.11.0']) },
+    { pathSeverityRanks: new Map(), packageSeverityRanks: new Map([['qs', 2]]) }
+  );
+  assert.deepEqual(treemap[0], {
+    name: 'express',
+    approxBytes: 500,
+    auditSeverity: 'high',
+    packages: [
+      { id: 'express@4.19.2', approxBytes: 300, outdated: false, auditSeverity: null },
+      { id: 'qs@6.11.0', approxBytes: 200, outdated: true, auditSeverity: 'high' },
+    ],
+  });
+  assert.equal(treemap[1].packages[0].approxBytes, null);
+
+  const html = formatHtmlReport(
+    [{ workspace: null, results, aggregateApproxBytes: 500, treemap }],
+    { top: 10, sort: 'subdeps', direction: null },
+    { outdatedCountsAvailable: true, auditCountsAvailable: true, title: 'rank-subdeps: <app>' }
+  );
+
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /<title>rank-subdeps: &lt;app&gt;<\/title>/);
+  // Offline: no external scripts, styles or fonts.
+  assert.doesNotMatch(html, /\b(?:src|href)=/);
+  assert.doesNotMatch(html, /https?:\/\//);
+  // Package names cannot close the data block early.
+  assert.equal(html.match(/<\/script>/g).length, 2);
+  const data = JSON.parse(html.match(/id="rank-subdeps-data">(.*?)<\/script>/s)[1]);
+  assert.equal(data.reports[0].treemap[1].name, '</script><b>x');
+  const { sortValues } = data.reports[0].rows[0];
+  assert.deepEqual(
+    ['subdeps', 'outdated', 'audit', 'approx size', 'exclusive', 'exclusive size'].map(column => sortValues[column]),
+    [1, 1, 1, 500, 1, 500]
+  );
+  // Every count and size column gets the right-aligned `num` cell class.
+  assert.deepEqual(
+    data.columns.filter(column => data.numericColumns.includes(column)),
+    [
+      '#',
+      'subdeps',
+      'outdated',
+      'libyear',
+      'audit',
+      'approx size',
+      'exclusive',
+      'exclusive size',
+      'scripts',
+      'native',
+      'deprecated',
+    ]
+  );
+  assert.equal(data.severityColors.high, '#d73a3a');
+});
+
+test('diffSnapshots reports direct dependency deltas and transitive ids', () => {
+  const graph = buildDependencyGraph({
+    dependencies: {
+      express: {
+        version: '4.21.0',
+        dependencies: { qs: { version: '6.13.0', dependencies: { 'side-channel': { version: '1.0.6' } } } },
+      },
+    },
+  });
+  assert.deepEqual(collectSubdepIds(graph, 'express'), ['qs@6.13.0', 'side-channel@1.0.6']);
+  assert.deepEqual(collectSubdepIds(graph, 'missing'), []);
+
+  const result = (name, fields) => ({
+    name,
+    installed: '1.0.0',
+    subdeps: 0,
+    outdatedSubdeps: 0,
+    auditSubdeps: 0,
+    auditSeverity: null,
+    approxBytes: 100,
+    subdepIds: [],
+    ...fields,
+  });
+  const base = {
+    results: [
+      result('express', {
+        installed: '4.19.2',
+        subdeps: 2,
+        auditSubdeps: 1,
+        auditSeverity: 'high',
+        approxBytes: 1000,
+        subdepIds: ['qs@6.11.0', 'side-channel@1.0.6'],
+      }),
+      result('left-pad', { subdepIds: [] }),
+      result('chalk'),
+    ],
+    aggregateApproxBytes: 1200,
+  };
+  const head = {
+    results: [
+      result('express', {
+        installed: '4.21.0',
+        subdeps: 2,
+        approxBytes: 1500,
+        subdepIds: ['qs@6.13.0', 'side-channel@1.0.6'],
+      }),
+      result('chalk'),
+      result('zod', { subdeps: 1, subdepIds: ['tslib@2.6.0'] }),
+    ],
+    aggregateApproxBytes: 1700,
+  };
+
+  const diff = diffSnapshots(base, head);
+  assert.deepEqual(
+    diff.dependencies.map(entry => [entry.status, entry.name]),
+    [
+      ['added', 'zod'],
+      ['removed', 'left-pad'],
+      ['changed', 'express'],
+    ]
+  );
+  const express = diff.dependencies[2];
+  assert.deepEqual(express.installed, { base: '4.19.2', head: '4.21.0' });
+  assert.deepEqual(express.auditSubdeps, { base: 1, head: 0, delta: -1 });
+  assert.deepEqual(express.auditSeverity, { base: 'high', head: null });
+  assert.deepEqual(express.approxBytes, { base: 1000, head: 1500, delta: 500 });
+  assert.deepEqual(diff.dependencies[0].subdeps, { base: 0, head: 1, delta: 1 });
+  assert.deepEqual(diff.aggregateApproxBytes, { base: 1200, head: 1700, delta: 500 });
+  assert.deepEqual(diff.transitive, { added: ['qs@6.13.0', 'tslib@2.6.0'], removed: ['qs@6.11.0'] });
+
+  const markdown = formatDiffMarkdown(diff);
+  assert.match(markdown, /^## Dependency diff/);
+  assert.match(markdown, /Direct dependencies: 1 added, 1 removed, 1 changed/);
+  assert.ok(markdown.includes('| changed | `express` | 4.19.2 → 4.21.0 | 2 | 0 | 0 (-1) | high → - | ~1.5 KB (+~500 B) |'));
+  assert.match(markdown, /### Appeared transitive packages \(2\)\n\n- `qs@6\.13\.0`/);
+
+  // `--json` output has no subdepIds, so transitive changes are unknown.
+  const withoutIds = snapshot => ({ ...snapshot, results: snapshot.results.map(({ subdepIds, ...rest }) => rest) });
+  const plain = diffSnapshots(withoutIds(base), withoutIds(head));
+  assert.equal(plain.transitive, null);
+  assert.deepEqual(plain.dependencies.map(entry => entry.name), ['zod', 'left-pad', 'express']);
+});
+
 test('getResultsComparator sorts by selected mode', () => {
   const sample = [
     { name: 'beta', subdeps: 3, approxBytes: 80, lastUpdated: '2025-09-08T14:47:54.486Z' },
@@ -874,6 +2974,10 @@ test('getResultsComparator sorts by selected mode', () => {
   const byNameDesc = [...sample].sort(getResultsComparator('name', 'desc')).map(x => x.name);
   const byPublishAsc = [...sample].sort(getResultsComparator('publish', 'asc')).map(x => x.name);
   const byPublishDesc = [...sample].sort(getResultsComparator('publish', 'desc')).map(x => x.name);
+  const byExclusive = [...sample]
+    .map(x => ({ ...x, exclusiveSubdeps: x.name === 'gamma' ? 5 : 1, exclusiveApproxBytes: x.approxBytes }))
+    .sort(getResultsComparator('exclusive'))
+    .map(x => x.name);
 
   assert.deepEqual(bySubdeps, ['beta', 'alpha', 'delta', 'gamma']);
   assert.deepEqual(bySubdepsAsc, ['gamma', 'delta', 'beta', 'alpha']);
@@ -883,6 +2987,7 @@ test('getResultsComparator sorts by selected mode', () => {
   assert.deepEqual(byNameDesc, ['gamma', 'delta', 'beta', 'alpha']);
   assert.deepEqual(byPublishAsc, ['alpha', 'beta', 'delta', 'gamma']);
   assert.deepEqual(byPublishDesc, ['delta', 'beta', 'alpha', 'gamma']);
+  assert.deepEqual(byExclusive, ['gamma', 'beta', 'delta', 'alpha']);
 });
 
 test('shouldRunAsCli handles symlinked invocation paths', { skip: process.platform === 'win32' }, () => {